@@ -4,8 +4,8 @@
  */
 
 import { setupScrollObservers, setupScrollHandler, checkFollowingMessages } from './methods/scroll.js';
-import { calculateTypingTime, getMessageSize, calculateReadDelay } from './methods/timing.js';
-import { animateHeader, processNextInQueue } from './methods/animation.js';
+import { calculateTypingTime, getMessageSize, calculateReadDelay, calculateToolRevealDelay } from './methods/timing.js';
+import { animateHeader, processNextInQueue, getRowMessages } from './methods/animation.js';
 
 class ChatAnimator {
   constructor(options = {}) {
@@ -35,6 +35,7 @@ class ChatAnimator {
     this.calculateTypingTime = calculateTypingTime;
     this.getMessageSize = getMessageSize;
     this.calculateReadDelay = calculateReadDelay;
+    this.calculateToolRevealDelay = calculateToolRevealDelay;
     this.animateHeader = animateHeader;
     this.processNextInQueue = processNextInQueue.bind(null, this);
     this.makeElementsVisibleUpTo = this.makeElementsVisibleUpTo.bind(this);
@@ -48,6 +49,12 @@ class ChatAnimator {
   makeElementsVisibleUpTo(targetElement) {
     if (!targetElement) return 0;
 
+    // Speakers sharing a row are revealed together, so the row is shown up to its last message
+    if (targetElement.classList.contains('message')) {
+      const rowMessages = getRowMessages(targetElement);
+      targetElement = rowMessages[rowMessages.length - 1];
+    }
+
     // Get all messages and headers
     const messages = document.querySelectorAll('.message');
     const headers = document.querySelectorAll('.chat-section-header');
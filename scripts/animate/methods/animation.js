@@ -26,6 +26,43 @@ export function animateHeader(header) {
   });
 }
 
+/**
+ * Get the messages that share a row with a message, the message included
+ * Speakers tagged {+} sit side by side in a .message-row and are revealed together
+ * @param {Element} message - The message element
+ * @returns {Array<Element>} Messages in the row, in document order
+ */
+export function getRowMessages(message) {
+  const row = message.parentElement;
+  if (!row || !row.classList.contains('message-row')) return [message];
+  return Array.from(row.children).filter(child => child.classList.contains('message'));
+}
+
+/**
+ * Take messages off the animation queue and the retry list
+ * @param {Object} animator - Reference to the ChatAnimator instance
+ * @param {Array<Element>} messages - Messages to take off
+ */
+function dequeueMessages(animator, messages) {
+  animator.animationQueue = animator.animationQueue.filter(item => !messages.includes(item.element));
+  animator.animationFailedMessages = animator.animationFailedMessages.filter(element => !messages.includes(element));
+}
+
+/**
+ * Show messages at once, such as the speakers of one row
+ * @param {Object} animator - Reference to the ChatAnimator instance
+ * @param {Array<Element>} messages - Messages to show
+ */
+function showMessages(animator, messages) {
+  // Scroll observers may have queued the other speakers of the row in the meantime
+  dequeueMessages(animator, messages);
+  messages.forEach(message => {
+    message.setAttribute('data-observed', 'processed');
+    message.classList.remove('hidden');
+    message.classList.add('visible');
+  });
+}
+
 /**
  * Process the next message in the animation queue
  * @param {Object} animator - Reference to the ChatAnimator instance
@@ -93,8 +130,28 @@ export function processNextInQueue(animator) {
     animator.animationInProgress = true;
     const currentMsg = animator.animationQueue.shift().element;
     
+    // Speakers sharing a row with this message are revealed with it, after one typing indicator
+    const rowMessages = getRowMessages(currentMsg);
+    dequeueMessages(animator, rowMessages.filter(message => message !== currentMsg));
+    
     // Check if this is a direct-text element (empty speaker tags)
     const isDirectText = currentMsg.getAttribute('data-speaker') === 'direct-text';
+    
+    // Tool cards have no typing indicator either, and their own short pause
+    if (currentMsg.classList.contains('tool-card')) {
+      currentMsg.setAttribute('data-observed', 'processed');
+      
+      setTimeout(() => {
+        showMessages(animator, rowMessages);
+        
+        setTimeout(() => {
+          animator.animationInProgress = false;
+          animator.processNextInQueue();
+        }, 150);
+      }, animator.calculateToolRevealDelay());
+      
+      return;
+    }
 
     // If it's a direct-text element, we skip the typing indicator and show it immediately
     if (isDirectText) {
@@ -111,14 +168,13 @@ export function processNextInQueue(animator) {
         
       // Calculate a shorter read delay for direct-text elements
       const readDelay = isFirstMessage ? 0 : Math.min(
-        animator.calculateReadDelay(lastVisibleMessage) / 2, 
+        animator.calculateReadDelay(lastVisibleMessage, currentMsg) / 2, 
         500
       );
       
       setTimeout(() => {
         // Show the direct-text with a simple fade in
-        currentMsg.classList.remove('hidden');
-        currentMsg.classList.add('visible');
+        showMessages(animator, rowMessages);
         
         // Process next item in queue after a short delay
         setTimeout(() => {
@@ -183,7 +239,7 @@ export function processNextInQueue(animator) {
                              null;
     
     // Calculate read delay (only if this isn't the first message)
-    const readDelay = isFirstMessage ? 0 : animator.calculateReadDelay(lastVisibleMessage);
+    const readDelay = isFirstMessage ? 0 : animator.calculateReadDelay(lastVisibleMessage, currentMsg);
     
     if (window.debugLog) {
       window.debugLog(`Read delay for message: ${readDelay}ms`, 'animation');
@@ -227,7 +283,13 @@ export function processNextInQueue(animator) {
       if (colorKey) {
         typingIndicator.setAttribute('data-color-key', colorKey);
       }
-      
+
+      // Literal roster colors live inline on the message rather than in a color-key rule
+      if (colorKey === 'custom') {
+        typingIndicator.style.setProperty('--speaker-color', currentMsg.style.getPropertyValue('--speaker-color'));
+        typingIndicator.style.setProperty('--speaker-color-light', currentMsg.style.getPropertyValue('--speaker-color-light'));
+      }
+
       // Add speaker name caption for custom speakers
       const speakerNameFromMsg = currentMsg.getAttribute('data-speaker');
       if (speakerNameFromMsg) {
@@ -283,6 +345,11 @@ export function processNextInQueue(animator) {
           typingIndicator.style.marginLeft = 'auto';
           typingIndicator.style.marginRight = (layoutOffset * 100) + '%';
           typingIndicator.classList.add('custom-right');
+        } else if (layoutPosition === 'center') {
+          typingIndicator.style.alignSelf = 'center';
+          typingIndicator.style.marginLeft = 'auto';
+          typingIndicator.style.marginRight = 'auto';
+          typingIndicator.classList.add('custom-center');
         }
       }
       
@@ -295,9 +362,10 @@ export function processNextInQueue(animator) {
       // Find the chat container
       const container = document.querySelector('#markdown-content') || currentMsg.parentNode;
       
-      // Position the typing indicator after the last visible element (message or header)
+      // Position the typing indicator after the last visible element (message or header),
+      // or after its whole row when it shares one
       if (lastVisibleElement) {
-        lastVisibleElement.after(typingIndicator);
+        (lastVisibleElement.closest('.message-row') || lastVisibleElement).after(typingIndicator);
       } else {
         // If no visible elements yet, add it to beginning but INSIDE the .chat-container
         const chatContainer = document.querySelector('.chat-container');
@@ -328,8 +396,10 @@ export function processNextInQueue(animator) {
         window.debugLog(`Showing first message typing indicator - ${speakerType} message`, 'system');
       }
       
-      // Calculate dynamic typing time based on message content
-      const typingTime = animator.calculateTypingTime(currentMsg, isUser);
+      // Calculate dynamic typing time based on message content, the longest in the row
+      const typingTime = Math.max(...rowMessages.map(message =>
+        animator.calculateTypingTime(message, message.classList.contains('user'))
+      ));
       
       if (window.debugLog) {
         let speakerType = isUser ? 'user' : 
@@ -417,9 +487,8 @@ export function processNextInQueue(animator) {
           // Update the last sender type
           animator.lastSenderWasUser = isUser;
           
-          // Show the message immediately
-          currentMsg.classList.remove('hidden');
-          currentMsg.classList.add('visible');
+          // Show the message immediately, with the speakers sharing its row
+          showMessages(animator, rowMessages);
           
           // Wait for message animation to complete before processing next
           setTimeout(() => {
@@ -3,6 +3,10 @@
  * Contains methods for calculating animation timing
  */
 
+import { getChatMetadata } from '../../converter/methods/processing.js';
+import { getTimestampGap } from '../../converter/methods/timestamps.js';
+import { getReasoningSettings } from '../../converter/methods/reasoning.js';
+
 // Default animation settings in case settings module is not available
 const DEFAULT_ANIMATION_SETTINGS = {
   enabled: true,
@@ -19,9 +23,30 @@ const DEFAULT_READ_DELAY_SETTINGS = {
   wordsPerMinute: 300,
   minReadTime: 300,
   maxReadTime: 3000,
-  variancePercentage: 20
+  variancePercentage: 20,
+  gapScale: 0,
+  maxGapDelay: 5000
+};
+
+// Default tool card settings
+const DEFAULT_TOOL_CARD_SETTINGS = {
+  revealDelay: 250
 };
 
+/**
+ * Merge a conversation's front matter pacing overrides into global settings
+ * @param {Object} settings - Settings from settings.json or the defaults
+ * @param {string} key - Pacing section name ("typingAnimation", "readDelay" or "toolCards")
+ * @returns {Object} Settings with the per-conversation overrides applied
+ */
+function applyPacingOverrides(settings, key) {
+  const pacing = getChatMetadata().pacing;
+  if (!pacing || !pacing[key] || typeof pacing[key] !== 'object') {
+    return settings;
+  }
+  return { ...settings, ...pacing[key] };
+}
+
 /**
  * Calculate typing time based on message content
  * @param {Element} message - The message element
@@ -34,6 +59,7 @@ export function calculateTypingTime(message, isUserMessage) {
   if (window.appSettings && window.appSettings.get) {
     settings = window.appSettings.get().chat.typingAnimation;
   }
+  settings = applyPacingOverrides(settings, 'typingAnimation');
   
   // Check which messages should have dynamic timing
   const typingAppliesTo = settings.typingAppliesTo || 'both';
@@ -48,11 +74,10 @@ export function calculateTypingTime(message, isUserMessage) {
     return settings.minTypingTime; // Assistant messages are fast if typingAppliesTo is 'user'
   }
   
-  // Get the text content (all text, including nested elements)
-  const text = message.textContent || '';
-  
-  // Count words (approximately)
-  const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
+  // Count the reply's words; reasoning counts at its typing weight (0 leaves it out)
+  const { typingWeight } = getReasoningSettings(getChatMetadata());
+  const wordCount = countWords(getVisibleText(message)) +
+    Math.round(countWords(getReasoningText(message, false)) * (Number(typingWeight) || 0));
   
   // If wordsPerMinute is false or 0, use fixed range
   if (!settings.wordsPerMinute) {
@@ -75,13 +100,69 @@ export function calculateTypingTime(message, isUserMessage) {
   );
 }
 
+// Parts of a message that are not the speaker's words: hidden alternate replies, author notes,
+// the collapsed payloads of tool cards and reasoning, the MathML copy KaTeX keeps of each formula,
+// and the list of footnotes and sources
+const UNSPOKEN_SELECTOR = '.content[data-variant][hidden], .sidenote, .tool-body, .reasoning, .katex-mathml, .footnotes';
+
+/**
+ * Get the text the speaker "types" in a message
+ * Of alternate replies only the candidate on show counts; notes and reasoning do not count at all
+ * @param {Element} message - The message element
+ * @returns {string} Text content
+ */
+function getVisibleText(message) {
+  if (!message.querySelector(UNSPOKEN_SELECTOR)) {
+    return message.textContent || '';
+  }
+  
+  const visible = message.cloneNode(true);
+  visible.querySelectorAll(UNSPOKEN_SELECTOR).forEach(part => part.remove());
+  return visible.textContent || '';
+}
+
+/**
+ * Get the reasoning text of a message
+ * @param {Element} message - The message element
+ * @param {boolean} openOnly - Only count reasoning blocks that are expanded
+ * @returns {string} Reasoning text
+ */
+function getReasoningText(message, openOnly) {
+  const blocks = message.querySelectorAll(openOnly ? '.content:not([hidden]) .reasoning[open]' : '.content:not([hidden]) .reasoning');
+  return Array.from(blocks).map(block => block.querySelector('.reasoning-body').textContent).join(' ');
+}
+
+/**
+ * Count words (approximately)
+ * @param {string} text - Text to count
+ * @returns {number} Number of words
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+/**
+ * Get the pause before a tool card appears
+ * Tool cards skip the typing indicator and the read delay, so agentic runs move quickly
+ * @returns {number} Milliseconds to wait
+ */
+export function calculateToolRevealDelay() {
+  let settings = DEFAULT_TOOL_CARD_SETTINGS;
+  if (window.appSettings && window.appSettings.get) {
+    settings = { ...settings, ...(window.appSettings.get().chat.toolCards || {}) };
+  }
+  settings = applyPacingOverrides(settings, 'toolCards');
+  
+  return Math.max(0, Number(settings.revealDelay) || 0);
+}
+
 /**
  * Determine the size category of a message for animation
  * @param {Element} message - The message element
  * @returns {string} Size category: "small", "medium", or "large"
  */
 export function getMessageSize(message) {
-  const text = message.textContent || '';
+  const text = getVisibleText(message);
   const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
   
   if (wordCount < 20) {
@@ -93,12 +174,35 @@ export function getMessageSize(message) {
   }
 }
 
+/**
+ * Calculate the extra pause for the real time that passed between two messages
+ * gapScale is milliseconds of pause per minute between the tag times, capped at maxGapDelay
+ * @param {Object} settings - Read delay settings
+ * @param {Element} message - The previous message element
+ * @param {Element|null} nextMessage - The message about to be shown
+ * @returns {number} Milliseconds to add to the read delay
+ */
+function calculateGapDelay(settings, message, nextMessage) {
+  if (!settings.gapScale) {
+    return 0;
+  }
+  
+  const gap = getTimestampGap(message, nextMessage);
+  if (gap === null) {
+    return 0;
+  }
+  
+  return Math.min(settings.maxGapDelay || 0, (gap / 60000) * settings.gapScale);
+}
+
 /**
  * Calculate reading time based on previous message content
+ * When both messages carry tag times, the time between them can lengthen the pause
  * @param {Element} message - The previous message element
+ * @param {Element|null} nextMessage - The message about to be shown
  * @returns {number} Milliseconds for read delay
  */
-export function calculateReadDelay(message) {
+export function calculateReadDelay(message, nextMessage = null) {
   // If no message to read, return minimum delay
   if (!message) {
     return 0;
@@ -109,21 +213,21 @@ export function calculateReadDelay(message) {
   if (window.appSettings && window.appSettings.get) {
     settings = window.appSettings.get().chat.readDelay;
   }
+  settings = applyPacingOverrides(settings, 'readDelay');
   
   // If read delay is disabled, return 0
   if (!settings.enabled) {
     return 0;
   }
   
-  // Get the text content (all text, including nested elements)
-  const text = message.textContent || '';
+  // Count the words on show, including reasoning the reader has open
+  const wordCount = countWords(getVisibleText(message)) + countWords(getReasoningText(message, true));
   
-  // Count words (approximately)
-  const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
+  const gapDelay = calculateGapDelay(settings, message, nextMessage);
   
   // If no words or wordsPerMinute is 0, use minimum time
   if (wordCount === 0 || !settings.wordsPerMinute) {
-    return settings.minReadTime;
+    return settings.minReadTime + gapDelay;
   }
   
   // Calculate base time in milliseconds: (words / words per minute) * 60 * 1000
@@ -132,9 +236,9 @@ export function calculateReadDelay(message) {
   // Add variance to make it more natural
   const varianceFactor = 1 + (Math.random() * (settings.variancePercentage / 100) * 2 - settings.variancePercentage / 100);
   
-  // Apply bounds
+  // Apply bounds; the gap pause comes on top, so long breaks still show
   return Math.min(
     settings.maxReadTime,
     Math.max(settings.minReadTime, baseTimeMs * varianceFactor)
-  );
+  ) + gapDelay;
 } 
\ No newline at end of file
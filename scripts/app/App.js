@@ -6,6 +6,7 @@
 import { initApp, initMessageClickToggle } from './methods/initialization.js';
 import { initChatViewer } from './methods/chat.js';
 import { initDirectoryView } from './methods/directory.js';
+import { initWikiView } from './methods/wiki.js';
 import { scrollToHashFragment, initSpeakingAnimation } from './methods/navigation.js';
 import { errorLog } from './methods/logging.js';
 
@@ -37,6 +38,7 @@ window.appController = {
   initApp,
   initChatViewer,
   initDirectoryView,
+  initWikiView,
   scrollToHashFragment,
   errorLog
 }; 
\ No newline at end of file
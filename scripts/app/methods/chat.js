@@ -4,6 +4,7 @@
  */
 
 import { scrollToHashFragment } from './navigation.js';
+import { isPrintMode, preparePrintView } from './print.js';
 
 /**
  * Initialize the chat viewer with a specific chat file
@@ -28,6 +29,14 @@ export async function initChatViewer(chatPath) {
       return;
     }
     
+    // Pages built by scripts/build-static.js already contain the conversation, title and navigation
+    if (markdownContent.hasAttribute('data-prerendered') && window.enhancePrerenderedChat) {
+      debugLog('Enhancing pre-rendered chat');
+      window.enhancePrerenderedChat({ contentSelector: '#markdown-content' });
+      startChatView(markdownContent);
+      return;
+    }
+    
     // Define the minimum loading time for data fetching
     const MIN_LOADING_TIME = 500; // Reduced from 1800ms as we're not showing a loader anymore
     const startTime = Date.now();
@@ -53,16 +62,21 @@ export async function initChatViewer(chatPath) {
     // Extract the filename from the path to use as fallback
     const fileName = chatPath.split('/').pop().replace('.md', '');
     
-    // Extract title from the markdown
-    let title = fileName; // Default to filename instead of hardcoded 'Chat'
-    const titleMatch = markdown.match(/^#\s+(.+)$/m);
-    if (titleMatch) {
-      title = titleMatch[1].trim();
-      document.title = `${title} | Machine Yearning`;
-      debugLog(`Set page title to: ${title} (from H1 header)`);
-    } else {
-      document.title = `${title} | Machine Yearning`;
-      debugLog(`Set page title to: ${title} (from filename)`);
+    // Resolve the title from front matter, then the H1 header, then the filename
+    const { data: metadata } = window.frontMatter.parse(markdown);
+    const title = window.frontMatter.getTitle(markdown, fileName);
+    document.title = `${title} | Machine Yearning`;
+    debugLog(`Set page title to: ${title}`);
+
+    // Expose the description to link unfurlers and search engines
+    if (metadata.description) {
+      let descriptionMeta = document.querySelector('meta[name="description"]');
+      if (!descriptionMeta) {
+        descriptionMeta = document.createElement('meta');
+        descriptionMeta.name = 'description';
+        document.head.appendChild(descriptionMeta);
+      }
+      descriptionMeta.content = String(metadata.description);
     }
     
     // Update navigation elements (both top and bottom)
@@ -144,56 +158,13 @@ export async function initChatViewer(chatPath) {
       window.initChatConverter({
         contentSelector: '#markdown-content',
         rawMarkdown: markdown,
+        chatPath,
         showTitle: false, // Set to false since we'll show our own navigation elements
         addNavigation: false // Explicitly disable navigation creation
       });
       debugLog('Chat converter initialized');
       
-      // Make all messages hidden initially - animation system will reveal them
-      const messages = markdownContent.querySelectorAll('.message');
-      messages.forEach(msg => {
-        msg.classList.add('hidden');
-        msg.classList.remove('visible');
-      });
-      
-      // Ensure the container has proper flex display for positioning
-      markdownContent.style.display = 'flex';
-      markdownContent.style.flexDirection = 'column';
-      
-      // Function to start animations once DOM is properly ready
-      const startAnimations = () => {
-        if (window.chatAnimations) {
-          debugLog('Initializing chat animations');
-          window.chatAnimations.initChatAnimations();
-          
-          // After initializing animations, scroll to the hash fragment
-          setTimeout(scrollToHashFragment, 500);
-        } else {
-          debugLog('Chat animations not available');
-          
-          // If we don't have animations, make all messages visible
-          const messages = markdownContent.querySelectorAll('.message');
-          messages.forEach(msg => {
-            msg.classList.remove('hidden');
-            msg.classList.add('visible');
-          });
-          
-          // Still need to scroll to hash fragment
-          setTimeout(scrollToHashFragment, 100);
-        }
-        
-        // Enhance code blocks after messages are shown
-        if (typeof enhanceCodeBlocks === 'function') {
-          debugLog('Enhancing code blocks');
-          enhanceCodeBlocks();
-        }
-      };
-
-      // Wait for next animation frame to ensure DOM is rendered
-      requestAnimationFrame(() => {
-        // Then wait one more frame to be extra sure
-        requestAnimationFrame(startAnimations);
-      });
+      startChatView(markdownContent);
     } else {
       debugLog('Chat converter not available');
       console.error('Chat converter not available');
@@ -211,4 +182,68 @@ export async function initChatViewer(chatPath) {
       </div>
     `;
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Hide the rendered messages and hand them to the animator
+ * @param {HTMLElement} markdownContent - The chat container
+ */
+function startChatView(markdownContent) {
+  // Make all messages hidden initially - animation system will reveal them
+  const messages = markdownContent.querySelectorAll('.message');
+  messages.forEach(msg => {
+    msg.classList.add('hidden');
+    msg.classList.remove('visible');
+  });
+  
+  // Ensure the container has proper flex display for positioning
+  markdownContent.style.display = 'flex';
+  markdownContent.style.flexDirection = 'column';
+  
+  // Print mode skips the animator and shows everything at once
+  if (isPrintMode()) {
+    if (typeof enhanceCodeBlocks === 'function') {
+      enhanceCodeBlocks();
+    }
+    requestAnimationFrame(() => preparePrintView(markdownContent));
+    return;
+  }
+  
+  // Function to start animations once DOM is properly ready
+  const startAnimations = () => {
+    if (window.chatAnimations) {
+      debugLog('Initializing chat animations');
+      window.chatAnimations.initChatAnimations();
+      
+      // After initializing animations, scroll to the hash fragment
+      setTimeout(scrollToHashFragment, 500);
+    } else {
+      debugLog('Chat animations not available');
+      
+      // If we don't have animations, make all messages visible
+      const messages = markdownContent.querySelectorAll('.message');
+      messages.forEach(msg => {
+        msg.classList.remove('hidden');
+        msg.classList.add('visible');
+      });
+      
+      // Still need to scroll to hash fragment
+      setTimeout(scrollToHashFragment, 100);
+    }
+    
+    // Enhance code blocks after messages are shown
+    if (typeof enhanceCodeBlocks === 'function') {
+      debugLog('Enhancing code blocks');
+      enhanceCodeBlocks();
+    }
+    
+    // Links to another message or section of this conversation only change the hash
+    window.addEventListener('hashchange', scrollToHashFragment);
+  };
+
+  // Wait for next animation frame to ensure DOM is rendered
+  requestAnimationFrame(() => {
+    // Then wait one more frame to be extra sure
+    requestAnimationFrame(startAnimations);
+  });
+}
@@ -62,19 +62,9 @@ export async function initDirectoryView() {
           return [];
         }
         
-        const markdown = await response.text();
-        const headerRegex = /^(#{2,4})\s+(.+)$/gm;
-        const headers = [];
-        
-        let match;
-        while ((match = headerRegex.exec(markdown)) !== null) {
-          headers.push({
-            level: match[1].length, // Number of # symbols
-            text: match[2].trim()
-          });
-        }
-        
-        return headers;
+        // Use the shared conversation AST so headers match the sections the viewer renders
+        const ast = window.chatAst.parse(await response.text());
+        return window.chatAst.getHeaders(ast);
       } catch (error) {
         console.error(`Error fetching headers from ${filePath}:`, error);
         return [];
@@ -112,6 +102,9 @@ export async function initDirectoryView() {
         const fileHeader = document.createElement('div');
         fileHeader.className = 'directory-header-wrapper';
         fileHeader.textContent = file.title;
+        if (file.description) {
+          fileHeader.title = file.description;
+        }
         
         // Add click handler to section as well as header
         const fileUrl = `index.html?path=${file.path}`;
@@ -164,7 +157,7 @@ export async function initDirectoryView() {
             headerElement.textContent = header.text;
             
             // Add click handler to both section and header
-            const headerUrl = `index.html?path=${file.path}#${header.text.toLowerCase().replace(/\s+/g, '-')}`;
+            const headerUrl = `index.html?path=${file.path}#${encodeURIComponent(header.id)}`;
             
             headerSection.addEventListener('click', (e) => {
               window.location.href = headerUrl;
@@ -181,6 +174,7 @@ export async function initDirectoryView() {
             
             // Store all information about this header
             headerElements.push({
+              id: header.id,
               level: header.level,
               section: headerSection,
               header: headerElement,
@@ -203,12 +197,8 @@ export async function initDirectoryView() {
             function addSpansFromTree(node, headerElements, contentContainer) {
               // For each node in the tree
               if (node.text !== 'Root') {
-                // Normalize node text for comparison (lowercase, trim whitespace)
-                const normalizedNodeText = node.text.toLowerCase().trim();
-                
-                // Find matching header in UI, using normalized comparison
-                const matchingHeader = headerElements.find(h => 
-                  h.text.toLowerCase().trim() === normalizedNodeText);
+                // Span nodes and headers share the section ids, which stay unique when header texts repeat
+                const matchingHeader = headerElements.find(h => h.id === node.id);
                 
                 if (matchingHeader) {
                   debugLog('Found matching header for:', node.text);
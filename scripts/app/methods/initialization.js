@@ -3,12 +3,17 @@
  * Contains methods for initializing the application
  */
 
+import { isPrintMode, initPrintMode } from './print.js';
+import { initWikiPreviews } from './wiki.js';
+import { updateShareButton } from './share.js';
+
 // Track initialization state
 let isInitialized = false;
 
 /**
  * Initialize message click toggle functionality
- * This adds click listeners to all message elements to toggle the 'selected' state
+ * This adds click listeners to all message elements to toggle the 'selected' state.
+ * Shift-click selects every message from the last clicked one, and a selection can be shared as an image.
  */
 export function initMessageClickToggle() {
   // Set up a delegated event listener on the document body to handle all message clicks
@@ -16,12 +21,9 @@ export function initMessageClickToggle() {
     // Find if a message was clicked (or any of its children)
     const messageEl = event.target.closest('.message');
     
-    // If we didn't click on a message, deselect any selected message
+    // If we didn't click on a message, deselect any selected messages
     if (!messageEl) {
-      if (selectedMessage) {
-        selectedMessage.classList.remove('selected');
-        selectedMessage = null;
-      }
+      selectMessages([]);
       return;
     }
     
@@ -32,28 +34,26 @@ export function initMessageClickToggle() {
         event.target.closest('button') ||
         event.target.closest('pre') ||
         event.target.closest('.code-header') ||
-        event.target.closest('.section-toggle')) {
+        event.target.closest('.section-toggle') ||
+        event.target.closest('.sidenote')) {
       return;
     }
     
-    // Skip direct-text messages which don't have avatar icons
-    if (messageEl.getAttribute('data-speaker') === 'direct-text') {
+    // Skip direct-text messages and tool cards, which don't have avatar icons
+    if (messageEl.getAttribute('data-speaker') === 'direct-text' || messageEl.classList.contains('tool-card')) {
       return;
     }
     
-    // If the message is already selected, deselect it
-    if (messageEl.classList.contains('selected')) {
-      messageEl.classList.remove('selected');
-      selectedMessage = null;
+    if (event.shiftKey && selectionAnchor && selectionAnchor !== messageEl && selectionAnchor.isConnected) {
+      // Extend the selection from the anchor to this message
+      selectMessages(getMessagesBetween(selectionAnchor, messageEl));
+    } else if (messageEl.classList.contains('selected')) {
+      // If the message is already selected, deselect it
+      selectMessages([]);
     } else {
-      // Deselect any previously selected message
-      if (selectedMessage) {
-        selectedMessage.classList.remove('selected');
-      }
-      
       // Select this message
-      messageEl.classList.add('selected');
-      selectedMessage = messageEl;
+      selectMessages([messageEl]);
+      selectionAnchor = messageEl;
     }
   });
   
@@ -62,8 +62,35 @@ export function initMessageClickToggle() {
   }
 }
 
-// Track which message is currently selected
-let selectedMessage = null;
+// Track which messages are currently selected, and the one a shift-click extends from
+let selectedMessages = [];
+let selectionAnchor = null;
+
+/**
+ * Replace the selection
+ * @param {Array<HTMLElement>} messages - Messages to select, in document order
+ */
+function selectMessages(messages) {
+  selectedMessages.forEach(message => message.classList.remove('selected'));
+  selectedMessages = messages;
+  selectedMessages.forEach(message => message.classList.add('selected'));
+  if (messages.length === 0) selectionAnchor = null;
+  updateShareButton(selectedMessages);
+}
+
+/**
+ * Get the messages from one message to another, whichever comes first
+ * Tool cards and messages the animation has not revealed yet are left out.
+ * @param {HTMLElement} from - One end of the range
+ * @param {HTMLElement} to - The other end
+ * @returns {Array<HTMLElement>} Messages in document order
+ */
+function getMessagesBetween(from, to) {
+  const messages = [...document.querySelectorAll('.message')];
+  const [start, end] = [messages.indexOf(from), messages.indexOf(to)].sort((a, b) => a - b);
+  return messages.slice(start, end + 1)
+    .filter(message => !message.classList.contains('tool-card') && !message.classList.contains('hidden'));
+}
 
 /**
  * Initialize the application
@@ -81,6 +108,11 @@ export async function initApp() {
     // Mark as initialized immediately to prevent race conditions
     isInitialized = true;
     
+    // ?print shows the whole conversation with the print stylesheet
+    if (isPrintMode()) {
+      initPrintMode();
+    }
+    
     // Apply theme immediately to avoid flicker
     if (window.themeControls) {
       window.themeControls.initTheme();
@@ -101,11 +133,15 @@ export async function initApp() {
     // Initialize message click toggle functionality
     initMessageClickToggle();
 
+    // Wikilinks preview their term on hover, in conversations, the wiki and the directory
+    initWikiPreviews();
+
     // Determine which view to show based on URL parameters
     const urlParams = new URLSearchParams(window.location.search);
-    const chatPath = urlParams.get('path');
+    let chatPath = urlParams.get('path');
+    const wikiSlug = urlParams.get('wiki');
     
-    debugLog(`URL parameters: path=${chatPath}`);
+    debugLog(`URL parameters: path=${chatPath}, wiki=${wikiSlug}`);
     debugLog(`Current URL: ${window.location.href}`);
     
     // Check for the container elements
@@ -126,10 +162,29 @@ export async function initApp() {
       debugLog(`Error getting post-container: ${e.message}`);
     }
     
+    // Pages built by scripts/build-static.js carry their conversation path instead of a URL parameter
+    if (!chatPath && markdownContent && markdownContent.hasAttribute('data-prerendered')) {
+      chatPath = markdownContent.getAttribute('data-path');
+      debugLog(`Pre-rendered page for path: ${chatPath}`);
+    }
+    
     // Check if the chat scanner is available
     debugLog(`chatScanner available: ${window.chatScanner ? 'yes' : 'no'}`);
     
-    if (chatPath) {
+    if (wikiSlug !== null && !chatPath) {
+      // Wiki mode - show a term's definition and mentions
+      debugLog('Starting wiki view mode');
+      
+      if (markdownContent) markdownContent.style.display = 'block';
+      if (postContainer) postContainer.style.display = 'none';
+      
+      try {
+        await window.appController.initWikiView(window.chatAst.getWikiSlug(wikiSlug));
+      } catch (e) {
+        debugLog(`Error in wiki view: ${e.message}`);
+        console.error('Wiki view error:', e);
+      }
+    } else if (chatPath) {
       // Chat viewer mode - show specific chat
       debugLog('Starting chat viewer mode');
       
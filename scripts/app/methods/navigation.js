@@ -3,20 +3,80 @@
  * Contains methods for handling page navigation and scrolling
  */
 
+/**
+ * Decode a URL fragment, keeping it as written when it is not valid percent-encoding
+ * @param {string} fragment - Fragment without the leading #
+ * @returns {string} Decoded fragment
+ */
+function decodeHashFragment(fragment) {
+  try {
+    return decodeURIComponent(fragment);
+  } catch (error) {
+    return fragment;
+  }
+}
+
+/**
+ * Find the bubbles that hold a range of messages
+ * A bubble carries the id of its first message, so a message merged into a bubble belongs
+ * to the last bubble of its section numbered at or before it.
+ * @param {Object} range - { start, end } from window.chatAst.parseMessageRange
+ * @returns {Array<HTMLElement>} Bubbles in document order, empty when the range is not in the page
+ */
+function findMessageRange(range) {
+  const bubbles = [...document.querySelectorAll('.message[id]')].filter(bubble => window.chatAst.parseMessageId(bubble.id));
+  const containing = id => {
+    const target = window.chatAst.parseMessageId(id);
+    return bubbles.filter(bubble => {
+      const message = window.chatAst.parseMessageId(bubble.id);
+      return message.section === target.section && message.number <= target.number;
+    }).pop();
+  };
+
+  const first = containing(range.start);
+  const last = containing(range.end);
+  if (!first || !last) return [];
+
+  // A range written backwards covers the same messages
+  const [from, to] = [bubbles.indexOf(first), bubbles.indexOf(last)].sort((a, b) => a - b);
+  return bubbles.slice(from, to + 1);
+}
+
 /**
  * Function to scroll to the hash fragment after page load
+ * Handles section ids, header text and message links: #setup/m-3 or a range, #setup/m-3..m-7
  */
 export function scrollToHashFragment() {
   if (window.location.hash) {
     debugLog(`Scrolling to hash fragment: ${window.location.hash}`);
-    const hashFragment = window.location.hash.substring(1); // Remove the # character
+    const hashFragment = decodeHashFragment(window.location.hash.substring(1)); // Remove the # character
+    
+    // A new link replaces the highlight of the previous one
+    document.querySelectorAll('.message.message-highlight').forEach(message => message.classList.remove('message-highlight'));
     
-    // Try to find element by ID or by header text
-    let targetElement = document.getElementById(hashFragment);
+    // Message links (#setup/m-3, #setup/m-3..m-7) reveal everything up to the last message of the range
+    const range = window.chatAst ? window.chatAst.parseMessageRange(hashFragment) : null;
+    const rangeMessages = range ? findMessageRange(range) : [];
+    
+    // Section ids come from the conversation AST; look among sections first, since a slug
+    // such as chat-nav can also be the id of an element of the page itself
+    let targetElement = null;
+    let revealElement = null;
+    const section = rangeMessages.length ? null : document.querySelector(`.chat-section[id="${CSS.escape(hashFragment)}"]`);
+    if (rangeMessages.length) {
+      rangeMessages.forEach(message => message.classList.add('message-highlight'));
+      targetElement = rangeMessages[0];
+      revealElement = rangeMessages[rangeMessages.length - 1];
+    } else if (section) {
+      // Scroll to the section's header, which sits just before it
+      const header = section.previousElementSibling;
+      targetElement = header && header.classList.contains('chat-section-header') ? header : section;
+    } else {
+      targetElement = document.getElementById(hashFragment);
+    }
     
-    // If not found by ID, try to find by header text (for section headers)
+    // Links made before sections had slug ids used the lowercased header text
     if (!targetElement) {
-      // Normalize the hash fragment (this matches how header IDs are generated in many systems)
       const normalizedHash = hashFragment.toLowerCase().replace(/-/g, ' ');
       
       // Look for chat section headers that match
@@ -34,7 +94,7 @@ export function scrollToHashFragment() {
       // Make all elements up to this target visible immediately
       if (window.chatAnimations && window.chatAnimations.makeElementsVisibleUpTo) {
         // Use the new method to make all elements up to and including the target visible
-        const elementsShown = window.chatAnimations.makeElementsVisibleUpTo(targetElement);
+        const elementsShown = window.chatAnimations.makeElementsVisibleUpTo(revealElement || targetElement);
         debugLog(`Made ${elementsShown} elements visible immediately to reveal target section`);
       }
       
@@ -0,0 +1,72 @@
+/**
+ * Machine Yearning App - Print Methods
+ * Contains methods for the ?print reading mode used to print conversations or save them as PDF
+ */
+
+const DIAGRAM_WAIT_LIMIT = 10000; // ms to wait for diagrams before printing without them
+
+/**
+ * Check whether the page was opened in print mode (index.html?path=...&print)
+ * @returns {boolean} True in print mode
+ */
+export function isPrintMode() {
+  return new URLSearchParams(window.location.search).has('print');
+}
+
+/**
+ * Switch the page into print mode before the conversation is rendered
+ * The print stylesheet is normally limited to media="print"; here it also applies on screen
+ * so the page looks the way it will print
+ */
+export function initPrintMode() {
+  document.documentElement.setAttribute('data-print', 'true');
+
+  const printStyles = document.getElementById('print-styles');
+  if (printStyles) {
+    printStyles.media = 'all';
+  }
+
+  debugLog('Print mode enabled');
+}
+
+/**
+ * Show the whole conversation at once and open the print dialog
+ * Takes the place of the animator: every message and header is made visible
+ * and every collapsed section and tool card is expanded
+ * @param {HTMLElement} markdownContent - The chat container
+ */
+export function preparePrintView(markdownContent) {
+  markdownContent.querySelectorAll('.message').forEach(msg => {
+    msg.classList.remove('hidden');
+    msg.classList.add('visible');
+  });
+
+  markdownContent.querySelectorAll('.chat-section-header').forEach(header => {
+    header.classList.remove('header-hidden');
+    header.classList.add('header-visible');
+  });
+
+  markdownContent.querySelectorAll('.chat-section.collapsed').forEach(section => {
+    section.classList.remove('collapsed');
+  });
+
+  markdownContent.querySelectorAll('.section-toggle').forEach(button => {
+    button.setAttribute('aria-expanded', 'true');
+  });
+
+  markdownContent.querySelectorAll('.tool-details').forEach(details => {
+    details.open = true;
+  });
+
+  // Wait for web fonts so the first printed page is not set in a fallback font, and for
+  // diagrams, which are drawn after their renderer downloads; a stalled download does not
+  // hold the dialog back for good
+  const fontsReady = document.fonts ? document.fonts.ready : Promise.resolve();
+  const diagramsReady = typeof whenDiagramsRendered === 'function'
+    ? Promise.race([whenDiagramsRendered(), new Promise(resolve => setTimeout(resolve, DIAGRAM_WAIT_LIMIT))])
+    : Promise.resolve();
+  Promise.all([fontsReady, diagramsReady]).then(() => {
+    debugLog('Opening print dialog');
+    window.print();
+  });
+}
@@ -0,0 +1,484 @@
+/**
+ * Machine Yearning App - Share Methods
+ * Draws the selected messages as a quote card (a PNG with the bubbles, speaker icons and captions
+ * in the current theme's colors, the conversation title and a link back) and shares or downloads it
+ */
+
+const CARD_WIDTH = 600; // px, before scaling
+const CARD_SCALE = 2; // device pixels per px, so the image stays sharp on high-density screens
+const CARD_PADDING = 32;
+const ICON_SIZE = 28;
+const ICON_GAP = 10;
+const BUBBLE_WIDTH = 0.78; // share of the card's inner width a bubble may take
+const BUBBLE_PADDING_X = 16;
+const BUBBLE_PADDING_Y = 12;
+const MESSAGE_GAP = 18;
+const FONT_SIZE = 15;
+const LINE_HEIGHT = 22;
+const MAX_LINES = 14; // longer messages are cut with an ellipsis
+
+let shareButton = null;
+let sharedMessages = [];
+
+/**
+ * Read a CSS color from an element, falling back when it is transparent
+ * @param {CSSStyleDeclaration} style - Computed style
+ * @param {string} property - Property name
+ * @param {string} fallback - Color to use instead of a transparent one
+ * @returns {string} CSS color
+ */
+function readColor(style, property, fallback) {
+  const value = style.getPropertyValue(property).trim();
+  return !value || value === 'transparent' || value === 'rgba(0, 0, 0, 0)' ? fallback : value;
+}
+
+/**
+ * Get the text of a message's visible content, one entry per block
+ * Reasoning, footnote lists and reference numbers are left out, as they are in the bubble's first read.
+ * @param {HTMLElement} message - Message element
+ * @returns {Array<Object>} Blocks as { text, code }
+ */
+function readBlocks(message) {
+  const content = message.querySelector('.content:not([hidden])');
+  if (!content) return [];
+
+  const copy = content.cloneNode(true);
+  copy.querySelectorAll('details.reasoning, .footnotes, .footnote-ref, .code-toolbar, .diagram-toolbar').forEach(element => element.remove());
+  copy.querySelectorAll('br').forEach(lineBreak => lineBreak.replaceWith('\n'));
+
+  // Runs of spaces collapse as they do on the page, but line breaks are kept
+  const clean = text => text.replace(/[^\S\n]+/g, ' ').replace(/ *\n */g, '\n').trim();
+
+  const blocks = [];
+  const read = element => {
+    [...element.children].forEach(child => {
+      const tag = child.tagName.toLowerCase();
+      if (tag === 'pre') {
+        blocks.push({ text: child.textContent.replace(/\n$/, ''), code: true });
+      } else if (tag === 'ul' || tag === 'ol') {
+        [...child.children].forEach((item, index) => {
+          const marker = tag === 'ol' ? `${index + 1}.` : '•';
+          blocks.push({ text: `${marker} ${clean(item.textContent)}`, code: false });
+        });
+      } else if (tag === 'blockquote' || tag === 'div') {
+        read(child);
+      } else {
+        const text = clean(child.textContent);
+        if (text) blocks.push({ text, code: false });
+      }
+    });
+  };
+  read(copy);
+
+  // Plain text without block elements
+  if (blocks.length === 0 && copy.textContent.trim()) {
+    blocks.push({ text: clean(copy.textContent), code: false });
+  }
+  return blocks;
+}
+
+/**
+ * Read what the card needs from a rendered message
+ * @param {HTMLElement} message - Message element
+ * @param {DOMRect} containerRect - Bounds of the conversation, to tell which side the bubble is on
+ * @returns {Object} { narration, side, color, caption, captionColor, iconUrl, iconColor, blocks }
+ */
+function readMessage(message, containerRect) {
+  const style = getComputedStyle(message);
+  const iconStyle = getComputedStyle(message, '::before');
+  const caption = message.querySelector(':scope > .speaker-caption');
+  const rect = message.getBoundingClientRect();
+  const mask = iconStyle.getPropertyValue('mask-image') || iconStyle.getPropertyValue('-webkit-mask-image');
+  const iconMatch = mask.match(/url\(["']?(.*?)["']?\)/);
+
+  return {
+    narration: message.getAttribute('data-speaker') === 'direct-text',
+    side: rect.left + rect.width / 2 > containerRect.left + containerRect.width / 2 ? 'right' : 'left',
+    color: readColor(style, 'border-top-color', '#909090'),
+    caption: caption ? caption.textContent.trim() : '',
+    captionColor: caption ? readColor(getComputedStyle(caption), 'color', '#888888') : '',
+    iconUrl: iconMatch ? iconMatch[1] : null,
+    iconColor: readColor(iconStyle, 'background-color', '#909090'),
+    blocks: readBlocks(message)
+  };
+}
+
+/**
+ * Load an icon and tint it with its speaker's color, as the stylesheet's mask does
+ * @param {string|null} url - Icon URL
+ * @param {string} color - Speaker color
+ * @returns {Promise<HTMLCanvasElement|null>} Tinted icon, or null when it cannot be loaded
+ */
+function loadIcon(url, color) {
+  if (!url) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const image = new Image();
+    image.onload = () => {
+      const icon = document.createElement('canvas');
+      icon.width = icon.height = ICON_SIZE * CARD_SCALE;
+      const context = icon.getContext('2d');
+      context.drawImage(image, 0, 0, icon.width, icon.height);
+      context.globalCompositeOperation = 'source-in';
+      context.fillStyle = color;
+      context.fillRect(0, 0, icon.width, icon.height);
+      resolve(icon);
+    };
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+}
+
+/**
+ * Break text into lines that fit a width
+ * @param {CanvasRenderingContext2D} context - Context with the font set
+ * @param {string} text - Text to wrap
+ * @param {number} width - Maximum line width
+ * @returns {Array<string>} Lines
+ */
+function wrapText(context, text, width) {
+  const lines = [];
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/(\s+)/).forEach(word => {
+      const candidate = line + word;
+      if (line && context.measureText(candidate).width > width) {
+        lines.push(line.trimEnd());
+        line = word.trimStart();
+      } else {
+        line = candidate;
+      }
+
+      // A single word wider than the line is broken by characters
+      while (context.measureText(line).width > width && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && context.measureText(line.slice(0, cut)).width > width) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    });
+    lines.push(line.trimEnd());
+  });
+  return lines;
+}
+
+/**
+ * Shorten text with an ellipsis until it fits a width
+ * @param {CanvasRenderingContext2D} context - Context with the font set
+ * @param {string} text - Text
+ * @param {number} width - Maximum width
+ * @returns {string} Text ending in an ellipsis
+ */
+function addEllipsis(context, text, width) {
+  let kept = text;
+  while (kept && context.measureText(`${kept}…`).width > width) kept = kept.slice(0, -1);
+  return `${kept.trimEnd()}…`;
+}
+
+/**
+ * Cut lines down to a maximum, ending the last one with an ellipsis when anything was cut
+ * @param {CanvasRenderingContext2D} context - Context with the font set
+ * @param {Array<string>} lines - Lines
+ * @param {number} max - Maximum number of lines
+ * @param {number} width - Maximum line width
+ * @returns {Array<string>} Lines
+ */
+function fitLines(context, lines, max, width) {
+  const kept = lines.slice(0, max);
+  const last = kept.length - 1;
+  if (lines.length > max || context.measureText(kept[last]).width > width) {
+    kept[last] = addEllipsis(context, kept[last], width);
+  }
+  return kept;
+}
+
+/**
+ * Trace a rectangle with rounded corners
+ * @param {CanvasRenderingContext2D} context - Drawing context
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} radius - Corner radius
+ */
+function roundedRect(context, x, y, width, height, radius) {
+  context.beginPath();
+  context.moveTo(x + radius, y);
+  context.arcTo(x + width, y, x + width, y + height, radius);
+  context.arcTo(x + width, y + height, x, y + height, radius);
+  context.arcTo(x, y + height, x, y, radius);
+  context.arcTo(x, y, x + width, y, radius);
+  context.closePath();
+}
+
+/**
+ * Get the conversation's title as shown above it
+ * @returns {string} Title
+ */
+function getConversationTitle() {
+  const title = document.getElementById('chat-title');
+  return (title && title.textContent.trim()) || document.title.replace(/\s*\|\s*Machine Yearning$/, '');
+}
+
+/**
+ * Get the link to a range of messages
+ * @param {Array<HTMLElement>} messages - Messages in document order
+ * @returns {string} Absolute URL
+ */
+function getMessagesUrl(messages) {
+  const ids = messages.filter(message => window.chatAst.parseMessageId(message.id)).map(message => message.id);
+  const hash = ids.length ? `#${window.chatAst.formatMessageRange(ids[0], ids[ids.length - 1])}` : '';
+  return `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+}
+
+/**
+ * Draw messages as a quote card
+ * @param {Array<HTMLElement>} messages - Messages in document order
+ * @returns {Promise<HTMLCanvasElement>} The card
+ */
+export async function renderQuoteCard(messages) {
+  if (document.fonts && document.fonts.ready) await document.fonts.ready;
+
+  const container = messages[0].closest('.chat-container') || document.body;
+  const pageStyle = getComputedStyle(document.body);
+  const contentStyle = getComputedStyle(messages[0].querySelector('.content') || messages[0]);
+  const rootStyle = getComputedStyle(document.documentElement);
+
+  const palette = {
+    background: readColor(pageStyle, 'background-color', readColor(rootStyle, '--background-color', '#ffffff')),
+    text: readColor(contentStyle, 'color', '#333333'),
+    muted: readColor(rootStyle, '--muted-color', '#888888'),
+    border: readColor(rootStyle, '--border-color', '#eeeeee')
+  };
+  const fontFamily = contentStyle.fontFamily || 'sans-serif';
+  const fonts = {
+    text: `${FONT_SIZE}px ${fontFamily}`,
+    narration: `italic ${FONT_SIZE}px ${fontFamily}`,
+    code: `${FONT_SIZE - 2}px ui-monospace, SFMono-Regular, Menlo, monospace`,
+    caption: `600 12px ${fontFamily}`,
+    title: `700 20px ${fontFamily}`,
+    footer: `12px ${fontFamily}`
+  };
+
+  const containerRect = container.getBoundingClientRect();
+  const items = messages.map(message => readMessage(message, containerRect));
+  const icons = await Promise.all(items.map(item => item.narration ? null : loadIcon(item.iconUrl, item.iconColor)));
+
+  // Measure first: every message becomes a list of lines with their fonts
+  const measure = document.createElement('canvas').getContext('2d');
+  const innerWidth = CARD_WIDTH - CARD_PADDING * 2;
+  const bubbleTextWidth = innerWidth * BUBBLE_WIDTH - BUBBLE_PADDING_X * 2;
+
+  const layouts = items.map(item => {
+    const width = item.narration ? innerWidth : bubbleTextWidth;
+    const lines = [];
+    item.blocks.forEach((block, index) => {
+      const font = block.code ? fonts.code : item.narration ? fonts.narration : fonts.text;
+      measure.font = font;
+      if (index > 0) lines.push({ text: '', font, gap: true });
+      wrapText(measure, block.text, width).forEach(text => lines.push({ text, font }));
+    });
+
+    const kept = lines.slice(0, MAX_LINES);
+    if (lines.length > MAX_LINES) {
+      const last = kept[kept.length - 1];
+      measure.font = last.font;
+      last.text = addEllipsis(measure, last.text, width);
+    }
+
+    const textWidth = Math.max(0, ...kept.map(line => {
+      measure.font = line.font;
+      return measure.measureText(line.text).width;
+    }));
+    const textHeight = kept.reduce((height, line) => height + (line.gap ? LINE_HEIGHT / 2 : LINE_HEIGHT), 0);
+    return {
+      lines: kept,
+      bubbleWidth: Math.min(width, Math.ceil(textWidth)) + BUBBLE_PADDING_X * 2,
+      height: (item.caption ? 18 : 0) + (item.narration ? textHeight : textHeight + BUBBLE_PADDING_Y * 2)
+    };
+  });
+
+  measure.font = fonts.title;
+  const titleLines = fitLines(measure, wrapText(measure, getConversationTitle(), innerWidth), 2, innerWidth);
+  const headerHeight = titleLines.length * 26 + 20;
+  const bodyHeight = layouts.reduce((height, layout) => height + layout.height, 0) + MESSAGE_GAP * (layouts.length - 1);
+  const footerHeight = 44;
+  const height = CARD_PADDING * 2 + headerHeight + bodyHeight + footerHeight;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = CARD_WIDTH * CARD_SCALE;
+  canvas.height = Math.ceil(height * CARD_SCALE);
+  const context = canvas.getContext('2d');
+  context.scale(CARD_SCALE, CARD_SCALE);
+  context.textBaseline = 'top';
+
+  context.fillStyle = palette.background;
+  context.fillRect(0, 0, CARD_WIDTH, height);
+
+  // Title
+  let y = CARD_PADDING;
+  context.fillStyle = palette.text;
+  context.font = fonts.title;
+  titleLines.forEach(line => {
+    context.fillText(line, CARD_PADDING, y);
+    y += 26;
+  });
+  y += 20;
+
+  // Bubbles, with their icons outside and their captions above, on the side they are shown on
+  items.forEach((item, index) => {
+    const layout = layouts[index];
+    const right = item.side === 'right';
+    const bubbleLeft = right
+      ? CARD_WIDTH - CARD_PADDING - ICON_SIZE - ICON_GAP - layout.bubbleWidth
+      : CARD_PADDING + ICON_SIZE + ICON_GAP;
+
+    if (item.caption) {
+      context.font = fonts.caption;
+      context.fillStyle = item.captionColor;
+      context.textAlign = right ? 'right' : 'left';
+      context.fillText(item.caption, right ? bubbleLeft + layout.bubbleWidth : bubbleLeft, y);
+      context.textAlign = 'left';
+      y += 18;
+    }
+
+    let textLeft = CARD_PADDING;
+    let textTop = y;
+    if (!item.narration) {
+      const bubbleHeight = layout.height - (item.caption ? 18 : 0);
+      roundedRect(context, bubbleLeft, y, layout.bubbleWidth, bubbleHeight, 8);
+      context.fillStyle = palette.background;
+      context.fill();
+      context.lineWidth = 2;
+      context.strokeStyle = item.color;
+      context.stroke();
+
+      const iconLeft = right ? CARD_WIDTH - CARD_PADDING - ICON_SIZE : CARD_PADDING;
+      const iconTop = y + bubbleHeight / 2 - ICON_SIZE / 2;
+      if (icons[index]) {
+        context.drawImage(icons[index], iconLeft, iconTop, ICON_SIZE, ICON_SIZE);
+      } else {
+        context.beginPath();
+        context.arc(iconLeft + ICON_SIZE / 2, iconTop + ICON_SIZE / 2, ICON_SIZE / 2 - 2, 0, Math.PI * 2);
+        context.fillStyle = item.iconColor;
+        context.fill();
+      }
+
+      textLeft = bubbleLeft + BUBBLE_PADDING_X;
+      textTop = y + BUBBLE_PADDING_Y;
+    }
+
+    context.fillStyle = item.narration ? palette.muted : palette.text;
+    layout.lines.forEach(line => {
+      if (line.gap) {
+        textTop += LINE_HEIGHT / 2;
+        return;
+      }
+      context.font = line.font;
+      context.fillText(line.text, textLeft, textTop + (LINE_HEIGHT - FONT_SIZE) / 2);
+      textTop += LINE_HEIGHT;
+    });
+
+    y += (item.caption ? layout.height - 18 : layout.height) + MESSAGE_GAP;
+  });
+
+  // Link back to the messages
+  y += 20 - MESSAGE_GAP;
+  context.fillStyle = palette.border;
+  context.fillRect(CARD_PADDING, y, innerWidth, 1);
+  context.font = fonts.footer;
+  context.fillStyle = palette.muted;
+  const url = getMessagesUrl(messages).replace(/^https?:\/\//, '');
+  context.fillText(fitLines(context, [url], 1, innerWidth)[0], CARD_PADDING, y + 12);
+
+  return canvas;
+}
+
+/**
+ * Share the card through the system share sheet, or download it where files cannot be shared
+ * @param {Array<HTMLElement>} messages - Messages in document order
+ * @returns {Promise<void>}
+ */
+async function shareQuoteCard(messages) {
+  const canvas = await renderQuoteCard(messages);
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) throw new Error('The image could not be created');
+
+  const slug = getConversationTitle().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'conversation';
+  const range = getMessagesUrl(messages).split('#')[1] || '';
+  const name = `${slug}${range ? `-${range.replace('..', '-')}` : ''}.png`;
+  const file = new File([blob], name, { type: 'image/png' });
+
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title: getConversationTitle(), url: getMessagesUrl(messages) });
+      return;
+    } catch (error) {
+      // Closing the share sheet is not a failure
+      if (error.name === 'AbortError') return;
+    }
+  }
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Create the share button, once per page
+ * @returns {HTMLElement} The button element
+ */
+function getShareButton() {
+  if (shareButton) return shareButton;
+
+  shareButton = document.createElement('button');
+  shareButton.type = 'button';
+  shareButton.className = 'share-card-button';
+  shareButton.hidden = true;
+  shareButton.textContent = 'Share as image';
+
+  shareButton.addEventListener('click', async event => {
+    // Keep the selection: the click toggle clears it on clicks outside messages
+    event.stopPropagation();
+    if (sharedMessages.length === 0) return;
+
+    shareButton.disabled = true;
+    shareButton.textContent = 'Drawing…';
+    try {
+      await shareQuoteCard(sharedMessages);
+    } catch (error) {
+      console.error('Could not share the messages as an image:', error);
+    } finally {
+      shareButton.disabled = false;
+      shareButton.textContent = 'Share as image';
+    }
+  });
+
+  document.body.appendChild(shareButton);
+  return shareButton;
+}
+
+/**
+ * Offer "Share as image" under the last selected message, or hide the offer without a selection
+ * @param {Array<HTMLElement>} messages - Selected messages in document order
+ */
+export function updateShareButton(messages) {
+  sharedMessages = messages;
+  if (messages.length === 0) {
+    if (shareButton) shareButton.hidden = true;
+    return;
+  }
+
+  const button = getShareButton();
+  button.textContent = 'Share as image';
+  button.setAttribute('aria-label', messages.length === 1 ? 'Share the selected message as an image' : `Share the ${messages.length} selected messages as an image`);
+  button.hidden = false;
+
+  const rect = messages[messages.length - 1].getBoundingClientRect();
+  button.style.top = `${rect.bottom + window.scrollY + 6}px`;
+  button.style.left = `${rect.left + window.scrollX + rect.width / 2 - button.offsetWidth / 2}px`;
+}
@@ -0,0 +1,278 @@
+/**
+ * Machine Yearning App - Wiki Methods
+ * Contains the wiki view (index.html?wiki=term), which shows a term's definition page and every
+ * conversation section that links to it, and the hover previews of wikilinks
+ */
+
+const PREVIEW_DELAY = 300; // ms before a hovered link shows its preview
+const PREVIEW_HIDE_DELAY = 150; // ms grace period for moving the pointer onto the preview
+
+let preview = null;
+let previewLink = null;
+let previewTarget = null;
+let previewTimer = null;
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get the URL of a term's wiki view
+ * @param {string} slug - Term key from window.chatAst.getWikiSlug
+ * @returns {string} Relative URL
+ */
+function getWikiUrl(slug) {
+  return `index.html?wiki=${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Count the conversations that mention a term
+ * @param {Object} entry - Wiki entry from api.json
+ * @returns {number} Number of distinct conversations
+ */
+function countConversations(entry) {
+  return new Set(entry.mentions.filter(mention => !mention.wiki).map(mention => mention.path)).size;
+}
+
+/**
+ * Render a term's definition page, with its own wikilinks live
+ * @param {string} pagePath - Path of the page's markdown file
+ * @returns {Promise<string>} HTML
+ */
+async function renderDefinition(pagePath) {
+  const response = await fetch(window.chatScanner.getFileUrl(pagePath));
+  if (!response.ok) {
+    throw new Error(`Failed to load ${pagePath}: ${response.status}`);
+  }
+
+  const { body } = window.frontMatter.parse(await response.text());
+  const linked = window.chatAst.replaceWikilinks(body, (term, label) => {
+    const slug = window.chatAst.getWikiSlug(term);
+    return `<a href="${getWikiUrl(slug)}" class="wikilink" data-wiki="${slug}">${label}</a>`;
+  });
+  return window.marked.parse(linked);
+}
+
+/**
+ * Render the list of conversations and sections that mention a term, grouped by conversation
+ * @param {Object} entry - Wiki entry from api.json
+ * @returns {string} HTML
+ */
+function renderMentions(entry) {
+  const groups = [];
+  entry.mentions.forEach(mention => {
+    let group = groups.find(candidate => candidate.path === mention.path);
+    if (!group) {
+      const href = mention.wiki ? getWikiUrl(mention.wiki) : `index.html?path=${mention.path}`;
+      group = { path: mention.path, title: mention.title, href, count: 0, sections: [] };
+      groups.push(group);
+    }
+
+    if (mention.section) {
+      group.sections.push({ text: mention.section, href: `${group.href}#${encodeURIComponent(mention.anchor)}`, count: mention.count });
+    } else {
+      group.count += mention.count;
+    }
+  });
+
+  const count = value => value > 1 ? ` <span class="wiki-mention-count">${value}</span>` : '';
+  const items = groups.map(group => {
+    const sections = group.sections
+      .map(section => `<li><a href="${escapeHtml(section.href)}">${escapeHtml(section.text)}</a>${count(section.count)}</li>`)
+      .join('');
+    return `<li><a href="${escapeHtml(group.href)}">${escapeHtml(group.title)}</a>${count(group.count)}` +
+      (sections ? `<ul>${sections}</ul>` : '') + '</li>';
+  });
+
+  return `<ul class="wiki-mention-list">${items.join('')}</ul>`;
+}
+
+/**
+ * Point the chat navigation at a term's alphabetical neighbours and show its name
+ * @param {string} slug - Term key
+ * @param {string} term - Term as shown
+ */
+function updateWikiNavigation(slug, term) {
+  const slugs = Object.keys(window.chatScanner.wiki).sort((a, b) => a.localeCompare(b));
+  const index = slugs.indexOf(slug);
+  const prev = index > 0 ? slugs[index - 1] : null;
+  const next = index !== -1 && index < slugs.length - 1 ? slugs[index + 1] : null;
+
+  ['', '-footer'].forEach(suffix => {
+    const nav = document.getElementById(`chat-nav${suffix}`);
+    const title = document.getElementById(`chat-title${suffix}`);
+    if (!nav || !title) return;
+
+    nav.style.display = 'flex';
+    title.textContent = term;
+    [[`prev-link${suffix}`, prev], [`next-link${suffix}`, next]].forEach(([id, target]) => {
+      const link = document.getElementById(id);
+      if (!link) return;
+      link.href = target ? getWikiUrl(target) : '#';
+      link.classList.toggle('disabled', !target);
+    });
+  });
+}
+
+/**
+ * Initialize the wiki view for a term
+ * @param {string} slug - Term key from the wiki URL parameter
+ */
+export async function initWikiView(slug) {
+  const markdownContent = document.getElementById('markdown-content');
+  if (!markdownContent || !window.chatScanner) {
+    console.error('Wiki view needs the markdown content container and the chat scanner');
+    return;
+  }
+
+  try {
+    debugLog(`Initializing wiki view for: ${slug}`);
+    await window.chatScanner.init();
+
+    const entry = window.chatScanner.getWikiEntry(slug);
+    const term = entry ? entry.term : slug.replace(/-/g, ' ');
+    document.title = `${term} | Machine Yearning`;
+    updateWikiNavigation(slug, term);
+
+    let definition = `<p class="wiki-empty">No definition yet. Add one as <code>content/wiki/${escapeHtml(term)}.md</code>.</p>`;
+    if (entry && entry.page) {
+      definition = `<div class="wiki-definition">${await renderDefinition(entry.page)}</div>`;
+    }
+
+    const mentions = entry && entry.mentions.length
+      ? `<h2>Mentioned in</h2>${renderMentions(entry)}`
+      : '<p class="wiki-empty">Nothing links to this term yet.</p>';
+
+    markdownContent.innerHTML = `<article class="wiki-page" data-wiki="${escapeHtml(slug)}">` +
+      `${definition}<section class="wiki-mentions">${mentions}</section></article>`;
+  } catch (error) {
+    debugLog(`Error in initWikiView: ${error.message}`);
+    console.error('Error initializing wiki view:', error);
+    markdownContent.innerHTML = `
+      <div class="error-message">
+        <p><strong>Error loading wiki page:</strong> ${escapeHtml(error.message)}</p>
+        <p><a href="index.html">Return to Home</a></p>
+      </div>
+    `;
+  }
+}
+
+/**
+ * Create the preview popover, once per page
+ * @returns {HTMLElement} The preview element
+ */
+function getPreview() {
+  if (preview) return preview;
+
+  preview = document.createElement('div');
+  preview.className = 'wiki-preview';
+  preview.id = 'wiki-preview';
+  preview.setAttribute('role', 'tooltip');
+  preview.hidden = true;
+
+  // Moving onto the preview keeps it open
+  preview.addEventListener('mouseenter', () => clearTimeout(previewTimer));
+  preview.addEventListener('mouseleave', () => scheduleHidePreview());
+
+  document.body.appendChild(preview);
+  return preview;
+}
+
+/**
+ * Show the preview of a wikilink under it
+ * @param {HTMLElement} link - Link with a data-wiki attribute
+ */
+async function showPreview(link) {
+  const slug = link.getAttribute('data-wiki');
+  previewTarget = link;
+  await window.chatScanner.init();
+
+  // The pointer may have left while the index loaded
+  if (previewTarget !== link) return;
+  const entry = window.chatScanner.getWikiEntry(slug);
+
+  const element = getPreview();
+  const conversations = entry ? countConversations(entry) : 0;
+  const summary = entry && entry.summary
+    ? `<p class="wiki-preview-summary">${escapeHtml(entry.summary)}</p>`
+    : '<p class="wiki-preview-summary wiki-empty">No definition yet.</p>';
+  element.innerHTML = `<strong class="wiki-preview-term">${escapeHtml(entry ? entry.term : link.textContent)}</strong>${summary}` +
+    `<span class="wiki-preview-meta">Mentioned in ${conversations} conversation${conversations === 1 ? '' : 's'}</span>`;
+
+  if (previewLink && previewLink !== link) previewLink.removeAttribute('aria-describedby');
+  previewLink = link;
+  link.setAttribute('aria-describedby', element.id);
+  element.hidden = false;
+
+  // Below the link, kept inside the viewport
+  const rect = link.getBoundingClientRect();
+  const maxLeft = document.documentElement.clientWidth - element.offsetWidth - 8;
+  element.style.top = `${rect.bottom + window.scrollY + 6}px`;
+  element.style.left = `${Math.max(8, Math.min(rect.left, maxLeft)) + window.scrollX}px`;
+}
+
+/**
+ * Hide the preview
+ */
+function hidePreview() {
+  clearTimeout(previewTimer);
+  previewTarget = null;
+  if (preview) preview.hidden = true;
+  if (previewLink) {
+    previewLink.removeAttribute('aria-describedby');
+    previewLink = null;
+  }
+}
+
+/**
+ * Hide the preview after a short grace period
+ */
+function scheduleHidePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(hidePreview, PREVIEW_HIDE_DELAY);
+}
+
+/**
+ * Show a preview of the term when a wikilink is hovered or focused
+ */
+export function initWikiPreviews() {
+  if (!window.chatScanner) return;
+
+  document.addEventListener('mouseover', event => {
+    const link = event.target.closest('a[data-wiki]');
+    if (!link || link.contains(event.relatedTarget)) return;
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => showPreview(link), PREVIEW_DELAY);
+  });
+
+  document.addEventListener('mouseout', event => {
+    const link = event.target.closest('a[data-wiki]');
+    if (!link || link.contains(event.relatedTarget)) return;
+    scheduleHidePreview();
+  });
+
+  document.addEventListener('focusin', event => {
+    const link = event.target.closest('a[data-wiki]');
+    if (link) {
+      clearTimeout(previewTimer);
+      showPreview(link);
+    }
+  });
+
+  document.addEventListener('focusout', event => {
+    if (event.target.closest('a[data-wiki]')) hidePreview();
+  });
+
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && preview && !preview.hidden) hidePreview();
+  });
+}
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+/**
+ * Static Site Builder
+ * Pre-renders every conversation in api.json into its own HTML page, so the content is
+ * readable without JavaScript and visible to crawlers and link unfurlers.
+ *
+ * The output is a copy of the site with one extra page per conversation, written next to
+ * its markdown file (content/2025.04.15/2025.04.15.A.md gets 2025.04.15.A.html). In the
+ * browser, the viewer finds the pre-rendered markup and enhances it instead of fetching
+ * and converting the markdown. Conversations are rendered by the viewer's own converter,
+ * run in a jsdom window.
+ *
+ * Requires marked and jsdom: npm install --no-save marked jsdom
+ *
+ * Usage: node scripts/build-static.js [options]
+ *   --out <dir>        Directory to write the site to (default: _site)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const frontMatter = require('./front-matter.js');
+const chatAst = require('./chat-ast.js');
+const { parseArgs } = require('./import-utils.js');
+
+// The same KaTeX the browser loads, so math is typeset in the page itself
+const katex = require('../public/katex/katex.min.js');
+
+const SITE_NAME = 'Machine Yearning';
+
+// Files and folders that make up the site, relative to the repository root
+const SITE_FILES = ['index.html', 'api.json', 'settings.json', 'robots.txt', '.nojekyll', 'styles', 'scripts', 'public', 'content'];
+
+// Written into every output directory, so a rebuild only ever clears a directory this script made
+const BUILD_MARKER = '.static-build';
+
+let JSDOM;
+let marked;
+try {
+  ({ JSDOM } = require('jsdom'));
+  marked = require('marked');
+} catch (error) {
+  console.error('The static build needs marked and jsdom. Install them with: npm install --no-save marked jsdom');
+  process.exit(1);
+}
+
+/**
+ * Escape text for use in HTML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+
+let converterLoad = null;
+
+/**
+ * Load the viewer's converter into a DOM of its own, once, so pages are rendered by the same
+ * code the browser runs (scripts/converter/methods/processing.js)
+ * @returns {Promise<Function>} processChatContent
+ */
+function loadConverter() {
+  if (!converterLoad) {
+    const { window } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>');
+
+    // The converter's modules use the browser globals and the shared scripts index.html loads
+    Object.assign(globalThis, { window, document: window.document, Node: window.Node });
+    Object.assign(window, {
+      frontMatter,
+      chatAst,
+      speakerRoster: require('./speaker-roster.js'),
+      marked,
+      katex,
+      debugLog: () => {}
+    });
+    globalThis.debugLog = window.debugLog;
+
+    const processing = pathToFileURL(path.join(__dirname, 'converter', 'methods', 'processing.js')).href;
+    converterLoad = import(processing).then(module => module.processChatContent);
+  }
+  return converterLoad;
+}
+
+/**
+ * Render a conversation to the markup processChatContent builds in the browser
+ * Speaker icons, colors, captions, roster sides and timestamp labels are left to the browser,
+ * which applies them from settings.json and the front matter when it enhances the page.
+ * @param {string} markdown - Contents of the conversation file
+ * @param {string} chatPath - Path of the markdown file, which embedded files are resolved against
+ * @param {string} pagePath - Path of the page relative to the site root
+ * @returns {Promise<string>} HTML for the chat container
+ */
+async function renderConversationHtml(markdown, chatPath, pagePath) {
+  const processChatContent = await loadConverter();
+
+  document.body.innerHTML = '<div id="markdown-content"></div>';
+  const content = processChatContent({ rawMarkdown: markdown, chatPath, prerender: true });
+
+  // Pages set <base href> to the site root, so in-page anchors need the page path
+  content.querySelectorAll('a[href^="#"]').forEach(link => {
+    link.setAttribute('href', pagePath + link.getAttribute('href'));
+  });
+
+  return content.innerHTML;
+}
+
+/**
+ * Replace the first match of a pattern in the page template
+ * @param {string} html - Template HTML
+ * @param {RegExp} pattern - Pattern to replace
+ * @param {string|Function} replacement - Replacement
+ * @param {string} description - What is being replaced, for the error message
+ * @returns {string} Updated HTML
+ */
+function replaceInTemplate(html, pattern, replacement, description) {
+  if (!pattern.test(html)) {
+    throw new Error(`index.html has no ${description}; update scripts/build-static.js to match it`);
+  }
+  return html.replace(pattern, replacement);
+}
+
+/**
+ * Fill the index.html template with a pre-rendered conversation
+ * @param {string} template - Contents of index.html
+ * @param {Object} page - { path, htmlPath, title, metadata, body, prev, next }
+ * @returns {string} Page HTML
+ */
+function renderPage(template, page) {
+  const depth = page.htmlPath.split('/').length - 1;
+  const base = '../'.repeat(depth) || './';
+  const description = page.metadata.description ? String(page.metadata.description) : '';
+
+  const head = [
+    `<base href="${base}">`,
+    `<meta property="og:title" content="${escapeHtml(page.title)}">`,
+    `<meta property="og:type" content="article">`,
+    description ? `<meta name="description" content="${escapeHtml(description)}">` : '',
+    description ? `<meta property="og:description" content="${escapeHtml(description)}">` : '',
+    // Front matter for the viewer (pacing overrides, speaker roster); < is escaped so it cannot close the tag
+    `<script type="application/json" id="chat-metadata">${JSON.stringify(page.metadata).replace(/</g, '\\u003c')}</script>`
+  ].filter(Boolean).map(line => `  ${line}`).join('\n');
+
+  const navLink = (target, className, id) => target
+    ? `<a href="${escapeHtml(encodeURI(target.htmlPath))}" class="nav-link ${className}" id="${id}">`
+    : `<a class="nav-link ${className} disabled" id="${id}">`;
+
+  let html = template;
+
+  // The base must come before any relative URL in the head
+  html = replaceInTemplate(html, /(<meta charset="UTF-8">\n)/, `$1${head}\n`, 'charset meta tag');
+  html = replaceInTemplate(html, /<title>.*?<\/title>/, `<title>${escapeHtml(page.title)} | ${SITE_NAME}</title>`, '<title>');
+
+  // Navigation is shown and linked to the neighbouring static pages
+  html = replaceInTemplate(html, /(<div id="chat-nav(?:-footer)?" class="chat-nav [a-z-]+") style="display: none;"/g, '$1 style="display: flex;"', 'chat navigation');
+  html = replaceInTemplate(html, /<a href="#" class="nav-link prev-link" id="(prev-link(?:-footer)?)">/g, (match, id) => navLink(page.prev, 'prev-link', id), 'previous link');
+  html = replaceInTemplate(html, /<a href="#" class="nav-link next-link" id="(next-link(?:-footer)?)">/g, (match, id) => navLink(page.next, 'next-link', id), 'next link');
+  html = replaceInTemplate(html, /(<h2 class="chat-title" id="chat-title(?:-footer)?">)Chat(<\/h2>)/g, `$1${escapeHtml(page.title)}$2`, 'chat title');
+
+  // Swap the directory view for the conversation
+  html = replaceInTemplate(html, /<div id="post-container">/, '<div id="post-container" style="display: none;">', 'post container');
+  html = replaceInTemplate(
+    html,
+    /<div id="markdown-content" class="markdown-body" style="display: none;">[\s\S]*?<\/div>/,
+    () => `<div id="markdown-content" class="markdown-body" data-prerendered data-path="${escapeHtml(page.path)}">\n${page.body}\n    </div>`,
+    'markdown-content container'
+  );
+
+  return html;
+}
+
+/**
+ * Add plain links to every static page to the directory, for crawlers and readers without JavaScript
+ * The directory view replaces them when it loads.
+ * @param {string} template - Contents of index.html
+ * @param {Array<Object>} pages - Built pages
+ * @returns {string} Index HTML
+ */
+function renderIndex(template, pages) {
+  const links = pages
+    .map(page => `        <li><a href="${escapeHtml(encodeURI(page.htmlPath))}">${escapeHtml(page.title)}</a></li>`)
+    .join('\n');
+
+  return replaceInTemplate(
+    template,
+    /(<div id="loading" class="loading-indicator">.*?<\/div>)/,
+    `$1\n      <ul class="static-directory">\n${links}\n      </ul>`,
+    'loading indicator'
+  );
+}
+
+/**
+ * Check whether a path is a directory or sits inside it
+ * @param {string} parent - Absolute directory path
+ * @param {string} child - Absolute path
+ * @returns {boolean} True when child is parent or inside it
+ */
+function isWithin(parent, child) {
+  const relative = path.relative(parent, child);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Refuse output directories that clearing would lose work in: the repository or a folder
+ * holding it, the site's own files, and directories this script did not create
+ * @param {string} outDir - Output directory from --out
+ */
+function checkOutDir(outDir) {
+  const root = path.resolve('.');
+  const out = path.resolve(outDir);
+
+  if (isWithin(out, root)) {
+    throw new Error(`--out ${outDir} contains the repository; choose a directory of its own`);
+  }
+
+  const siteFile = SITE_FILES.find(name => isWithin(path.resolve(name), out));
+  if (siteFile) {
+    throw new Error(`--out ${outDir} would overwrite ${siteFile}, which is part of the site`);
+  }
+
+  if (fs.existsSync(out) && fs.readdirSync(out).length > 0 && !fs.existsSync(path.join(out, BUILD_MARKER))) {
+    throw new Error(`--out ${outDir} is not empty and was not made by this script; remove it or choose another directory`);
+  }
+}
+
+async function main() {
+  const { flags } = parseArgs(process.argv.slice(2), ['out']);
+  const outDir = typeof flags.out === 'string' ? flags.out : '_site';
+
+  if (!fs.existsSync('api.json') || !fs.existsSync('index.html')) {
+    console.error('Run this from the repository root after `node scripts/update-api.js`');
+    process.exit(1);
+  }
+
+  // Pages follow the order of api.json, which is also the order of the viewer's prev/next links.
+  // Drafts are only there when the index was built with --drafts, and then they are built too
+  const api = JSON.parse(fs.readFileSync('api.json', 'utf8'));
+  const files = Object.values(api.directories || {}).flat();
+
+  const pages = files.map(file => {
+    const markdown = fs.readFileSync(file.path, 'utf8');
+    const htmlPath = file.path.replace(/\.md$/, '.html');
+    return {
+      path: file.path,
+      htmlPath,
+      title: frontMatter.getTitle(markdown, file.name.replace(/\.md$/, '')),
+      markdown,
+      metadata: frontMatter.parse(markdown).data
+    };
+  });
+
+  // Start from a fresh copy of the site
+  checkOutDir(outDir);
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, BUILD_MARKER), '');
+  SITE_FILES.filter(name => fs.existsSync(name)).forEach(name => {
+    fs.cpSync(name, path.join(outDir, name), { recursive: true });
+  });
+
+  const template = fs.readFileSync('index.html', 'utf8');
+
+  for (const [index, page] of pages.entries()) {
+    const html = renderPage(template, {
+      ...page,
+      body: await renderConversationHtml(page.markdown, page.path, page.htmlPath),
+      prev: pages[index - 1] || null,
+      next: pages[index + 1] || null
+    });
+    fs.writeFileSync(path.join(outDir, page.htmlPath), html);
+  }
+
+  fs.writeFileSync(path.join(outDir, 'index.html'), renderIndex(template, pages));
+
+  console.log(`Built ${pages.length} pages into ${outDir}/`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error building static pages:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { renderConversationHtml, renderPage };
@@ -0,0 +1,1247 @@
+/**
+ * Conversation AST
+ * Parses a conversation file into a DOM-free tree of sections and messages.
+ * Shared between the browser (window.chatAst) and Node build scripts (require), so the
+ * viewer, the directory and the indexer all read conversations with the same rules.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./front-matter.js'));
+  } else {
+    root.chatAst = factory(root.frontMatter);
+  }
+})(typeof self !== 'undefined' ? self : this, function(frontMatter) {
+  // Section headers are ## to ###### (# is the document title), optionally closed with #s
+  const HEADER_LINE = /^(#{2,6})\s+(.+?)(?:\s+#+)?$/;
+
+  // A setext section header underlines one line of text with dashes
+  const SETEXT_UNDERLINE = /^-{2,}$/;
+
+  // Lines that start a list, quote, table, HTML block or header cannot be setext header text
+  const BLOCK_START = /^(?:[-*+]\s|\d+[.)]\s|[>|<#])/;
+
+  // Messages are numbered within their section: m-1, m-2 before the first header,
+  // setup/m-1, setup/m-2 under ## Setup {#setup}; a range of them is setup/m-3..m-7
+  const MESSAGE_ID_PREFIX = 'm-';
+  // A section id in a link cannot hold / or .., which end it and separate a range
+  const MESSAGE_ID = /^(?:((?:[^/.]|\.(?!\.))+)\/)?m-(\d+)$/;
+  const MESSAGE_RANGE = /^(?:((?:[^/.]|\.(?!\.))+)\/)?m-(\d+)(?:\.\.(?:((?:[^/.]|\.(?!\.))+)\/)?m-(\d+))?$/;
+
+  // An explicit section id at the end of a header: ## Setup {#setup}
+  const HEADER_ID = /\s*\{#([\p{L}\p{N}_.:-]+)\}$/u;
+
+  // Layout tag letters: {L}, {R}, {C} or {W}
+  const LAYOUT_POSITIONS = { L: 'left', R: 'right', C: 'center', W: 'wide' };
+
+  // Speaker tags must open the line: << SPEAKER {LAYOUT} >> or <<>> for direct text
+  const SPEAKER_LINE = /^<<\s*(.*?)(?:\s+\{(.*?)\})?\s*>>(.*)$/;
+
+  // Fenced code blocks, which suspend header and speaker detection. A block closes on a run of
+  // its opening character at least as long as the opening one, with nothing after it
+  const FENCE_LINE = /^(`{3,}|~{3,})/;
+  const CLOSING_FENCE = /^(`{3,}|~{3,})$/;
+
+  // A time at the end of a speaker tag: << USER @ 2025-04-15 14:02 >>
+  const TAG_TIME = /(?:^|\s)@\s*(\S.*)$/;
+
+  // A date with an optional time, seconds and zone: 2025-04-15, 2025-04-15 14:02, 2025-04-15T14:02:09Z
+  const DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+  // A time of day on its own: 14:02, 2:02 pm
+  const TIME_OF_DAY = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i;
+
+  // A candidate number after the speaker name: << AGENT #2 >>. Only agents have alternate replies;
+  // for anyone else, as for an escaped \#, the number is part of the name: << GUARD #2 >>
+  const TAG_VARIANT = /\s+#(\d+)\s*$/;
+  const VARIANT_SPEAKERS = ['agent', 'assistant'];
+
+  // Author annotations are written as a speaker but belong to a message: << NOTE >>
+  const NOTE_SPEAKER = 'note';
+
+  // Tool calls and results: << TOOL: search >>, or ```tool_call / ```tool_result fences in any message
+  const TOOL_SPEAKER = 'tool';
+  const TOOL_TAG = /^\s*tool\s*(?::\s*(.*?))?\s*$/i;
+  const TOOL_FENCE = /^(`{3,}|~{3,})\s*tool_(call|result)(?:\s+([^\s`]+))?\s*$/i;
+
+  // Reasoning: <thinking>...</thinking> inside a message, or a whole << AGENT:thinking >> message
+  const THINKING_TAG = /^(.*?)\s*:\s*thinking\s*$/i;
+  const THINKING_OPEN = /^<(think|thinking)>(.*)$/i;
+  const THINKING_CLOSE = /<\/(think|thinking)>$/i;
+
+  // Math: $$display$$ and $inline$, skipping code spans and \$. Inline math follows pandoc's rule
+  // (no space just inside the dollars, no digit after the closing one) so "$5 or $10" stays text
+  const MATH_SPAN = /(`+)[\s\S]*?\1|\\\$|\$\$([\s\S]+?)\$\$|\$(?![\s$])((?:\\.|[^$\\\n])+?)(?<![\s\\])\$(?!\d)/g;
+  const MATH_PLACEHOLDER = /@@MATH_(\d+)@@/g;
+
+  // Footnotes ([^1]) and citations ([@who2023]), defined in the same message as [^1]: text.
+  // Definitions continue on indented lines; references inside code spans are left alone
+  const NOTE_DEFINITION = /^\[(\^|@)([^\]\s]+)\]:\s?(.*)$/;
+  const NOTE_CONTINUATION = /^(?: {2,}|\t)\S/;
+  const NOTE_REFERENCE = /(`+)[\s\S]*?\1|\[(\^|@)([^\]\s]+)\](?!:)/g;
+  const NOTE_PLACEHOLDER = /@@NOTE_(\d+)@@/g;
+
+  // Code block languages drawn as diagrams, by renderer
+  const DIAGRAM_LANGUAGES = { mermaid: 'mermaid', dot: 'graphviz', graphviz: 'graphviz', gv: 'graphviz' };
+
+  // Wikilinks: [[term]] or [[term|label]]
+  const WIKILINK = /\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g;
+
+  // Embedded files: images are shown as thumbnails, anything else is offered as a download
+  const IMAGE_EXTENSION = /\.(png|jpe?g|gif|webp|avif|svg|bmp)$/i;
+
+  // URLs with a scheme (https:, data:) and root-relative or in-page paths are used as written
+  const ABSOLUTE_URL = /^(?:[a-z][a-z0-9+.-]*:|\/|#)/i;
+
+  /**
+   * Check if a line is a section header
+   * @param {string} line - The line to check
+   * @returns {boolean} Whether the line is a section header
+   */
+  function isHeaderLine(line) {
+    return HEADER_LINE.test(line.trim());
+  }
+
+  /**
+   * Get the level of a section header
+   * @param {string} line - The header line
+   * @returns {number} The header level, or 0 if the line is not a header
+   */
+  function getHeaderLevel(line) {
+    const match = line.trim().match(HEADER_LINE);
+    return match ? match[1].length : 0;
+  }
+
+  /**
+   * Check if a line is a speaker tag
+   * @param {string} line - The line to check
+   * @returns {boolean} Whether the line opens a new message
+   */
+  function isSpeakerLine(line) {
+    return SPEAKER_LINE.test(line.trim());
+  }
+
+  /**
+   * Create a reader that follows fenced code through a run of lines, fed one line at a time in order
+   * Inside ``` code, ```js or ```` does not close the block: only ``` or a longer run of backticks
+   * on a line of its own does, and the same goes for ~~~ fences.
+   * @returns {Function} (line) => 'open' for an opening fence, 'close' for a closing fence,
+   *   'code' for a line inside a block, or null outside fenced code
+   */
+  function createFenceReader() {
+    let fence = null;
+
+    return line => {
+      const text = line.trim();
+
+      if (fence) {
+        const closing = text.match(CLOSING_FENCE);
+        if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) {
+          fence = null;
+          return 'close';
+        }
+        return 'code';
+      }
+
+      const opening = text.match(FENCE_LINE);
+      if (!opening) return null;
+      fence = opening[1];
+      return 'open';
+    };
+  }
+
+  /**
+   * Normalize a raw speaker name: lowercase with spaces as underscores
+   * @param {string} raw - Speaker name as written in the tag
+   * @returns {string} Normalized speaker name, 'direct-text' for empty tags
+   */
+  function normalizeSpeaker(raw) {
+    const trimmed = raw.trim();
+    return trimmed === '' ? 'direct-text' : trimmed.toLowerCase().replace(/\s+/g, '_');
+  }
+
+  /**
+   * Extract speaker name and layout information from a speaker tag
+   * Understands << SPEAKER {LAYOUT} >> as well as the legacy [[[ ]]] and <!-- --> forms
+   * @param {string} line - The line containing the speaker tag
+   * @returns {Object|null} Object with speaker name and layout info, or null if not found
+   */
+  function extractSpeaker(line) {
+    const patterns = [
+      /<<\s*(.*?)(?:\s+\{(.*?)\})?\s*>>/,
+      /\[\[\[(.*?)(?:\s+\{(.*?)\})?\]\]\]/,
+      /<!--\s*(.*?)(?:\s+\{(.*?)\})?\s*-->/
+    ];
+
+    for (const pattern of patterns) {
+      const match = line.match(pattern);
+      if (match) {
+        return readTag(match[1], match[2]);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Split the inside of a speaker tag into name, candidate number, layout and time
+   * The candidate number follows the name, the time comes last and the layout may sit
+   * before or after the time: << AGENT #2 @ 14:02 >>, << USER {L} @ 14:02 >>, << USER @ 14:02 {L} >>.
+   * Only AGENT and ASSISTANT tags have candidate numbers; << GUARD #2 >> and << AGENT \#2 >> are names
+   * @param {string} rawName - Tag text before the layout
+   * @param {string|undefined} rawLayout - Layout text, if the pattern found one
+   * @returns {Object} Object with speaker name, layout info, time as written, candidate number, tool name
+   *   (or null) and whether it is a :thinking tag
+   */
+  function readTag(rawName, rawLayout) {
+    let name = rawName;
+    let layoutTag = rawLayout || null;
+    let time = null;
+    let variant = null;
+    let tool = null;
+    let thinking = false;
+
+    const timeMatch = name.match(TAG_TIME);
+    if (timeMatch) {
+      time = timeMatch[1].trim();
+      name = name.slice(0, timeMatch.index);
+
+      const layoutMatch = !layoutTag && name.match(/^(.*?)\s*\{(.*?)\}\s*$/);
+      if (layoutMatch) {
+        name = layoutMatch[1];
+        layoutTag = layoutMatch[2];
+      }
+    }
+
+    const variantMatch = name.match(TAG_VARIANT);
+    const variantSpeaker = variantMatch && normalizeSpeaker(name.slice(0, variantMatch.index).replace(THINKING_TAG, '$1'));
+    if (variantMatch && VARIANT_SPEAKERS.includes(variantSpeaker)) {
+      variant = parseInt(variantMatch[1], 10);
+      name = name.slice(0, variantMatch.index);
+    }
+    name = name.replace(/\\#/g, '#');
+
+    const thinkingMatch = name.match(THINKING_TAG);
+    if (thinkingMatch) {
+      thinking = true;
+      name = thinkingMatch[1];
+    }
+
+    const toolMatch = name.match(TOOL_TAG);
+    if (toolMatch) {
+      tool = toolMatch[1] || null;
+      name = TOOL_SPEAKER;
+    }
+
+    return {
+      name: normalizeSpeaker(name),
+      layout: parseLayoutTag(layoutTag),
+      time: time,
+      variant: variant,
+      tool: tool,
+      thinking: thinking
+    };
+  }
+
+  /**
+   * Read a tag time as a date
+   * A time of day takes its date from the message before it (the next day if the clock went
+   * past midnight) or from the conversation's front matter date. Times without a zone are
+   * local wall-clock times.
+   * @param {string} time - Time as written in the tag
+   * @param {Date|null} previous - Time of the last message with a known date
+   * @param {string|null} fallbackDate - Front matter date (YYYY-MM-DD)
+   * @returns {Date|null} The date, or null if the time cannot be placed
+   */
+  function parseTagTime(time, previous, fallbackDate) {
+    const full = String(time).trim().match(DATE_TIME);
+    if (full) {
+      const [, year, month, day, hours, minutes, seconds, zone] = full;
+      if (zone) {
+        return new Date(`${year}-${month}-${day}T${hours.padStart(2, '0')}:${minutes}:${seconds || '00'}${zone.length === 5 ? `${zone.slice(0, 3)}:${zone.slice(3)}` : zone.toUpperCase()}`);
+      }
+      return new Date(+year, +month - 1, +day, +(hours || 0), +(minutes || 0), +(seconds || 0));
+    }
+
+    const clock = String(time).trim().match(TIME_OF_DAY);
+    if (!clock) return null;
+
+    let base = previous;
+    if (!base) {
+      const dateMatch = fallbackDate ? String(fallbackDate).match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+      if (!dateMatch) return null;
+      base = new Date(+dateMatch[1], +dateMatch[2] - 1, +dateMatch[3]);
+    }
+
+    let hours = +clock[1] % (clock[4] ? 12 : 24);
+    if (clock[4] && clock[4].toLowerCase().startsWith('p')) hours += 12;
+
+    const date = new Date(base.getFullYear(), base.getMonth(), base.getDate(), hours, +clock[2], +(clock[3] || 0));
+    if (previous && date < previous) {
+      date.setDate(date.getDate() + 1);
+    }
+    return date;
+  }
+
+  /**
+   * Parse layout tag to extract position, offset and row information
+   * L and R align a message to a side, optionally offset from it (L.25); C centers it and W gives
+   * it the full width. A + puts the message in one row with the message before it, side by side,
+   * for speech that overlaps: {+}, {R+}
+   * @param {string|null} layoutTag - The layout tag, e.g. "L", "R", "L.25", "C", "W", "+"
+   * @returns {Object|null} Layout information object
+   */
+  function parseLayoutTag(layoutTag) {
+    if (!layoutTag) return null;
+
+    const layout = {
+      position: null,
+      offset: 0,
+      together: false
+    };
+
+    // Parse position (L, R, C or W), an offset for the sides, e.g. L.25, and the row marker
+    const match = layoutTag.trim().match(/^([LRCW])?(?:\.(\d+))?\s*(\+)?/);
+    if (match) {
+      layout.position = LAYOUT_POSITIONS[match[1]] || null;
+      if (match[2] && (match[1] === 'L' || match[1] === 'R')) {
+        layout.offset = parseFloat('0.' + match[2]);
+      }
+      layout.together = Boolean(match[3]);
+    }
+
+    return layout;
+  }
+
+  /**
+   * Parse a conversation into sections and messages
+   *
+   * Sections nest by header level: ## to ######, or a single line of text underlined with
+   * dashes for level 2. A header ending in {#id} keeps that id; every other section's id is a
+   * slug of its text, made unique with a -1, -2 suffix. Each message has an id from its
+   * section and its position there (m-1 before the first header, setup/m-1 under #setup) and records its speaker, layout, markdown content and
+   * the 1-based line of its tag in the original file. A tag time is kept as written (time)
+   * and, when it can be placed on a date, as an ISO timestamp. Alternate
+   * replies (<< AGENT #1 >>, << AGENT #2 >>) become one message whose variants list every
+   * candidate; its own content is the first candidate's. << NOTE >> blocks are not messages:
+   * each is added to the notes of the message before it, or of the next message when it opens
+   * its section. Tool calls and results become nodes of type 'tool' with a tool object
+   * ({ name, call, result }): a << TOOL: name >> message is one, and tool_call / tool_result
+   * fences are split out of other messages into their own. A << AGENT:thinking >> message is
+   * kept as a <thinking> block of the speaker's next bubble. Text outside any message (before
+   * the first tag of a section) is not part of the conversation.
+   *
+   * @param {string} markdown - Raw file contents, with or without front matter
+   * @returns {Object} Object with metadata, root section, speakers and sections
+   */
+  function parse(markdown) {
+    const source = typeof markdown === 'string' ? markdown : '';
+    const { data, body } = frontMatter.parse(source);
+
+    // Line numbers refer to the original file, so count the lines front matter took
+    const lineOffset = source.split('\n').length - body.split('\n').length;
+
+    const rootSection = createSection('root', 0, null, 0);
+    const sections = [];
+    const speakers = [];
+    const stack = [rootSection];
+
+    let currentSection = rootSection;
+    let currentMessage = null;
+    const readFence = createFenceReader();
+
+    // A line of text that a dashed underline would turn into a setext header
+    let setextCandidate = null;
+    let previousText = false;
+
+    // Notes that open a section wait for the section's first message
+    let pendingNotes = [];
+
+    const openSection = (level, text, lineNumber) => {
+      finishMessage(currentMessage, currentSection, pendingNotes);
+      currentMessage = null;
+      pendingNotes = [];
+
+      // An explicit id is kept as written, unless it is taken by the root or a message or
+      // holds .., which would break links to its messages; the rest get slugs once every header is known
+      const idMatch = text.match(HEADER_ID);
+      const id = idMatch && idMatch[1] !== rootSection.id && !MESSAGE_ID.test(idMatch[1]) && !idMatch[1].includes('..') ? idMatch[1] : null;
+      const section = createSection(id, level, text.replace(HEADER_ID, '').trim(), lineNumber);
+
+      // Pop back to the nearest section with a lower level
+      while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+        stack.pop();
+      }
+      stack[stack.length - 1].children.push(section);
+      stack.push(section);
+      sections.push(section);
+
+      currentSection = section;
+    };
+
+    const lines = body.split('\n');
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      const lineNumber = index + 1 + lineOffset;
+
+      const candidate = setextCandidate;
+      const afterText = previousText;
+      setextCandidate = null;
+      previousText = false;
+
+      // Code fences and everything inside them are message content
+      if (readFence(line)) {
+        if (currentMessage) addLine(currentMessage, rawLine, lineNumber);
+        return;
+      }
+
+      const headerMatch = line.match(HEADER_LINE);
+      if (headerMatch) {
+        openSection(headerMatch[1].length, headerMatch[2], lineNumber);
+        return;
+      }
+
+      // Setext: the underlined line leaves the message it was added to and becomes the header
+      if (candidate && SETEXT_UNDERLINE.test(line)) {
+        if (candidate.message && candidate.message === currentMessage) {
+          currentMessage.lines.pop();
+          currentMessage.lineNumbers.pop();
+        }
+        openSection(2, candidate.text, candidate.line);
+        return;
+      }
+
+      const speakerMatch = line.match(SPEAKER_LINE);
+      if (speakerMatch) {
+        finishMessage(currentMessage, currentSection, pendingNotes);
+
+        const tag = readTag(speakerMatch[1], speakerMatch[2]);
+        const speaker = tag.name;
+        if (speaker !== NOTE_SPEAKER && speaker !== TOOL_SPEAKER && !speakers.includes(speaker)) {
+          speakers.push(speaker);
+        }
+
+        currentMessage = {
+          type: 'message',
+          speaker: speaker,
+          layout: tag.layout,
+          time: tag.time,
+          variant: tag.variant,
+          tool: tag.tool,
+          thinking: tag.thinking,
+          line: lineNumber,
+          tag: line,
+          lines: [],
+          lineNumbers: []
+        };
+
+        // Text after the tag on the same line starts the message
+        const trailing = speakerMatch[3].trim();
+        if (trailing) addLine(currentMessage, trailing, lineNumber);
+        return;
+      }
+
+      // Author comments between messages are not shown
+      if (line.startsWith('<!--') && line.endsWith('-->')) return;
+
+      // Only a single line of plain text, not part of a paragraph, can be setext header text
+      if (line) {
+        previousText = true;
+        if (!afterText && !BLOCK_START.test(line) && !/^( {4}|\t)/.test(rawLine)) {
+          setextCandidate = { text: line, line: lineNumber, message: currentMessage };
+        }
+      }
+
+      if (currentMessage) addLine(currentMessage, rawLine, lineNumber);
+    });
+
+    finishMessage(currentMessage, currentSection, pendingNotes);
+
+    const rootMessageIds = rootSection.messages.map((message, index) => getMessageId(rootSection, index));
+    assignSectionIds(sections, [rootSection.id, ...rootMessageIds]);
+    assignMessageIds(rootSection);
+
+    resolveTimestamps(rootSection, data.date || null);
+
+    return {
+      type: 'conversation',
+      metadata: data,
+      root: rootSection,
+      sections: sections,
+      speakers: speakers
+    };
+  }
+
+  function createSection(id, level, text, line) {
+    return {
+      type: 'section',
+      id: id,
+      level: level,
+      text: text,
+      line: line,
+      messages: [],
+      children: []
+    };
+  }
+
+  /**
+   * Number every message within its section: m-1, m-2 at the root, setup/m-1 under #setup
+   * Section ids must be assigned first. A message added or removed only renumbers the
+   * messages after it in the same section, so links into every other section hold.
+   * @param {Object} rootSection - Root of the section tree
+   */
+  function assignMessageIds(rootSection) {
+    walkSections(rootSection, section => {
+      section.messages.forEach((message, index) => {
+        message.id = getMessageId(section, index);
+      });
+    });
+  }
+
+  function getMessageId(section, index) {
+    const number = `${MESSAGE_ID_PREFIX}${index + 1}`;
+    return section.level === 0 ? number : `${section.id}/${number}`;
+  }
+
+  /**
+   * Give every section without an explicit id a slug of its text, unique within the conversation
+   * Explicit ids are claimed first, so a slug never takes one; repeated slugs get -1, -2 and so on.
+   * @param {Array} sections - Sections in document order
+   * @param {Array<string>} reserved - Ids of the root section and its messages, never given to a header
+   */
+  function assignSectionIds(sections, reserved) {
+    const used = new Set(reserved);
+    sections.forEach(section => {
+      if (section.id) used.add(section.id);
+    });
+
+    sections.forEach(section => {
+      if (section.id) return;
+      const base = getHeadingSlug(section.text) || 'section';
+      let id = base;
+      for (let count = 1; used.has(id); count++) {
+        id = `${base}-${count}`;
+      }
+      used.add(id);
+      section.id = id;
+    });
+  }
+
+  function addLine(message, text, lineNumber) {
+    message.lines.push(text);
+    message.lineNumbers.push(lineNumber);
+  }
+
+  /**
+   * Close a message and attach it to its section, trimming blank edges
+   * Notes are attached to a message instead; pendingNotes holds those waiting for one.
+   * Tool fences are split out into tool nodes, except in alternate replies.
+   */
+  function finishMessage(message, section, pendingNotes) {
+    if (!message) return;
+
+    const lines = message.lines;
+    const lineNumbers = message.lineNumbers;
+    while (lines.length && !lines[0].trim()) {
+      lines.shift();
+      lineNumbers.shift();
+    }
+    while (lines.length && !lines[lines.length - 1].trim()) {
+      lines.pop();
+      lineNumbers.pop();
+    }
+
+    // Empty messages were never rendered, so they are not part of the tree either
+    if (lines.length === 0) return;
+
+    if (message.speaker === NOTE_SPEAKER) {
+      const note = { content: lines.join('\n'), line: message.line };
+      const previous = section.messages[section.messages.length - 1];
+      if (previous) {
+        previous.notes = (previous.notes || []).concat(note);
+      } else {
+        pendingNotes.push(note);
+      }
+      return;
+    }
+
+    // A :thinking message is reasoning for the reply that follows it
+    if (message.thinking) {
+      lines.unshift('<thinking>');
+      lines.push('</thinking>');
+    }
+
+    const nodes = message.variant || message.thinking
+      ? [createMessageNode(message, lines, message.line)]
+      : splitToolBlocks(message, lines, lineNumbers);
+
+    nodes.forEach(node => {
+      if (message.variant) {
+        const candidate = {
+          variant: message.variant,
+          content: node.content,
+          time: node.time,
+          timestamp: null,
+          line: node.line,
+          tag: node.tag
+        };
+
+        // Candidates with rising numbers from one speaker, one after another, are one reply
+        const previous = section.messages[section.messages.length - 1];
+        const last = previous && previous.variants ? previous.variants[previous.variants.length - 1] : null;
+        if (last && previous.speaker === node.speaker && message.variant > last.variant) {
+          previous.variants.push(candidate);
+          return;
+        }
+
+        node.variants = [candidate];
+      }
+
+      if (pendingNotes.length > 0) {
+        node.notes = pendingNotes.splice(0);
+      }
+
+      section.messages.push(node);
+    });
+  }
+
+  function createMessageNode(message, lines, line) {
+    return {
+      type: message.type,
+      speaker: message.speaker,
+      layout: message.layout,
+      time: line === message.line ? message.time : null,
+      timestamp: null,
+      content: lines.join('\n'),
+      line: line,
+      tag: message.tag
+    };
+  }
+
+  function createToolNode(message, line, name) {
+    return {
+      type: 'tool',
+      speaker: TOOL_SPEAKER,
+      layout: null,
+      time: line === message.line ? message.time : null,
+      timestamp: null,
+      content: '',
+      line: line,
+      tag: message.tag,
+      tool: { name: name || null, call: null, result: null }
+    };
+  }
+
+  /**
+   * Turn a message into nodes: text stays a message, tool fences become tool nodes
+   * A tool_result right after a tool_call (blank lines aside) belongs to that call. In a
+   * << TOOL >> message everything is one tool node, and text outside the fences is output.
+   * The first node keeps the tag's line and time; later ones start at their first line.
+   * @param {Object} message - Message being closed, with its lines and their line numbers
+   * @param {string[]} lines - Trimmed content lines
+   * @param {number[]} lineNumbers - Line number of each content line
+   * @returns {Object[]} Nodes in document order
+   */
+  function splitToolBlocks(message, lines, lineNumbers) {
+    const isToolMessage = message.speaker === TOOL_SPEAKER;
+    const nodes = [];
+    let text = [];
+    let textStart = message.line;
+    const readFence = createFenceReader();
+
+    const flushText = () => {
+      while (text.length && !text[text.length - 1].trim()) text.pop();
+      if (text.length === 0) return;
+
+      if (isToolMessage) {
+        const node = nodes[0];
+        node.tool.result = node.tool.result ? `${node.tool.result}\n\n${text.join('\n')}` : text.join('\n');
+      } else {
+        nodes.push(createMessageNode(message, text, nodes.length === 0 ? message.line : textStart));
+      }
+      text = [];
+    };
+
+    if (isToolMessage) {
+      nodes.push(createToolNode(message, message.line, message.tool));
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      const fence = readFence(line);
+
+      // Other code blocks are content, even if they show tool fences as examples
+      if (fence === 'code' || fence === 'close') {
+        text.push(lines[i]);
+        continue;
+      }
+
+      const toolMatch = fence === 'open' && line.match(TOOL_FENCE);
+      if (!toolMatch) {
+        if (text.length === 0 && !line) continue;
+        if (text.length === 0) textStart = lineNumbers[i];
+        text.push(lines[i]);
+        continue;
+      }
+
+      flushText();
+
+      // Collect the fence body up to its closing fence
+      const body = [];
+      const start = i;
+      for (i++; i < lines.length && readFence(lines[i]) !== 'close'; i++) {
+        body.push(lines[i]);
+      }
+      const source = lines.slice(start, i + 1).join('\n');
+      const kind = toolMatch[2].toLowerCase();
+
+      let node = nodes[nodes.length - 1];
+      const joinsCall = node && node.type === 'tool' && (isToolMessage || (kind === 'result' && node.tool.call !== null && node.tool.result === null));
+      if (!joinsCall) {
+        node = createToolNode(message, nodes.length === 0 ? message.line : lineNumbers[start], null);
+        nodes.push(node);
+      }
+
+      node.content = node.content ? `${node.content}\n\n${source}` : source;
+      node.tool.name = node.tool.name || toolMatch[3] || null;
+      if (kind === 'call') {
+        if (node.tool.call === null) readToolCall(node.tool, body.join('\n'));
+      } else {
+        node.tool.result = node.tool.result ? `${node.tool.result}\n\n${body.join('\n')}` : body.join('\n');
+      }
+    }
+
+    flushText();
+
+    if (isToolMessage) {
+      nodes[0].content = lines.join('\n');
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Record a tool call, unwrapping { name, arguments } objects as function-calling APIs write them
+   * @param {Object} tool - Tool object to fill in
+   * @param {string} body - Fence body
+   */
+  function readToolCall(tool, body) {
+    tool.call = body;
+
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      return;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.name !== 'string') return;
+
+    const args = ['arguments', 'input', 'parameters'].map(key => data[key]).find(value => value !== undefined);
+    tool.name = tool.name || data.name;
+    if (args !== undefined) {
+      tool.call = typeof args === 'string' ? args : JSON.stringify(args);
+    }
+  }
+
+  /**
+   * Format a tool call or result for display: JSON is pretty-printed, anything else is kept
+   * @param {string|null} text - Payload as written
+   * @returns {Object} Object with the text to show and whether it is JSON
+   */
+  function formatToolPayload(text) {
+    const trimmed = text === null || text === undefined ? '' : String(text).trim();
+    if (!/^[[{]/.test(trimmed)) return { text: trimmed, json: false };
+
+    try {
+      return { text: JSON.stringify(JSON.parse(trimmed), null, 2), json: true };
+    } catch (e) {
+      return { text: trimmed, json: false };
+    }
+  }
+
+  /**
+   * Split message markdown into reply text and <thinking> reasoning, in document order
+   * The tags must open and close a line (a one-line <thinking>...</thinking> works too) and
+   * are ignored inside code fences. An unclosed block runs to the end of the message.
+   * @param {string} content - Message markdown
+   * @returns {Object[]} Segments as { reasoning, text }, without blank ones
+   */
+  function splitReasoning(content) {
+    const segments = [];
+    let current = { reasoning: false, lines: [] };
+    const readFence = createFenceReader();
+
+    const flush = reasoning => {
+      const text = current.lines.join('\n').replace(/^\s*\n/, '').trimEnd();
+      if (text.trim()) segments.push({ reasoning: current.reasoning, text: text });
+      current = { reasoning: reasoning, lines: [] };
+    };
+
+    String(content || '').split('\n').forEach(rawLine => {
+      let text = rawLine;
+
+      const fence = readFence(text);
+      if (fence === 'code' || fence === 'close') {
+        current.lines.push(text);
+        return;
+      }
+
+      if (!current.reasoning) {
+        const openMatch = text.trim().match(THINKING_OPEN);
+        if (!openMatch) {
+          current.lines.push(text);
+          return;
+        }
+
+        // The rest of the opening line is reasoning, and may close the block too
+        flush(true);
+        text = openMatch[2];
+      }
+
+      if (THINKING_CLOSE.test(text.trim())) {
+        text = text.trimEnd().replace(THINKING_CLOSE, '');
+        if (text.trim()) current.lines.push(text);
+        flush(false);
+        return;
+      }
+
+      if (text.trim() || current.lines.length) current.lines.push(text);
+    });
+
+    flush(false);
+    return segments;
+  }
+
+  /**
+   * Remove <thinking> reasoning from message markdown, keeping only the reply
+   * @param {string} content - Message markdown
+   * @returns {string} Markdown without reasoning
+   */
+  function stripReasoning(content) {
+    return splitReasoning(content)
+      .filter(segment => !segment.reasoning)
+      .map(segment => segment.text)
+      .join('\n\n');
+  }
+
+  /**
+   * Swap the math in message markdown for placeholders that markdown parsing leaves alone,
+   * so underscores and asterisks in TeX are not read as emphasis. Code is left as written.
+   * @param {string} content - Message markdown
+   * @returns {Object} { text, math } with math as [{ tex, display }] in placeholder order
+   */
+  function protectMath(content) {
+    const math = [];
+    const chunks = [];
+    let prose = [];
+    const readFence = createFenceReader();
+
+    const flushProse = () => {
+      if (prose.length === 0) return;
+      chunks.push(prose.join('\n').replace(MATH_SPAN, (match, ticks, display, inline) => {
+        if (display === undefined && inline === undefined) return match;
+        math.push({ tex: (display !== undefined ? display : inline).trim(), display: display !== undefined });
+        return `@@MATH_${math.length - 1}@@`;
+      }));
+      prose = [];
+    };
+
+    String(content || '').split('\n').forEach(line => {
+      const fence = readFence(line);
+      if (fence === 'open') flushProse();
+      if (fence) {
+        chunks.push(line);
+        return;
+      }
+
+      prose.push(line);
+    });
+    flushProse();
+
+    return { text: chunks.join('\n'), math };
+  }
+
+  /**
+   * Put rendered math back in place of the placeholders left by protectMath
+   * @param {string} html - Rendered markdown
+   * @param {Object[]} math - Math from protectMath
+   * @param {Function} render - (tex, display) => HTML
+   * @returns {string} HTML with math
+   */
+  function restoreMath(html, math, render) {
+    if (math.length === 0) return html;
+    return html.replace(MATH_PLACEHOLDER, (match, index) => (
+      math[index] ? render(math[index].tex, math[index].display) : match
+    ));
+  }
+
+  /**
+   * Take the footnote and citation definitions out of a message and mark its references
+   * References become @@NOTE_n@@ placeholders (n indexes notes) so markdown rendering leaves them alone.
+   * Footnotes and citations are numbered separately, in order of first reference; definitions that are
+   * never referenced follow. References without a definition stay as written.
+   * @param {string} content - Message markdown
+   * @returns {Object} { text, notes: [{ kind: 'footnote'|'citation', label, number, content, references }] }
+   */
+  function protectFootnotes(content) {
+    const definitions = new Map();
+    const prose = [];
+    const readDefinitionFence = createFenceReader();
+    let current = null;
+
+    // Definitions are only read outside fenced code
+    String(content || '').split('\n').forEach(line => {
+      if (readDefinitionFence(line)) {
+        current = null;
+        prose.push(line);
+        return;
+      }
+
+      if (current && NOTE_CONTINUATION.test(line)) {
+        current.content += `\n${line.trim()}`;
+        return;
+      }
+      current = null;
+
+      const definition = line.match(NOTE_DEFINITION);
+      if (definition) {
+        const kind = definition[1] === '^' ? 'footnote' : 'citation';
+        const key = `${kind}:${definition[2]}`;
+        current = { kind, label: definition[2], number: 0, content: definition[3].trim(), references: 0 };
+        // The first definition of a label wins; later ones are dropped like any duplicate
+        if (!definitions.has(key)) definitions.set(key, current);
+        return;
+      }
+
+      prose.push(line);
+    });
+
+    if (definitions.size === 0) {
+      return { text: String(content || ''), notes: [] };
+    }
+
+    const notes = [];
+    const counts = { footnote: 0, citation: 0 };
+    const number = note => {
+      if (!note.number) {
+        note.number = ++counts[note.kind];
+        notes.push(note);
+      }
+      return notes.indexOf(note);
+    };
+
+    // Fenced code is kept as written; references are replaced in the prose between fences
+    const chunks = [];
+    let block = [];
+    const flush = () => {
+      if (block.length === 0) return;
+      chunks.push(block.join('\n').replace(NOTE_REFERENCE, (match, ticks, marker, label) => {
+        const note = marker && definitions.get(`${marker === '^' ? 'footnote' : 'citation'}:${label}`);
+        if (!note) return match;
+        note.references += 1;
+        return `@@NOTE_${number(note)}@@`;
+      }));
+      block = [];
+    };
+    const readReferenceFence = createFenceReader();
+    prose.forEach(line => {
+      const fence = readReferenceFence(line);
+      if (fence === 'open') flush();
+      if (fence) {
+        chunks.push(line);
+        return;
+      }
+      block.push(line);
+    });
+    flush();
+
+    definitions.forEach(note => number(note));
+    return { text: chunks.join('\n'), notes };
+  }
+
+  /**
+   * Check whether a message defines footnotes or citations
+   * Notes are numbered and looked up per message, so renderers keep such a message in a bubble
+   * of its own rather than merging it with the same speaker's messages around it.
+   * @param {string} content - Message markdown
+   * @returns {boolean} True when the message has a [^label]: or [@label]: definition outside code
+   */
+  function hasFootnotes(content) {
+    return protectFootnotes(content).notes.length > 0;
+  }
+
+  /**
+   * Put the references taken out by protectFootnotes back into rendered HTML
+   * @param {string} html - Rendered HTML containing @@NOTE_n@@ placeholders
+   * @param {Array} notes - Notes from protectFootnotes
+   * @param {Function} render - Called with (note, occurrence) for each reference, returns HTML
+   * @returns {string} HTML
+   */
+  function restoreFootnotes(html, notes, render) {
+    const seen = notes.map(() => 0);
+    return html.replace(NOTE_PLACEHOLDER, (match, index) => (
+      notes[index] ? render(notes[index], ++seen[index]) : match
+    ));
+  }
+
+  /**
+   * Get the renderer for a diagram code block
+   * @param {string} language - Code block language, e.g. mermaid or dot
+   * @returns {string|null} 'mermaid', 'graphviz', or null for ordinary code
+   */
+  function getDiagramType(language) {
+    const key = String(language || '').trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(DIAGRAM_LANGUAGES, key) ? DIAGRAM_LANGUAGES[key] : null;
+  }
+
+  /**
+   * Get the key of a wiki term, shared by its page, its links and the index
+   * @param {string} term - Term as written, e.g. Semantic Model
+   * @returns {string} Lowercase slug, e.g. semantic-model
+   */
+  function getWikiSlug(term) {
+    return String(term || '').trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Get the anchor slug of a header, from its text without markdown
+   * @param {string} text - Header text as written, e.g. Setting up `npm`
+   * @returns {string} Lowercase slug, e.g. setting-up-npm, or an empty string when nothing is left
+   */
+  function getHeadingSlug(text) {
+    const plain = String(text || '')
+      .replace(WIKILINK, (match, term, label) => label || term)
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]+>/g, '');
+    return getWikiSlug(plain);
+  }
+
+  /**
+   * Get the terms of the wikilinks in some markdown, skipping fenced code
+   * @param {string} markdown - Markdown content
+   * @returns {Array<string>} Terms in order, one per link
+   */
+  function extractWikilinks(markdown) {
+    const terms = [];
+    const readFence = createFenceReader();
+
+    String(markdown || '').split('\n').forEach(line => {
+      if (readFence(line)) return;
+
+      for (const match of line.matchAll(WIKILINK)) {
+        terms.push(match[1].trim());
+      }
+    });
+
+    return terms;
+  }
+
+  /**
+   * Replace each [[wikilink]] in some markdown
+   * @param {string} text - Markdown content
+   * @param {Function} render - Called with (term, label) for each link, returns its replacement
+   * @returns {string} Markdown with the links replaced
+   */
+  function replaceWikilinks(text, render) {
+    return text.replace(WIKILINK, (match, term, label) => render(term.trim(), label || term));
+  }
+
+  /**
+   * Tell whether an embedded file is an image or an attachment to download
+   * @param {string} href - File path or URL
+   * @returns {string} 'image' or 'file'
+   */
+  function getAssetKind(href) {
+    const pathname = String(href || '').split(/[?#]/)[0];
+    return IMAGE_EXTENSION.test(pathname) || /^data:image\//i.test(href) ? 'image' : 'file';
+  }
+
+  /**
+   * Resolve a file path written in a conversation against the folder of its markdown file
+   * @param {string} href - Path as written, e.g. Act I/ghost.png
+   * @param {string} documentPath - Path of the markdown file from the site root
+   * @returns {string} Path from the site root, or the href unchanged when it is absolute
+   */
+  function resolveAssetPath(href, documentPath) {
+    if (!href || ABSOLUTE_URL.test(href) || !documentPath) return href;
+
+    const segments = encodeURI(documentPath.replace(/\\/g, '/')).split('/').slice(0, -1);
+    // Characters marked left unencoded, such as the spaces of <Act I/ghost.png>, are encoded like the folder
+    href.replace(/[^%]+/g, part => encodeURI(part)).split('/').forEach(segment => {
+      if (segment === '..') {
+        segments.pop();
+      } else if (segment !== '.') {
+        segments.push(segment);
+      }
+    });
+    return segments.join('/');
+  }
+
+  /**
+   * Shorten a tool call or result to one line for a collapsed card
+   * @param {string|null} text - Payload as written
+   * @param {number} maxLength - Longest preview to return
+   * @returns {string} One-line preview
+   */
+  function summarizeToolPayload(text, maxLength = 80) {
+    const payload = formatToolPayload(text);
+    const line = payload.json ? JSON.stringify(JSON.parse(payload.text)) : payload.text.replace(/\s+/g, ' ');
+    return line.length > maxLength ? `${line.slice(0, maxLength - 1)}\u2026` : line;
+  }
+
+  /**
+   * Give every message with a tag time an ISO timestamp, in document order
+   * @param {Object} root - Root section
+   * @param {string|null} fallbackDate - Front matter date for times of day
+   */
+  function resolveTimestamps(root, fallbackDate) {
+    let previous = null;
+
+    walkSections(root, section => {
+      section.messages.forEach(message => {
+        // Each candidate of an alternate reply keeps its own time; the reply shows the first
+        (message.variants || [message]).forEach(entry => {
+          if (!entry.time) return;
+
+          const date = parseTagTime(entry.time, previous, fallbackDate);
+          if (date && !isNaN(date.getTime())) {
+            entry.timestamp = date.toISOString();
+            previous = date;
+          }
+        });
+
+        if (message.variants) {
+          message.timestamp = message.variants[0].timestamp;
+        }
+      });
+    });
+  }
+
+  /**
+   * Get all the text of a message, including every candidate of an alternate reply and its notes
+   * @param {Object} message - Message node
+   * @returns {string} Markdown content
+   */
+  function getMessageText(message) {
+    const parts = message.variants ? message.variants.map(candidate => candidate.content) : [message.content];
+    (message.notes || []).forEach(note => parts.push(note.content));
+    return parts.join('\n');
+  }
+
+  /**
+   * Visit every section in document order
+   * @param {Object} section - Section to start from (usually ast.root)
+   * @param {Function} callback - Called with (section, parent)
+   */
+  function walkSections(section, callback, parent = null) {
+    callback(section, parent);
+    section.children.forEach(child => walkSections(child, callback, section));
+  }
+
+  /**
+   * Get every message in document order
+   * @param {Object} ast - Result of parse()
+   * @returns {Array} Message nodes, each with a sectionId
+   */
+  function getMessages(ast) {
+    const messages = [];
+    walkSections(ast.root, section => {
+      section.messages.forEach(message => messages.push({ ...message, sectionId: section.id }));
+    });
+    return messages;
+  }
+
+  /**
+   * Get the section headers in document order
+   * @param {Object} ast - Result of parse()
+   * @returns {Array} Objects with id, level, text and line
+   */
+  function getHeaders(ast) {
+    return ast.sections.map(section => ({
+      id: section.id,
+      level: section.level,
+      text: section.text,
+      line: section.line
+    }));
+  }
+
+  /**
+   * Read a message id into its section and number: setup/m-3 is the third message under #setup
+   * @param {string} id - Message id
+   * @returns {Object|null} { section, number }, section null for messages before the first header,
+   *   or null when the id is not a message id
+   */
+  function parseMessageId(id) {
+    const match = String(id || '').match(MESSAGE_ID);
+    return match ? { section: match[1] || null, number: parseInt(match[2], 10) } : null;
+  }
+
+  /**
+   * Read a message link: setup/m-3 for one message, setup/m-3..m-7 for a range within
+   * a section, setup/m-3..scene-2/m-1 for one across sections
+   * @param {string} fragment - URL fragment without the #
+   * @returns {Object|null} { start, end } message ids as written, or null for other fragments
+   */
+  function parseMessageRange(fragment) {
+    const match = String(fragment || '').match(MESSAGE_RANGE);
+    if (!match) return null;
+
+    const prefix = section => section ? `${section}/` : '';
+    const start = `${prefix(match[1])}${MESSAGE_ID_PREFIX}${match[2]}`;
+    if (!match[4]) return { start, end: start };
+
+    // A bare end number shares the start's section
+    const endSection = match[3] || match[1];
+    return { start, end: `${prefix(endSection)}${MESSAGE_ID_PREFIX}${match[4]}` };
+  }
+
+  /**
+   * Write a message link fragment, leaving out the end's section when it is the start's
+   * @param {string} start - Id of the first message
+   * @param {string} end - Id of the last message, the same as start for one message
+   * @returns {string} Fragment without the #, e.g. setup/m-3 or setup/m-3..m-7
+   */
+  function formatMessageRange(start, end = start) {
+    if (start === end) return start;
+
+    const first = parseMessageId(start);
+    const last = parseMessageId(end);
+    const sameSection = first && last && first.section === last.section && first.section;
+    return `${start}..${sameSection ? `${MESSAGE_ID_PREFIX}${last.number}` : end}`;
+  }
+
+  // Expose public methods
+  return {
+    parse,
+    walkSections,
+    getMessages,
+    getMessageText,
+    formatToolPayload,
+    summarizeToolPayload,
+    splitReasoning,
+    stripReasoning,
+    protectMath,
+    restoreMath,
+    protectFootnotes,
+    restoreFootnotes,
+    hasFootnotes,
+    getDiagramType,
+    getHeadingSlug,
+    getWikiSlug,
+    extractWikilinks,
+    replaceWikilinks,
+    getAssetKind,
+    resolveAssetPath,
+    getHeaders,
+    parseMessageId,
+    parseMessageRange,
+    formatMessageRange,
+    isHeaderLine,
+    getHeaderLevel,
+    isSpeakerLine,
+    createFenceReader,
+    extractSpeaker,
+    parseLayoutTag,
+    parseTagTime
+  };
+});
@@ -3,8 +3,14 @@
  * A unified chat conversion utility leveraging standard libraries for proper rendering
  */
 
-import { processChatContent } from './methods/processing.js';
-import { enhanceCodeBlocks } from './methods/rendering.js';
+import { processChatContent, enhanceChatContent, getChatMetadata } from './methods/processing.js';
+import { enhanceCodeBlocks, initSectionToggles, initVariantSwitchers, initSidenoteToggles } from './methods/rendering.js';
+import { formatTimestamps } from './methods/timestamps.js';
+import { initLightbox } from './methods/media.js';
+import { initDiagramToggles, whenDiagramsRendered } from './methods/diagrams.js';
+import { initFootnotes } from './methods/footnotes.js';
+import { initMessageLinks } from './methods/permalinks.js';
+import { applyReasoningSettings } from './methods/reasoning.js';
 
 /**
  * Initialize chat conversion
@@ -14,6 +20,7 @@ function initChatConverter(options = {}) {
   const opts = {
     contentSelector: '.markdown-body',
     rawMarkdown: null,
+    chatPath: null,
     navConfig: {
       prevLink: null,
       nextLink: null,
@@ -34,9 +41,45 @@ function initChatConverter(options = {}) {
   enhanceCodeBlocks();
 }
 
+/**
+ * Enhance a conversation pre-rendered by scripts/build-static.js instead of converting markdown
+ * @param {Object} options - Initialization options
+ */
+function enhancePrerenderedChat(options = {}) {
+  enhanceChatContent({
+    contentSelector: '.markdown-body',
+    ...options
+  });
+  
+  enhanceCodeBlocks();
+}
+
+// Section headers collapse their sections, alternate replies flip, sidenotes open, images enlarge,
+// diagrams show their source, footnotes show their cards and messages offer links to themselves,
+// however the markup was produced
+initSectionToggles();
+initVariantSwitchers();
+initSidenoteToggles();
+initLightbox();
+initDiagramToggles();
+initFootnotes();
+initMessageLinks();
+
+// Timestamp labels and reasoning blocks follow the settings panel without reloading the conversation
+window.addEventListener('settingsChanged', () => {
+  const content = document.querySelector('.markdown-body');
+  if (content) {
+    formatTimestamps(content, getChatMetadata());
+    applyReasoningSettings(content, getChatMetadata());
+  }
+});
+
 // Create a global instance and expose it
 window.initChatConverter = initChatConverter;
+window.enhancePrerenderedChat = enhancePrerenderedChat;
 window.enhanceCodeBlocks = enhanceCodeBlocks;
+window.whenDiagramsRendered = whenDiagramsRendered;
+window.getChatMetadata = getChatMetadata;
 
 // Export the function
 export default initChatConverter; 
\ No newline at end of file
@@ -0,0 +1,260 @@
+/**
+ * Machine Yearning Chat Converter - Diagram Methods
+ * Renders mermaid and Graphviz (dot) code blocks as SVG diagrams themed with the accent palette,
+ * with a toggle back to the source
+ */
+
+// Renderers are only downloaded when a conversation has a diagram
+const DIAGRAM_LIBRARIES = {
+  mermaid: 'https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js',
+  graphviz: 'https://cdn.jsdelivr.net/npm/@viz-js/viz@3/lib/viz-standalone.js'
+};
+
+const ACCENT_KEYS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L'];
+
+const libraryLoads = {};
+let diagramCount = 0;
+let colorContext = null;
+
+// Renders still in progress, so printing can wait for them
+const pendingRenders = new Set();
+
+/**
+ * Load a diagram library once
+ * @param {string} type - 'mermaid' or 'graphviz'
+ * @returns {Promise<void>} Resolves when the library's global is available
+ */
+function loadDiagramLibrary(type) {
+  if (!libraryLoads[type]) {
+    libraryLoads[type] = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = DIAGRAM_LIBRARIES[type];
+      script.async = true;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        delete libraryLoads[type];
+        reject(new Error(`Could not load the ${type} renderer`));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return libraryLoads[type];
+}
+
+/**
+ * Get the colors diagrams are drawn with: the accentA–accentL palette and the page's text colors
+ * @returns {Object} { accents, text, muted, background, border, dark }
+ */
+function getDiagramPalette() {
+  const theme = window.appSettings && window.appSettings.get ? window.appSettings.get().theme || {} : {};
+  const style = getComputedStyle(document.documentElement);
+  const cssColor = name => style.getPropertyValue(name).trim();
+
+  return {
+    accents: ACCENT_KEYS.map(key => theme[`accent${key}`] || cssColor(`--accent${key}-color`) || '#909090'),
+    text: cssColor('--text-color') || '#333333',
+    muted: cssColor('--muted-color') || '#888888',
+    background: cssColor('--background-color') || '#ffffff',
+    border: cssColor('--border-color') || '#eeeeee',
+    dark: document.documentElement.getAttribute('data-theme') === 'dark'
+  };
+}
+
+/**
+ * Make a translucent version of a CSS color as #rrggbbaa, which both mermaid and Graphviz read
+ * Any CSS color works (named, #rgb, rgb(), hsl()): a canvas normalizes it to #rrggbb, or to
+ * rgba() when the color has an alpha of its own, which is multiplied in
+ * @param {string} color - CSS color
+ * @param {number} alpha - Opacity from 0 to 1
+ * @returns {string} Hex color with alpha
+ */
+function withAlpha(color, alpha) {
+  colorContext = colorContext || document.createElement('canvas').getContext('2d');
+  if (!colorContext) return color;
+
+  // An unreadable color leaves fillStyle as it was, so it falls back to the palette's grey
+  colorContext.fillStyle = '#909090';
+  colorContext.fillStyle = color;
+  const normalized = String(colorContext.fillStyle);
+
+  let channels;
+  let ownAlpha = 1;
+  const hex = normalized.match(/^#([0-9a-f]{6})$/i);
+  const rgba = normalized.match(/^rgba?\(\s*(\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\s*\)$/i);
+  if (hex) {
+    channels = hex[1];
+  } else if (rgba) {
+    channels = rgba.slice(1, 4).map(channel => Number(channel).toString(16).padStart(2, '0')).join('');
+    ownAlpha = rgba[4] === undefined ? 1 : Number(rgba[4]);
+  } else {
+    return color;
+  }
+
+  const alphaByte = Math.round(Math.min(1, Math.max(0, alpha * ownAlpha)) * 255);
+  return `#${channels}${alphaByte.toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Render mermaid source to SVG markup
+ * @param {string} source - Diagram source
+ * @param {Object} palette - Colors from getDiagramPalette
+ * @returns {Promise<string>} SVG markup
+ */
+async function renderMermaid(source, palette) {
+  await loadDiagramLibrary('mermaid');
+
+  const [primary, secondary, tertiary] = palette.accents;
+  const themeVariables = {
+    darkMode: palette.dark,
+    background: palette.background,
+    fontFamily: getComputedStyle(document.body).fontFamily,
+    primaryColor: withAlpha(primary, 0.2),
+    primaryBorderColor: primary,
+    primaryTextColor: palette.text,
+    secondaryColor: withAlpha(secondary, 0.2),
+    secondaryBorderColor: secondary,
+    tertiaryColor: withAlpha(tertiary, 0.13),
+    tertiaryBorderColor: tertiary,
+    lineColor: palette.muted,
+    textColor: palette.text,
+    noteBkgColor: withAlpha(secondary, 0.13),
+    noteBorderColor: secondary,
+    noteTextColor: palette.text
+  };
+
+  // Pie slices, timeline sections, journeys and git branches cycle through the whole palette
+  palette.accents.forEach((color, index) => {
+    themeVariables[`pie${index + 1}`] = color;
+    themeVariables[`cScale${index}`] = color;
+    if (index < 8) themeVariables[`git${index}`] = color;
+  });
+
+  window.mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'base', themeVariables });
+  const { svg } = await window.mermaid.render(`diagram-${++diagramCount}`, source);
+  return svg;
+}
+
+/**
+ * Render Graphviz dot source to SVG markup
+ * @param {string} source - Diagram source
+ * @param {Object} palette - Colors from getDiagramPalette
+ * @returns {Promise<string>} SVG markup
+ */
+async function renderGraphviz(source, palette) {
+  await loadDiagramLibrary('graphviz');
+
+  const viz = await window.Viz.instance();
+  const svg = viz.renderSVGElement(source, {
+    graphAttributes: { bgcolor: 'transparent', color: palette.muted, fontcolor: palette.text },
+    nodeAttributes: { color: palette.accents[0], fontcolor: palette.text, fillcolor: withAlpha(palette.accents[0], 0.13), style: 'filled' },
+    edgeAttributes: { color: palette.muted, fontcolor: palette.muted }
+  });
+  return svg.outerHTML;
+}
+
+/**
+ * Render (or re-render) the diagram of one block, tracked until it is drawn
+ * @param {HTMLElement} block - The .diagram-block element
+ * @returns {Promise<void>} Resolves once the diagram or its error is shown; never rejects
+ */
+function renderDiagramBlock(block) {
+  const render = drawDiagramBlock(block).finally(() => pendingRenders.delete(render));
+  pendingRenders.add(render);
+  return render;
+}
+
+/**
+ * Draw the diagram of one block, falling back to the source on errors
+ * @param {HTMLElement} block - The .diagram-block element
+ * @returns {Promise<void>}
+ */
+async function drawDiagramBlock(block) {
+  const type = block.getAttribute('data-diagram');
+  const source = block.querySelector('pre code').textContent;
+  const diagram = block.querySelector('.diagram');
+  const toggle = block.querySelector('.diagram-toggle');
+
+  try {
+    const palette = getDiagramPalette();
+    diagram.innerHTML = type === 'mermaid' ? await renderMermaid(source, palette) : await renderGraphviz(source, palette);
+    diagram.classList.remove('diagram-error');
+    toggle.disabled = false;
+  } catch (error) {
+    console.warn(`Could not render ${type} diagram:`, error);
+    diagram.textContent = `This ${type} diagram could not be rendered: ${error.message || error}`;
+    diagram.classList.add('diagram-error');
+    setDiagramView(block, 'source');
+    toggle.disabled = true;
+  }
+}
+
+/**
+ * Show a block's diagram or its source
+ * @param {HTMLElement} block - The .diagram-block element
+ * @param {string} view - 'diagram' or 'source'
+ */
+function setDiagramView(block, view) {
+  block.setAttribute('data-view', view);
+  const toggle = block.querySelector('.diagram-toggle');
+  toggle.textContent = view === 'diagram' ? 'Source' : 'Diagram';
+  toggle.setAttribute('aria-pressed', view === 'source' ? 'true' : 'false');
+}
+
+/**
+ * Wrap a diagram code block with a rendered diagram and a toggle back to the source
+ * Called by enhanceCodeBlocks for blocks the code renderer marked with data-diagram.
+ * @param {HTMLElement} codeBlock - The pre element
+ * @returns {Promise<void>} Resolves once the diagram is drawn, at once for blocks left as they are
+ */
+export function enhanceDiagramBlock(codeBlock) {
+  const type = codeBlock.getAttribute('data-diagram');
+  if (!type || !DIAGRAM_LIBRARIES[type] || codeBlock.closest('.diagram-block')) return Promise.resolve();
+
+  const block = document.createElement('div');
+  block.className = 'diagram-block';
+  block.setAttribute('data-diagram', type);
+  block.innerHTML = `<div class="diagram-toolbar"><span class="diagram-type">${type}</span>` +
+    `<button type="button" class="diagram-toggle" aria-pressed="false" disabled>Source</button></div>` +
+    `<div class="diagram" role="img" aria-label="${type} diagram"></div>`;
+
+  codeBlock.parentNode.insertBefore(block, codeBlock);
+  block.appendChild(codeBlock);
+  setDiagramView(block, 'diagram');
+  return renderDiagramBlock(block);
+}
+
+/**
+ * Wait for every diagram being drawn, including redraws started while waiting
+ * @returns {Promise<void>} Resolves when no render is left in progress
+ */
+export async function whenDiagramsRendered() {
+  while (pendingRenders.size > 0) {
+    await Promise.all(pendingRenders);
+  }
+}
+
+/**
+ * Flip diagrams between rendered and source views, and redraw them when the theme or palette changes
+ */
+export function initDiagramToggles() {
+  document.addEventListener('click', event => {
+    const toggle = event.target.closest('.diagram-toggle');
+    if (!toggle) return;
+
+    const block = toggle.closest('.diagram-block');
+    setDiagramView(block, block.getAttribute('data-view') === 'diagram' ? 'source' : 'diagram');
+  });
+
+  const redraw = () => {
+    document.querySelectorAll('.diagram-block').forEach(block => {
+      if (!block.querySelector('.diagram').classList.contains('diagram-error')) {
+        renderDiagramBlock(block);
+      }
+    });
+  };
+
+  window.addEventListener('settingsChanged', redraw);
+  new MutationObserver(mutations => {
+    if (mutations.some(mutation => mutation.attributeName === 'data-theme')) redraw();
+  }).observe(document.documentElement, { attributes: true });
+}
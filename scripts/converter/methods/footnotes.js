@@ -0,0 +1,197 @@
+/**
+ * Machine Yearning Chat Converter - Footnote Methods
+ * Renders [^1] footnotes and [@source] citations as numbered references with hover cards, and lists
+ * each message's notes at the end of that message
+ */
+
+const CARD_DELAY = 200; // ms before a hovered reference shows its card
+
+let card = null;
+let cardTimer = null;
+
+/**
+ * Get the key that ties a reference to its entry in the message's list
+ * @param {Object} note - Note from window.chatAst.protectFootnotes
+ * @returns {string} Key, e.g. footnote-1 or citation-2
+ */
+function getNoteKey(note) {
+  return `${note.kind}-${note.number}`;
+}
+
+/**
+ * Create the markup for one reference to a note
+ * @param {Object} note - Note from window.chatAst.protectFootnotes
+ * @returns {string} HTML
+ */
+export function createFootnoteReference(note) {
+  const citation = note.kind === 'citation';
+  const label = citation ? `[${note.number}]` : String(note.number);
+  return `<sup class="footnote-ref${citation ? ' citation-ref' : ''}">` +
+    `<button type="button" data-footnote="${getNoteKey(note)}" aria-label="${citation ? 'Source' : 'Footnote'} ${note.number}">${label}</button></sup>`;
+}
+
+/**
+ * Create the list of a message's notes, footnotes first and then citations
+ * @param {Array} notes - Notes from window.chatAst.protectFootnotes
+ * @param {Function} renderNote - Renders a note's markdown to HTML
+ * @returns {string} HTML, or an empty string when there are no notes
+ */
+export function createFootnoteList(notes, renderNote) {
+  if (notes.length === 0) return '';
+
+  const list = (kind, className) => {
+    const items = notes.filter(note => note.kind === kind).map(note => {
+      // Referenced notes link back to the text, inside their last paragraph
+      const back = note.references ? ` <button type="button" class="footnote-back" aria-label="Back to the text">&#8617;&#xFE0E;</button>` : '';
+      const html = renderNote(note.content).trim();
+      const body = /<\/p>$/.test(html) ? `${html.slice(0, -4)}${back}</p>` : `${html}${back}`;
+      return `<li data-footnote="${getNoteKey(note)}">${body}</li>`;
+    });
+    return items.length ? `<ol class="${className}">${items.join('')}</ol>` : '';
+  };
+
+  return `<section class="footnotes" aria-label="Notes">` +
+    `${list('footnote', 'footnote-list')}${list('citation', 'footnote-list citation-list')}</section>`;
+}
+
+/**
+ * Render message markdown with its footnotes and citations
+ * @param {string} markdown - Message markdown
+ * @param {Function} render - Renders the message markdown, with references protected, to HTML
+ * @param {Function} renderNote - Renders a note's markdown to HTML
+ * @returns {string} HTML with numbered references and the list of notes at the end
+ */
+export function renderWithFootnotes(markdown, render, renderNote) {
+  const { text, notes } = window.chatAst.protectFootnotes(markdown);
+  if (notes.length === 0) return render(markdown);
+
+  return window.chatAst.restoreFootnotes(render(text), notes, createFootnoteReference) + createFootnoteList(notes, renderNote);
+}
+
+/**
+ * Find a reference's entry in the list of its own message
+ * Keys repeat from message to message, so lookups stay inside one content block.
+ * @param {HTMLElement} reference - Reference button
+ * @returns {HTMLElement|null} The list item
+ */
+function findNote(reference) {
+  const content = reference.closest('.content') || reference.closest('.message');
+  return content ? content.querySelector(`.footnotes li[data-footnote="${reference.getAttribute('data-footnote')}"]`) : null;
+}
+
+/**
+ * Create the hover card, once per page
+ * @returns {HTMLElement} The card element
+ */
+function getCard() {
+  if (card) return card;
+
+  card = document.createElement('div');
+  card.className = 'footnote-card';
+  card.id = 'footnote-card';
+  card.setAttribute('role', 'tooltip');
+  card.hidden = true;
+  document.body.appendChild(card);
+  return card;
+}
+
+/**
+ * Show a note's card under its reference
+ * @param {HTMLElement} reference - Reference button
+ */
+function showCard(reference) {
+  const note = findNote(reference);
+  if (!note) return;
+
+  const element = getCard();
+  element.innerHTML = note.innerHTML;
+  element.querySelectorAll('.footnote-back').forEach(button => button.remove());
+  element.hidden = false;
+  reference.setAttribute('aria-describedby', element.id);
+
+  const rect = reference.getBoundingClientRect();
+  const maxLeft = document.documentElement.clientWidth - element.offsetWidth - 8;
+  element.style.top = `${rect.bottom + window.scrollY + 6}px`;
+  element.style.left = `${Math.max(8, Math.min(rect.left - 12, maxLeft)) + window.scrollX}px`;
+}
+
+/**
+ * Hide the hover card
+ */
+function hideCard() {
+  clearTimeout(cardTimer);
+  if (!card || card.hidden) return;
+  card.hidden = true;
+  document.querySelectorAll('[aria-describedby="footnote-card"]').forEach(reference => reference.removeAttribute('aria-describedby'));
+}
+
+/**
+ * Scroll an element into view and flash it
+ * @param {HTMLElement} element - Element to reveal
+ */
+function highlight(element) {
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.classList.remove('footnote-target');
+  void element.offsetWidth; // restart the animation
+  element.classList.add('footnote-target');
+}
+
+/**
+ * Show note cards on hover and focus, and jump between references and their notes
+ * A single set of delegated listeners covers messages rendered in the browser and pre-rendered ones
+ */
+export function initFootnotes() {
+  let lastReference = null;
+
+  document.addEventListener('click', event => {
+    const reference = event.target.closest('.footnote-ref button');
+    if (reference) {
+      const note = findNote(reference);
+      if (!note) return;
+      hideCard();
+      lastReference = reference;
+      highlight(note);
+      return;
+    }
+
+    const back = event.target.closest('.footnote-back');
+    if (back) {
+      // Back to the reference that was followed, or else the first one to this note
+      const item = back.closest('li[data-footnote]');
+      const key = item.getAttribute('data-footnote');
+      const content = item.closest('.content') || item.closest('.message');
+      const target = lastReference && lastReference.getAttribute('data-footnote') === key && content.contains(lastReference)
+        ? lastReference
+        : content.querySelector(`.footnote-ref button[data-footnote="${key}"]`);
+      if (target) {
+        highlight(target.parentElement);
+        target.focus({ preventScroll: true });
+      }
+    }
+  });
+
+  document.addEventListener('mouseover', event => {
+    const reference = event.target.closest('.footnote-ref button');
+    if (!reference || reference.contains(event.relatedTarget)) return;
+    clearTimeout(cardTimer);
+    cardTimer = setTimeout(() => showCard(reference), CARD_DELAY);
+  });
+
+  document.addEventListener('mouseout', event => {
+    const reference = event.target.closest('.footnote-ref button');
+    if (reference && !reference.contains(event.relatedTarget)) hideCard();
+  });
+
+  document.addEventListener('focusin', event => {
+    const reference = event.target.closest('.footnote-ref button');
+    if (reference) showCard(reference);
+  });
+
+  document.addEventListener('focusout', event => {
+    if (event.target.closest('.footnote-ref button')) hideCard();
+  });
+
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') hideCard();
+  });
+}
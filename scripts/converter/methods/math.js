@@ -0,0 +1,32 @@
+/**
+ * Machine Yearning Chat Converter - Math Methods
+ * Renders the $inline$ and $$display$$ math of messages with the KaTeX vendored in public/katex
+ */
+
+/**
+ * Render one formula
+ * @param {string} tex - TeX source, without the dollars
+ * @param {boolean} display - Whether the formula is $$display$$ math
+ * @returns {string} HTML, or the source as written when KaTeX has not loaded
+ */
+export function renderMath(tex, display) {
+  if (!window.katex) {
+    const delimiter = display ? '$$' : '$';
+    const escaped = tex.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `<span class="math-source">${delimiter}${escaped}${delimiter}</span>`;
+  }
+
+  // Mistakes in the TeX are shown in red in place instead of stopping the conversation
+  return window.katex.renderToString(tex, { displayMode: display, throwOnError: false });
+}
+
+/**
+ * Render markdown with marked, protecting its math from emphasis parsing
+ * @param {string} markdown - Markdown that may contain math
+ * @param {Object} renderer - Marked renderer
+ * @returns {string} HTML
+ */
+export function parseMarkdownWithMath(markdown, renderer) {
+  const { text, math } = window.chatAst.protectMath(markdown);
+  return window.chatAst.restoreMath(window.marked.parse(text, { renderer }), math, renderMath);
+}
@@ -0,0 +1,169 @@
+/**
+ * Machine Yearning Chat Converter - Media Methods
+ * Renders images embedded in messages as thumbnails that open in a lightbox, and other
+ * embedded files as download chips
+ */
+
+import { escapeHtml } from './parsing.js';
+
+let lightbox = null;
+let lightboxImages = [];
+let lightboxIndex = 0;
+let lightboxReturnFocus = null;
+
+/**
+ * Escape a value for use inside a double-quoted attribute
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/"/g, '&quot;');
+}
+
+/**
+ * Resolve an embedded file against the conversation's folder and the site's base URL
+ * @param {string} href - Path as written in the message
+ * @param {string} chatPath - Path of the conversation's markdown file
+ * @returns {string} URL to load the file from
+ */
+export function resolveAssetUrl(href, chatPath) {
+  const resolved = window.chatAst.resolveAssetPath(href, chatPath);
+  if (resolved === href || !window.chatScanner) return resolved;
+  return window.chatScanner.getFileUrl(resolved);
+}
+
+/**
+ * Build the markup for an embedded file: a thumbnail for images, a download chip otherwise
+ * @param {string} src - Resolved URL of the file
+ * @param {string} text - Alt text, used as the caption or the chip label
+ * @param {string} title - Optional title
+ * @returns {string} HTML
+ */
+export function createMediaHtml(src, text, title) {
+  const titleAttr = title ? ` title="${escapeAttribute(title)}"` : '';
+
+  if (window.chatAst.getAssetKind(src) === 'image') {
+    return `<a class="chat-image" href="${escapeAttribute(src)}"${titleAttr}>` +
+      `<img src="${escapeAttribute(src)}" alt="${escapeAttribute(text || '')}" loading="lazy"></a>`;
+  }
+
+  // marked escapes the alt text; the file name comes from the URL and is escaped here
+  const fileName = escapeHtml(decodeURIComponent(src.split(/[?#]/)[0].split('/').pop() || 'file'));
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toUpperCase() : 'FILE';
+  return `<a class="attachment" href="${escapeAttribute(src)}" download${titleAttr}>` +
+    `<span class="attachment-name">${text || fileName}</span><span class="attachment-type">${extension}</span></a>`;
+}
+
+/**
+ * Create the lightbox overlay, once per page
+ * @returns {HTMLElement} The lightbox element
+ */
+function getLightbox() {
+  if (lightbox) return lightbox;
+
+  lightbox = document.createElement('div');
+  lightbox.className = 'lightbox';
+  lightbox.setAttribute('role', 'dialog');
+  lightbox.setAttribute('aria-modal', 'true');
+  lightbox.setAttribute('aria-label', 'Image viewer');
+  lightbox.hidden = true;
+  lightbox.innerHTML = `<button type="button" class="lightbox-close" aria-label="Close">&times;</button>` +
+    `<button type="button" class="lightbox-prev" aria-label="Previous image">&lsaquo;</button>` +
+    `<figure class="lightbox-figure"><img class="lightbox-image" alt=""><figcaption class="lightbox-caption"></figcaption></figure>` +
+    `<button type="button" class="lightbox-next" aria-label="Next image">&rsaquo;</button>` +
+    `<span class="lightbox-count" aria-live="polite"></span>`;
+
+  lightbox.addEventListener('click', event => {
+    if (event.target.closest('.lightbox-prev')) {
+      showLightboxImage(lightboxIndex - 1);
+    } else if (event.target.closest('.lightbox-next')) {
+      showLightboxImage(lightboxIndex + 1);
+    } else if (event.target.closest('.lightbox-close') || !event.target.closest('.lightbox-figure')) {
+      closeLightbox();
+    }
+  });
+
+  document.body.appendChild(lightbox);
+  return lightbox;
+}
+
+/**
+ * Show one of the conversation's images in the lightbox
+ * @param {number} index - Position of the image, clamped to the first and last
+ */
+function showLightboxImage(index) {
+  lightboxIndex = Math.max(0, Math.min(index, lightboxImages.length - 1));
+  const link = lightboxImages[lightboxIndex];
+  const thumbnail = link.querySelector('img');
+  const caption = thumbnail.getAttribute('alt') || link.getAttribute('title') || '';
+
+  const image = lightbox.querySelector('.lightbox-image');
+  image.src = link.getAttribute('href');
+  image.alt = caption;
+  lightbox.querySelector('.lightbox-caption').textContent = caption;
+  lightbox.querySelector('.lightbox-count').textContent = lightboxImages.length > 1 ? `${lightboxIndex + 1} of ${lightboxImages.length}` : '';
+  lightbox.querySelector('.lightbox-prev').disabled = lightboxIndex === 0;
+  lightbox.querySelector('.lightbox-next').disabled = lightboxIndex === lightboxImages.length - 1;
+}
+
+/**
+ * Close the lightbox and return focus to the thumbnail that opened it
+ */
+function closeLightbox() {
+  if (!lightbox || lightbox.hidden) return;
+  lightbox.hidden = true;
+  document.body.classList.remove('lightbox-open');
+  if (lightboxReturnFocus) {
+    lightboxReturnFocus.focus();
+    lightboxReturnFocus = null;
+  }
+}
+
+/**
+ * Open image thumbnails in the lightbox, stepping through the images revealed so far
+ */
+export function initLightbox() {
+  document.addEventListener('click', event => {
+    const link = event.target.closest('.chat-image');
+    if (!link || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    event.preventDefault();
+
+    // Images in unrevealed messages and unselected alternate replies are skipped
+    const container = link.closest('.markdown-body') || document;
+    lightboxImages = [...container.querySelectorAll('.chat-image')]
+      .filter(image => image === link || !image.closest('.message.hidden, [hidden]'));
+    lightboxReturnFocus = link;
+
+    getLightbox().hidden = false;
+    document.body.classList.add('lightbox-open');
+    showLightboxImage(lightboxImages.indexOf(link));
+    lightbox.querySelector('.lightbox-close').focus();
+  });
+
+  // Keys work wherever focus is while the lightbox is open
+  document.addEventListener('keydown', event => {
+    if (!lightbox || lightbox.hidden) return;
+
+    if (event.key === 'Escape') {
+      closeLightbox();
+    } else if (event.key === 'ArrowLeft') {
+      showLightboxImage(lightboxIndex - 1);
+    } else if (event.key === 'ArrowRight') {
+      showLightboxImage(lightboxIndex + 1);
+    } else if (event.key === 'Home') {
+      showLightboxImage(0);
+    } else if (event.key === 'End') {
+      showLightboxImage(lightboxImages.length - 1);
+    } else if (event.key === 'Tab') {
+      // Keep focus on the lightbox's own buttons while it is open
+      const buttons = [...lightbox.querySelectorAll('button:not([disabled])')];
+      const current = buttons.indexOf(document.activeElement);
+      const next = (current + (event.shiftKey ? -1 : 1) + buttons.length) % buttons.length;
+      buttons[next].focus();
+    } else {
+      return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  });
+}
@@ -3,13 +3,16 @@
  * Contains methods for parsing and extracting information from markdown
  */
 
+// Line-level rules live in the shared conversation AST module (scripts/chat-ast.js)
+// so the converter, the directory and the build scripts agree on them
+
 /**
  * Check if a line is a markdown header
  * @param {string} line - The line to check
  * @returns {boolean} Whether the line is a markdown header
  */
 export function isMarkdownHeader(line) {
-  return /^#{2,4}\s+.+/.test(line.trim());
+  return window.chatAst.isHeaderLine(line);
 }
 
 /**
@@ -18,8 +21,7 @@ export function isMarkdownHeader(line) {
  * @returns {number} The header level (1-6)
  */
 export function getMarkdownHeaderLevel(line) {
-  const match = line.match(/^(#{2,4})\s+.+/);
-  return match ? match[1].length : 0;
+  return window.chatAst.getHeaderLevel(line);
 }
 
 /**
@@ -28,74 +30,21 @@ export function getMarkdownHeaderLevel(line) {
  * @returns {Object|null} Object with speaker name and layout info, or null if not found
  */
 export function extractSpeaker(line) {
-  let speakerInfo = null;
-  
-  // Check for << SPEAKER {LAYOUT} >> format (new primary format)
-  const angleTagMatch = line.match(/<<\s*(.*?)(?:\s+\{(.*?)\})?\s*>>/);
-  if (angleTagMatch) {
-    // Handle empty speaker tags (<<>>) as special "direct-text" type
-    const speakerRaw = angleTagMatch[1].trim() === "" ? "direct-text" : angleTagMatch[1].trim().toLowerCase();
-    // Normalize speaker name: convert to lowercase and replace spaces with underscores
-    const speaker = speakerRaw.replace(/\s+/g, '_');
-    const layoutTag = angleTagMatch[2] || null;
-    
-    speakerInfo = {
-      name: speaker,
-      layout: parseLayoutTag(layoutTag)
-    };
-    
-    return speakerInfo;
-  }
-  
-  // Check for <<SPEAKER {LAYOUT}>> format (legacy format)
-  const speakerMatch = line.match(/\[\[\[(.*?)(?:\s+\{(.*?)\})?\]\]\]/);
-  if (speakerMatch) {
-    // Handle empty speaker tags ([[[]]]) as special "direct-text" type
-    const speakerRaw = speakerMatch[1].trim() === "" ? "direct-text" : speakerMatch[1].trim().toLowerCase();
-    // Normalize speaker name: convert to lowercase and replace spaces with underscores
-    const speaker = speakerRaw.replace(/\s+/g, '_');
-    const layoutTag = speakerMatch[2] || null;
-    
-    speakerInfo = {
-      name: speaker,
-      layout: parseLayoutTag(layoutTag)
-    };
-    
-    return speakerInfo;
-  }
-  
-  // Check for <!-- SPEAKER {LAYOUT} --> format (alternate format)
-  const htmlCommentMatch = line.match(/<!--\s*(.*?)(?:\s+\{(.*?)\})?\s*-->/);
-  if (htmlCommentMatch) {
-    // Handle empty speaker tags (<!-- -->) as special "direct-text" type
-    const speakerRaw = htmlCommentMatch[1].trim() === "" ? "direct-text" : htmlCommentMatch[1].trim().toLowerCase();
-    // Normalize speaker name: convert to lowercase and replace spaces with underscores
-    const speaker = speakerRaw.replace(/\s+/g, '_');
-    const layoutTag = htmlCommentMatch[2] || null;
-    
-    speakerInfo = {
-      name: speaker,
-      layout: parseLayoutTag(layoutTag)
-    };
-    
-    return speakerInfo;
-  }
-  
-  return null;
+  return window.chatAst.extractSpeaker(line);
 }
 
 /**
  * Process wikilinks in text content
  * @param {string} text - Text containing wikilinks
- * @returns {string} Text with wikilinks converted to HTML anchors
+ * @returns {string} Text with wikilinks converted to links to the term's wiki page
  */
 export function processWikilinks(text) {
   if (!text) return text;
   
-  // Replace [[link]] or [[link|label]] with HTML
-  return text.replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, link, label) => {
-    const displayText = label || link;
-    return `<a href="#${encodeURIComponent(link)}" title="wiki: ${link}">${displayText}</a>`;
+  // Replace [[link]] or [[link|label]] with a link the wiki view and hover previews pick up
+  return window.chatAst.replaceWikilinks(text, (term, label) => {
+    const slug = window.chatAst.getWikiSlug(term);
+    return `<a href="index.html?wiki=${encodeURIComponent(slug)}" class="wikilink" data-wiki="${slug}">${label}</a>`;
   });
 }
 
@@ -105,33 +54,7 @@ export function processWikilinks(text) {
  * @returns {Object} Layout information object
  */
 export function parseLayoutTag(layoutTag) {
-  if (!layoutTag) return null;
-  
-  const layout = {
-    position: null,
-    offset: 0
-  };
-  
-  // Parse position (L or R)
-  if (layoutTag.startsWith('L')) {
-    layout.position = 'left';
-    
-    // Check for offset, e.g. L.25
-    const offsetMatch = layoutTag.match(/L\.(\d+)/);
-    if (offsetMatch) {
-      layout.offset = parseFloat('0.' + offsetMatch[1]);
-    }
-  } else if (layoutTag.startsWith('R')) {
-    layout.position = 'right';
-    
-    // Check for offset, e.g. R.25
-    const offsetMatch = layoutTag.match(/R\.(\d+)/);
-    if (offsetMatch) {
-      layout.offset = parseFloat('0.' + offsetMatch[1]);
-    }
-  }
-  
-  return layout;
+  return window.chatAst.parseLayoutTag(layoutTag);
 }
 
 /**
@@ -0,0 +1,175 @@
+/**
+ * Machine Yearning Chat Converter - Permalink Methods
+ * Offers a "copy link" button on the message under the pointer, or on the messages a text
+ * selection spans, linking to #setup/m-3 or #setup/m-3..m-7
+ */
+
+const HIDE_DELAY = 200; // ms grace period for moving the pointer onto the button
+const COPIED_DURATION = 2000; // ms the button shows that the link was copied
+
+const LINK_ICON = `<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+  <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
+  <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
+</svg>`;
+
+let button = null;
+let linkRange = null;
+let hideTimer = null;
+let copiedTimer = null;
+
+/**
+ * Find the linkable message around a node
+ * @param {Node} node - Any node in the page
+ * @returns {HTMLElement|null} The message element
+ */
+function findMessage(node) {
+  const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+  const message = element ? element.closest('.message[id]') : null;
+  return message && window.chatAst.parseMessageId(message.id) ? message : null;
+}
+
+/**
+ * Create the button, once per page
+ * @returns {HTMLElement} The button element
+ */
+function getButton() {
+  if (button) return button;
+
+  button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'message-link';
+  button.hidden = true;
+  button.innerHTML = `${LINK_ICON}<span class="message-link-label" aria-live="polite"></span>`;
+
+  button.addEventListener('click', copyLink);
+  button.addEventListener('mouseenter', () => clearTimeout(hideTimer));
+  button.addEventListener('mouseleave', event => {
+    if (!findMessage(event.relatedTarget)) scheduleHide();
+  });
+
+  document.body.appendChild(button);
+  return button;
+}
+
+/**
+ * Show the button at the top corner of a message
+ * @param {HTMLElement} message - Message the button is placed on
+ * @param {string} start - Id of the first linked message
+ * @param {string} end - Id of the last linked message
+ */
+function showButton(message, start, end) {
+  clearTimeout(hideTimer);
+  linkRange = { start, end };
+
+  const element = getButton();
+  if (!element.classList.contains('copied')) {
+    element.querySelector('.message-link-label').textContent = start === end ? 'Copy link' : 'Copy link to selection';
+  }
+  element.setAttribute('aria-label', start === end ? `Copy link to message ${start}` : `Copy link to messages ${start} to ${end}`);
+  element.hidden = false;
+
+  const rect = message.getBoundingClientRect();
+  element.style.top = `${rect.top + window.scrollY - element.offsetHeight / 2}px`;
+  element.style.left = `${rect.right + window.scrollX - element.offsetWidth - 12}px`;
+}
+
+/**
+ * Hide the button
+ */
+function hideButton() {
+  clearTimeout(hideTimer);
+  if (button) button.hidden = true;
+}
+
+/**
+ * Hide the button after a short grace period
+ */
+function scheduleHide() {
+  clearTimeout(hideTimer);
+  hideTimer = setTimeout(hideButton, HIDE_DELAY);
+}
+
+/**
+ * Get the messages a text selection spans
+ * @returns {Array<HTMLElement>|null} First and last message, or null without a selection in messages
+ */
+function getSelectedMessages() {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+  const range = selection.getRangeAt(0);
+  const first = findMessage(range.startContainer);
+  const last = findMessage(range.endContainer);
+  return first && last ? [first, last] : null;
+}
+
+/**
+ * Put the link in the address bar and on the clipboard
+ * The address bar is updated first, so the link can be copied from there if the clipboard is unavailable.
+ */
+function copyLink() {
+  if (!linkRange) return;
+
+  const fragment = window.chatAst.formatMessageRange(linkRange.start, linkRange.end);
+  const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${fragment}`;
+  history.replaceState(history.state, '', `#${fragment}`);
+
+  const label = button.querySelector('.message-link-label');
+  const confirm = () => {
+    button.classList.add('copied');
+    label.textContent = 'Copied';
+    clearTimeout(copiedTimer);
+    copiedTimer = setTimeout(() => {
+      button.classList.remove('copied');
+      label.textContent = linkRange && linkRange.start !== linkRange.end ? 'Copy link to selection' : 'Copy link';
+    }, COPIED_DURATION);
+  };
+
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(url).then(confirm).catch(error => console.error('Failed to copy link: ', error));
+  }
+}
+
+/**
+ * Offer a link to the message under the pointer or with focus, or to the messages a selection spans
+ */
+export function initMessageLinks() {
+  document.addEventListener('mouseover', event => {
+    const message = findMessage(event.target);
+    if (!message || message.contains(event.relatedTarget) || message.classList.contains('hidden')) return;
+
+    // A selection across messages keeps its range link while the pointer moves over them
+    if (getSelectedMessages()) return;
+    showButton(message, message.id, message.id);
+  });
+
+  document.addEventListener('mouseout', event => {
+    const message = findMessage(event.target);
+    if (!message || message.contains(event.relatedTarget) || event.relatedTarget === button) return;
+    if (!getSelectedMessages()) scheduleHide();
+  });
+
+  document.addEventListener('focusin', event => {
+    const message = findMessage(event.target);
+    if (!message) return;
+    showButton(message, message.id, message.id);
+  });
+
+  // Selecting text offers a link to every message the selection touches
+  const showForSelection = () => {
+    const selected = getSelectedMessages();
+    if (!selected) return;
+
+    // A range runs forwards whichever way it was dragged, so its end is the last message
+    const [first, last] = selected;
+    showButton(last, first.id, last.id);
+  };
+  document.addEventListener('mouseup', () => setTimeout(showForSelection, 0));
+  document.addEventListener('keyup', event => {
+    if (event.shiftKey) showForSelection();
+  });
+
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape') hideButton();
+  });
+}
@@ -4,9 +4,6 @@
  */
 
 import { 
-  isMarkdownHeader, 
-  getMarkdownHeaderLevel,
-  extractSpeaker,
   createSpacePlaceholder,
   processWikilinks
 } from './parsing.js';
@@ -16,22 +13,36 @@ import {
   createNavigationUI,
   createCustomRenderer,
   processConversation,
+  decorateMessage,
   getSpeakerClass
 } from './rendering.js';
 
 import { 
-  getSpeakerIcon, 
   resetSpeakerIconMapping, 
-  getSpeakerColor, 
+  setSpeakerRoster,
+  reserveSpeakerColors,
   setupCustomIconCSS, 
-  shouldDisplaySpeakerName, 
-  getSpeakerDisplayName,
   collectSpeakerIcon 
 } from '../utils/speakerIconMapper.js';
 
+import { formatTimestamps } from './timestamps.js';
+import { applyReasoningSettings } from './reasoning.js';
+
+// Front matter metadata of the conversation currently being displayed
+let currentMetadata = {};
+
+/**
+ * Get the front matter metadata of the most recently processed conversation
+ * @returns {Object} Metadata object (empty when the file has no front matter)
+ */
+export function getChatMetadata() {
+  return currentMetadata;
+}
+
 /**
  * Process chat content from markdown to HTML
- * @param {Object} options - Processing options
+ * @param {Object} options - Processing options; prerender renders the markup scripts/build-static.js
+ *   writes into pages, without the parts enhanceChatContent applies in the browser
  */
 export function processChatContent(options) {
   // Make sure marked.js is available
@@ -50,7 +61,7 @@ export function processChatContent(options) {
   const speakerLayouts = {};
   
   // Import custom renderer and functions from rendering module
-  const renderer = createCustomRenderer(escapeHtml, restoreSpacePlaceholders);
+  const renderer = createCustomRenderer(escapeHtml, restoreSpacePlaceholders, options.chatPath);
   
   // Helper function to get the class for a speaker
   const getSpeakerClassLocal = (speaker) => getSpeakerClass(speaker, speakers);
@@ -81,176 +92,28 @@ export function processChatContent(options) {
     rawContent = content.innerHTML;
   }
   
-  // Parse the markdown content into sections and messages
-  const lines = rawContent.split('\n');
-  const contentItems = []; // Will hold all items (headers and messages) in sequence
-  
-  // Track the current speaker and accumulated message
-  let currentSpeaker = null;
-  let currentMessage = '';
-  let currentSectionId = 0;
+  // Parse the conversation into sections and messages, keeping front matter as metadata
+  const ast = window.chatAst.parse(rawContent);
+  currentMetadata = ast.metadata;
   
-  // First pass: collect all unique speakers
-  for (let i = 0; i < lines.length; i++) {
-    const rawLine = lines[i];
-    const line = rawLine.trim();
-    
-    if ((line.includes('<<') && line.includes('>>')) || (line.includes('<<') && line.includes('>>'))) {
-      const speakerInfo = extractSpeaker(line);
-      if (speakerInfo && !speakers.includes(speakerInfo.name)) {
-        speakers.push(speakerInfo.name);
-        // Pre-collect the icon for this speaker
-        collectSpeakerIcon(speakerInfo.name);
-      }
-    }
-  }
-  
-  // Now that we have all speakers, set up CSS once
-  setupCustomIconCSS();
-  
-  // Second pass: process the content
-  for (let i = 0; i < lines.length; i++) {
-    const rawLine = lines[i];
-    const line = rawLine.trim();
-    
-    // Detect headers (## style markdown headers)
-    if (isMarkdownHeader(line)) {
-      // Save current message if exists
-      if (currentSpeaker && currentMessage) {
-        // Process wikilinks in message content before adding to content items
-        const processedMessage = processWikilinks(currentMessage);
-        
-        contentItems.push({
-          type: 'message',
-          speaker: currentSpeaker.name,
-          layout: currentSpeaker.layout,
-          content: processedMessage
-        });
-      }
-      
-      // Add the header
-      contentItems.push({
-        type: 'header',
-        level: getMarkdownHeaderLevel(line),
-        content: markdownHeaderToHtml(line),
-        id: 'header-' + currentSectionId
-      });
-      
-      currentSectionId++;
-      
-      // Reset the current speaker and message
-      currentSpeaker = null;
-      currentMessage = '';
-    }
-    // Detect speaker change using << speaker >> or << speaker >> format
-    else if ((line.includes('<<') && line.includes('>>')) || (line.includes('<<') && line.includes('>>'))) {
-      // Save the previous message if there is one
-      if (currentSpeaker && currentMessage) {
-        // Process wikilinks in message content before adding to content items
-        const processedMessage = processWikilinks(currentMessage);
-        
-        contentItems.push({
-          type: 'message',
-          speaker: currentSpeaker.name,
-          layout: currentSpeaker.layout,
-          content: processedMessage
-        });
-      }
-      
-      // Extract the new speaker name and layout from between delimiters
-      const speakerInfo = extractSpeaker(line);
-      if (speakerInfo) {
-        currentSpeaker = speakerInfo;
-        currentMessage = '';
-      }
-    } else if (currentSpeaker) {
-      // Skip the comment line itself
-      if (!line.includes('<!--') && !line.includes('-->')) {
-        // Add this line to the current message
-        currentMessage += (currentMessage ? '\n' : '') + rawLine;
-      }
-    }
-  }
+  // Pre-rendered pages (scripts/build-static.js) leave settings, the speaker roster and the
+  // animation to the viewer, which applies them when it enhances the page
+  const prerender = Boolean(options.prerender);
   
-  // Add any final message
-  if (currentSpeaker && currentMessage) {
-    // Process wikilinks in message content before adding to content items
-    const processedMessage = processWikilinks(currentMessage);
-    
-    contentItems.push({
-      type: 'message',
-      speaker: currentSpeaker.name,
-      layout: currentSpeaker.layout,
-      content: processedMessage
-    });
-  }
+  // Collect all unique speakers
+  speakers.push(...ast.speakers);
   
-  // Create hierarchical structure for nested sections
-  function createHierarchy(items) {
-    // Start with a root section
-    const root = {
-      id: 'root',
-      type: 'section',
-      header: null,
-      messages: [],
-      children: []
-    };
-    
-    // Current section being processed
-    let currentSection = root;
+  if (!prerender) {
+    // Site-wide roster from settings.json, refined by the conversation's own front matter
+    const siteSettings = window.appSettings ? window.appSettings.get() : {};
+    setSpeakerRoster(siteSettings.speakers, currentMetadata.speakers);
     
-    // Stack of sections for hierarchy
-    const sectionStack = [root];
+    // Pre-collect icons, then claim declared roster colors before undeclared speakers pick from the palette
+    speakers.forEach(speaker => collectSpeakerIcon(speaker));
+    reserveSpeakerColors(speakers);
     
-    // Process each item
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      
-      if (item.type === 'header') {
-        // Create a new section
-        const newSection = {
-          id: item.id,
-          type: 'section',
-          header: {
-            level: item.level,
-            content: item.content
-          },
-          messages: [],
-          children: []
-        };
-        
-        // Find the appropriate parent for this section
-        let parentFound = false;
-        
-        // Pop sections from stack until we find a level lower than this header
-        while (sectionStack.length > 1 && !parentFound) {
-          const potentialParent = sectionStack[sectionStack.length - 1];
-          
-          if (potentialParent.header && potentialParent.header.level < item.level) {
-            // This is a valid parent
-            parentFound = true;
-          } else {
-            // Pop this section from the stack
-            sectionStack.pop();
-          }
-        }
-        
-        // Add to parent's children
-        const parent = sectionStack[sectionStack.length - 1];
-        parent.children.push(newSection);
-        
-        // Update current section
-        currentSection = newSection;
-        
-        // Add to stack
-        sectionStack.push(newSection);
-      } else if (item.type === 'message') {
-        // Add message to current section
-        currentSection.messages.push(item);
-      }
-    }
-    
-    return root;
+    // Now that we have all speakers, set up CSS once
+    setupCustomIconCSS();
   }
   
   // Build the DOM based on the hierarchical structure
@@ -258,10 +121,9 @@ export function processChatContent(options) {
     // If this is not the root section, create a header and content container
     if (section.id !== 'root') {
       // Create the header element
-      const headerData = section.header;
       const headerDiv = document.createElement('div');
       headerDiv.className = 'chat-section-header';
-      headerDiv.setAttribute('data-level', headerData.level);
+      headerDiv.setAttribute('data-level', section.level);
       
       // Create toggle button
       const toggleButton = document.createElement('button');
@@ -274,7 +136,7 @@ export function processChatContent(options) {
       // Create header content
       const headerContent = document.createElement('div');
       headerContent.className = 'header-content';
-      headerContent.innerHTML = headerData.content;
+      headerContent.innerHTML = markdownHeaderToHtml(`${'#'.repeat(section.level)} ${section.text}`);
       
       // Assemble header
       headerDiv.appendChild(toggleButton);
@@ -288,34 +150,8 @@ export function processChatContent(options) {
       container.appendChild(sectionDiv);
       
       // Set up container for building the rest of this section
+      // (toggling is handled by the delegated listener from initSectionToggles)
       container = sectionDiv;
-      
-      // Set up click handlers for this header
-      toggleButton.addEventListener('click', function(e) {
-        e.stopPropagation(); // Prevent bubbling to the header
-        const expanded = this.getAttribute('aria-expanded') === 'true';
-        this.setAttribute('aria-expanded', !expanded);
-        
-        if (expanded) {
-          sectionDiv.classList.add('collapsed');
-        } else {
-          sectionDiv.classList.remove('collapsed');
-        }
-      });
-      
-      headerDiv.addEventListener('click', function() {
-        const button = this.querySelector('.section-toggle');
-        if (button) {
-          const expanded = button.getAttribute('aria-expanded') === 'true';
-          button.setAttribute('aria-expanded', !expanded);
-          
-          if (expanded) {
-            sectionDiv.classList.add('collapsed');
-          } else {
-            sectionDiv.classList.remove('collapsed');
-          }
-        }
-      });
     }
     
     // Process messages directly in this section
@@ -325,88 +161,48 @@ export function processChatContent(options) {
       let currentGroup = null;
       
       section.messages.forEach(msg => {
-        if (!currentGroup || currentGroup.speaker !== msg.speaker) {
+        // A message with its own time starts a new bubble so the time stays visible, and alternate
+        // replies, tool cards, messages sharing a row with the one before and messages with footnotes
+        // (which are numbered per message) always get a bubble of their own
+        const footnotes = window.chatAst.hasFootnotes(msg.content);
+        if (!currentGroup || currentGroup.speaker !== msg.speaker || msg.time || msg.variants || currentGroup.variants || msg.tool ||
+            (msg.layout && msg.layout.together) || footnotes || currentGroup.footnotes) {
           currentGroup = {
+            id: msg.id,
             speaker: msg.speaker,
             layout: msg.layout,
+            time: msg.time,
+            timestamp: msg.timestamp,
+            variants: msg.variants ? msg.variants.map(candidate => processWikilinks(candidate.content)) : null,
+            tool: msg.tool || null,
+            footnotes,
+            notes: [],
             messages: []
           };
           messageGroups.push(currentGroup);
         }
-        currentGroup.messages.push(msg.content);
+        // Process wikilinks in message content before rendering
+        currentGroup.messages.push(processWikilinks(msg.content));
+        (msg.notes || []).forEach(note => currentGroup.notes.push(processWikilinks(note.content)));
       });
       
-      // Render message groups
-      messageGroups.forEach(group => {
-        const msgContent = group.messages.join('\n');
-        const messageEl = document.createElement('div');
-        messageEl.className = 'message';
-        
-        // Get speaker class
-        const speakerClass = getSpeakerClassLocal(group.speaker);
-        messageEl.classList.add(speakerClass);
-        messageEl.setAttribute('data-speaker', group.speaker);
-        
-        // Add the speaker icon attribute based on appearance order
-        const speakerIcon = getSpeakerIcon(group.speaker);
-        messageEl.setAttribute('data-speaker-icon', speakerIcon);
-        
-        // Add the dynamic color key attribute based on appearance order
-        const colorKey = getSpeakerColor(group.speaker);
-        messageEl.setAttribute('data-color-key', colorKey);
-        
-        // Add speaker name caption for custom speakers
-        if (shouldDisplaySpeakerName(group.speaker)) {
-          messageEl.setAttribute('data-display-speaker', 'true');
-          const displayName = getSpeakerDisplayName(group.speaker);
-          
-          // Create caption element
-          const caption = document.createElement('div');
-          caption.className = 'speaker-caption';
-          caption.textContent = displayName;
-          messageEl.appendChild(caption);
-        }
-        
-        // Apply custom layout if provided
-        if (group.layout) {
-          if (group.layout.position === 'left') {
-            messageEl.style.alignSelf = 'flex-start';
-            messageEl.style.marginRight = 'auto';
-            messageEl.style.marginLeft = group.layout.offset ? (group.layout.offset * 100) + '%' : '0';
-            messageEl.classList.add('custom-left');
-          } else if (group.layout.position === 'right') {
-            messageEl.style.alignSelf = 'flex-end';
-            messageEl.style.marginLeft = 'auto';
-            messageEl.style.marginRight = group.layout.offset ? (group.layout.offset * 100) + '%' : '0';
-            messageEl.classList.add('custom-right');
-          }
-          
-          messageEl.setAttribute('data-layout-position', group.layout.position || '');
-          messageEl.setAttribute('data-layout-offset', group.layout.offset || 0);
-        }
-        
-        // Create content container
-        const contentContainer = document.createElement('div');
-        contentContainer.className = 'content-container';
-        
-        // Create content element
-        const contentEl = document.createElement('div');
-        contentEl.className = 'content';
-        contentEl.innerHTML = window.marked.parse(msgContent, { renderer });
-        
-        // Add the speaker color as a direct style variable for SVG icons and other uses
-        const speakerColor = getSpeakerColor(group.speaker);
-        if (speakerColor) {
-          // Apply the color as both a CSS variable and direct style for better compatibility
-          const colorVar = `var(--${speakerColor}-color, var(--${speakerColor === 'user' ? 'user' : speakerColor === 'assistant' ? 'assistant' : 'accent' + speakerColor.charAt(speakerColor.length-1).toUpperCase()}-color))`;
-          messageEl.style.setProperty('--speaker-color', colorVar);
-        }
-        
-        // Assemble message
-        contentContainer.appendChild(contentEl);
-        messageEl.appendChild(contentContainer);
-        container.appendChild(messageEl);
-      });
+      // Render message groups with the shared message renderer, then move them into this section
+      const renderedGroups = processConversation(messageGroups.map(group => ({
+        id: group.id,
+        speaker: group.speaker,
+        layout: group.layout,
+        time: group.time,
+        timestamp: group.timestamp,
+        variants: group.variants,
+        tool: group.tool,
+        notes: group.notes,
+        // The parser trims each message, so a blank line keeps them separate blocks
+        content: group.messages.join('\n\n')
+      })), renderer, getSpeakerClassLocal, { decorate: !prerender });
+      
+      while (renderedGroups.firstChild) {
+        container.appendChild(renderedGroups.firstChild);
+      }
     }
     
     // Process child sections recursively
@@ -427,11 +223,8 @@ export function processChatContent(options) {
     chatContainer.appendChild(headerNav);
   }
   
-  // Create the hierarchy from content items
-  const hierarchy = createHierarchy(contentItems);
-  
-  // Build the DOM from the hierarchy
-  buildDOMFromHierarchy(hierarchy, chatContainer);
+  // Build the DOM from the section tree
+  buildDOMFromHierarchy(ast.root, chatContainer);
   
   // Replace the content with our chat UI
   content.innerHTML = '';
@@ -442,23 +235,81 @@ export function processChatContent(options) {
     chatContainer.appendChild(footerNav);
   }
   
+  if (!prerender) {
+    formatTimestamps(chatContainer, currentMetadata);
+    applyReasoningSettings(chatContainer, currentMetadata);
+    hideForAnimation(chatContainer);
+  }
+  
+  // Add the chat container to the content element
+  content.appendChild(chatContainer);
+  
+  // Return the content element for any further processing
+  return content;
+}
+
+/**
+ * Enhance a conversation that scripts/build-static.js already rendered into the page
+ * The markup is kept as is; only the parts that depend on settings and the speaker roster
+ * (icons, colors, captions, default sides and timestamp labels) are applied before the animator takes over
+ * @param {Object} options - Processing options
+ * @returns {HTMLElement} The content element
+ */
+export function enhanceChatContent(options) {
+  const content = document.querySelector(options.contentSelector) || document.body;
+  
+  // Front matter is embedded as JSON because the markdown is not fetched
+  const metadataScript = document.getElementById('chat-metadata');
+  try {
+    currentMetadata = metadataScript ? JSON.parse(metadataScript.textContent) : {};
+  } catch (e) {
+    console.warn('Invalid pre-rendered metadata:', e.message);
+    currentMetadata = {};
+  }
+  
+  resetSpeakerIconMapping();
+  const siteSettings = window.appSettings ? window.appSettings.get() : {};
+  setSpeakerRoster(siteSettings.speakers, currentMetadata.speakers);
+  
+  // Speakers in order of appearance, as the AST would list them (tool cards are not speakers)
+  const messageEls = Array.from(content.querySelectorAll('.message[data-speaker]:not(.tool-card)'));
+  const speakers = [...new Set(messageEls.map(messageEl => messageEl.getAttribute('data-speaker')))];
+  speakers.forEach(speaker => collectSpeakerIcon(speaker));
+  reserveSpeakerColors(speakers);
+  setupCustomIconCSS();
+  
+  messageEls.forEach(messageEl => {
+    // The build only records layouts written in speaker tags
+    const position = messageEl.getAttribute('data-layout-position');
+    const layout = position
+      ? { position, offset: parseFloat(messageEl.getAttribute('data-layout-offset')) || 0 }
+      : null;
+    decorateMessage(messageEl, messageEl.getAttribute('data-speaker'), layout);
+  });
+  
+  formatTimestamps(content, currentMetadata);
+  applyReasoningSettings(content, currentMetadata);
+  
+  hideForAnimation(content);
+  
+  return content;
+}
+
+/**
+ * Hide messages and headers so the animator can reveal them
+ * @param {HTMLElement} container - Element containing the conversation
+ */
+function hideForAnimation(container) {
   // Apply hidden class to all messages for animation
-  const allMessages = chatContainer.querySelectorAll('.message');
-  allMessages.forEach(msg => {
+  container.querySelectorAll('.message').forEach(msg => {
     msg.classList.add('hidden');
+    msg.classList.remove('visible');
   });
   
   // Apply hidden class to headers for animation
-  const allHeaders = chatContainer.querySelectorAll('.chat-section-header');
-  allHeaders.forEach(header => {
+  container.querySelectorAll('.chat-section-header').forEach(header => {
     header.classList.add('header-hidden');
   });
-  
-  // Add the chat container to the content element
-  content.appendChild(chatContainer);
-  
-  // Return the content element for any further processing
-  return content;
 }
 
 /**
@@ -0,0 +1,53 @@
+/**
+ * Machine Yearning Chat Converter - Reasoning Methods
+ * Opens or closes the <thinking> reasoning blocks of agent messages, following the settings
+ * and a conversation's front matter
+ */
+
+// Default reasoning settings in case settings module is not available
+export const DEFAULT_REASONING_SETTINGS = {
+  expanded: false,
+  typingWeight: 0
+};
+
+const REASONING_STATES = ['expanded', 'collapsed'];
+
+/**
+ * Get the reasoning settings, with a conversation's front matter `reasoning` state applied
+ * @param {Object} metadata - Front matter of the conversation
+ * @returns {Object} Reasoning settings
+ */
+export function getReasoningSettings(metadata) {
+  let settings = DEFAULT_REASONING_SETTINGS;
+  if (window.appSettings && window.appSettings.get) {
+    settings = { ...settings, ...(window.appSettings.get().chat.reasoning || {}) };
+  }
+
+  if (metadata && REASONING_STATES.includes(metadata.reasoning)) {
+    settings = { ...settings, expanded: metadata.reasoning === 'expanded' };
+  }
+  return settings;
+}
+
+/**
+ * Build the collapsible block for a message's reasoning
+ * @param {string} html - Rendered reasoning
+ * @returns {string} HTML for the block, collapsed until applyReasoningSettings opens it
+ */
+export function createReasoningHtml(html) {
+  return `<details class="reasoning"><summary class="reasoning-toggle">` +
+    `<span class="reasoning-show">Show reasoning</span><span class="reasoning-hide">Hide reasoning</span></summary>` +
+    `<div class="reasoning-body">${html}</div></details>`;
+}
+
+/**
+ * Open or close every reasoning block in a conversation
+ * @param {HTMLElement} container - Element containing the conversation
+ * @param {Object} metadata - Front matter of the conversation
+ */
+export function applyReasoningSettings(container, metadata = {}) {
+  const { expanded } = getReasoningSettings(metadata);
+  container.querySelectorAll('details.reasoning').forEach(details => {
+    details.open = expanded;
+  });
+}
@@ -4,16 +4,22 @@
  */
 
 import { getMarkdownHeaderLevel } from './parsing.js';
-import { getSpeakerIcon, resetSpeakerIconMapping, getSpeakerColor, shouldDisplaySpeakerName, getSpeakerDisplayName } from '../utils/speakerIconMapper.js';
+import { createReasoningHtml } from './reasoning.js';
+import { resolveAssetUrl, createMediaHtml } from './media.js';
+import { parseMarkdownWithMath } from './math.js';
+import { renderWithFootnotes } from './footnotes.js';
+import { enhanceDiagramBlock } from './diagrams.js';
+import { getSpeakerIcon, resetSpeakerIconMapping, getSpeakerColor, getSpeakerColorValue, getSpeakerDefaultLayout, shouldDisplaySpeakerName, getSpeakerDisplayName } from '../utils/speakerIconMapper.js';
 
 /**
  * Convert a markdown header to HTML
+ * The text is rendered as inline markdown, so emphasis and code work and a stray < is escaped.
  * @param {string} line - The markdown header line
  * @returns {string} The HTML header
  */
 export function markdownHeaderToHtml(line) {
   const level = getMarkdownHeaderLevel(line);
-  const content = line.replace(/^#{2,4}\s+/, '');
+  const content = window.marked.parseInline(line.replace(/^#{2,6}\s+/, ''));
   return `<h${level}>${content}</h${level}>`;
 }
 
@@ -72,9 +78,10 @@ export function createNavigationUI(className, navConfig) {
  * Create a custom renderer for marked.js
  * @param {Function} escapeHtml - Function to escape HTML
  * @param {Function} restoreSpacePlaceholders - Function to restore space placeholders
+ * @param {string} chatPath - Path of the conversation's markdown file, for embedded files
  * @returns {Object} Marked renderer object
  */
-export function createCustomRenderer(escapeHtml, restoreSpacePlaceholders) {
+export function createCustomRenderer(escapeHtml, restoreSpacePlaceholders, chatPath) {
   // Create a new renderer
   const renderer = new window.marked.Renderer();
   
@@ -119,8 +126,12 @@ export function createCustomRenderer(escapeHtml, restoreSpacePlaceholders) {
         highlighted = escapeHtml(codeText);
       }
       
+      // Diagram languages are marked for enhanceCodeBlocks, which draws them
+      const diagramType = window.chatAst.getDiagramType(language);
+      const diagramAttr = diagramType ? ` data-diagram="${diagramType}"` : '';
+      
       // Return the HTML with data attribute for language
-      return `<pre${languageClass} data-language="${language || 'code'}"><code${languageClass}>${highlighted}</code></pre>`;
+      return `<pre${languageClass} data-language="${language || 'code'}"${diagramAttr}><code${languageClass}>${highlighted}</code></pre>`;
     } catch (e) {
       console.error("Error in custom code renderer:", e);
       return `<pre><code>Error rendering code block</code></pre>`;
@@ -150,6 +161,15 @@ export function createCustomRenderer(escapeHtml, restoreSpacePlaceholders) {
     return `<a href="${href}"${titleAttr}>${text}</a>`;
   };
   
+  // Embedded files sit beside the conversation: images become thumbnails, other files download chips
+  renderer.image = function(href, title, text) {
+    // Newer marked versions pass a token instead of (href, title, text)
+    if (href && typeof href === 'object') {
+      ({ href, title, text } = href);
+    }
+    return createMediaHtml(resolveAssetUrl((href || '').toString(), chatPath), text, title);
+  };
+  
   // Process text to convert [[wiki links]] to anchor tags
   const originalTextRenderer = renderer.text;
   renderer.text = function(text) {
@@ -180,21 +200,25 @@ export function createCustomRenderer(escapeHtml, restoreSpacePlaceholders) {
  * @param {Array} messages - Array of message objects
  * @param {Object} renderer - Custom marked renderer
  * @param {Function} getSpeakerClassFn - Function to get proper speaker class
+ * @param {Object} options - { decorate }: with decorate false, only the speaker and the layout
+ *   written in the tag are recorded, for decorateMessage to apply later
  * @returns {HTMLElement} Container with rendered messages
  */
-export function processConversation(messages, renderer, getSpeakerClassFn) {
+export function processConversation(messages, renderer, getSpeakerClassFn, options = {}) {
   const messageContainer = document.createElement('div');
   messageContainer.className = 'message-container';
   
-  // Track speakers for alternating UI
-  let lastSpeaker = null;
-  
   // Process each message in the current section
   messages.forEach(msgData => {
     // Create the message element
     const messageEl = document.createElement('div');
     messageEl.className = 'message';
     
+    // A bubble is linked to by its first message's id; the messages merged into it resolve to it
+    if (msgData.id) {
+      messageEl.id = msgData.id;
+    }
+    
     // Get the appropriate class for this speaker
     const speakerClass = getSpeakerClassFn(msgData.speaker);
     messageEl.classList.add(speakerClass);
@@ -202,88 +226,344 @@ export function processConversation(messages, renderer, getSpeakerClassFn) {
     // Always add the visible class to ensure the message is displayed
     messageEl.classList.add('visible');
     
-    // Add a data attribute for the speaker's actual name
-    // This ensures CSS rules based on data-speaker will work correctly
-    messageEl.setAttribute('data-speaker', msgData.speaker);
-    
-    // Add the speaker icon attribute based on appearance order
-    const speakerIcon = getSpeakerIcon(msgData.speaker);
-    messageEl.setAttribute('data-speaker-icon', speakerIcon);
-    
-    // Add the dynamic color key attribute based on appearance order
-    const colorKey = getSpeakerColor(msgData.speaker);
-    messageEl.setAttribute('data-color-key', colorKey);
-    
-    // Apply the speaker color as a direct style variable
-    if (colorKey) {
-      // Use a CSS variable format that falls back to the appropriate theme color
-      const colorVar = `var(--${colorKey}-color, var(--${colorKey === 'user' ? 'user' : colorKey === 'assistant' ? 'assistant' : 'accent' + colorKey.charAt(colorKey.length-1).toUpperCase()}-color))`;
-      messageEl.style.setProperty('--speaker-color', colorVar);
-    }
-    
-    // Add speaker name caption for custom speakers
-    if (shouldDisplaySpeakerName(msgData.speaker)) {
-      messageEl.setAttribute('data-display-speaker', 'true');
-      const displayName = getSpeakerDisplayName(msgData.speaker);
-      
-      // Create caption element
-      const caption = document.createElement('div');
-      caption.className = 'speaker-caption';
-      caption.textContent = displayName;
-      messageEl.appendChild(caption);
+    // Tool calls are cards without an icon or caption; everything else is a speaker's bubble
+    if (msgData.tool) {
+      messageEl.classList.add('tool-card');
+      messageEl.setAttribute('data-speaker', msgData.speaker);
+      if (msgData.tool.name) {
+        messageEl.setAttribute('data-tool', msgData.tool.name);
+      }
+    } else if (options.decorate === false) {
+      messageEl.setAttribute('data-speaker', msgData.speaker);
+      if (msgData.layout && msgData.layout.position) {
+        messageEl.setAttribute('data-layout-position', msgData.layout.position);
+        messageEl.setAttribute('data-layout-offset', msgData.layout.offset || 0);
+      }
+    } else {
+      // Speaker attributes, color, caption and layout
+      decorateMessage(messageEl, msgData.speaker, msgData.layout);
     }
     
-    // Apply custom layout if provided
-    if (msgData.layout) {
-      // Apply custom positioning based on layout
-      if (msgData.layout.position === 'left') {
-        messageEl.style.alignSelf = 'flex-start';
-        messageEl.style.marginRight = 'auto';
-        messageEl.style.marginLeft = msgData.layout.offset ? (msgData.layout.offset * 100) + '%' : '0';
-        messageEl.classList.add('custom-left');
-      } else if (msgData.layout.position === 'right') {
-        messageEl.style.alignSelf = 'flex-end';
-        messageEl.style.marginLeft = 'auto';
-        messageEl.style.marginRight = msgData.layout.offset ? (msgData.layout.offset * 100) + '%' : '0';
-        messageEl.classList.add('custom-right');
+    // Tag times are shown as written until formatTimestamps applies the display style
+    if (msgData.time) {
+      messageEl.setAttribute('data-time', msgData.time);
+      if (msgData.timestamp) {
+        messageEl.setAttribute('data-timestamp', msgData.timestamp);
       }
       
-      // Add layout data attributes for potential CSS styling
-      messageEl.setAttribute('data-layout-position', msgData.layout.position || '');
-      messageEl.setAttribute('data-layout-offset', msgData.layout.offset || 0);
-    }
-    
-    // Create a timestamp if it exists
-    if (msgData.timestamp) {
       const timestamp = document.createElement('div');
       timestamp.className = 'timestamp';
-      timestamp.textContent = msgData.timestamp;
+      const timeEl = document.createElement('time');
+      if (msgData.timestamp) {
+        timeEl.setAttribute('datetime', msgData.timestamp);
+      }
+      timeEl.textContent = msgData.time;
+      timestamp.appendChild(timeEl);
       messageEl.appendChild(timestamp);
     }
     
+    if (msgData.tool) {
+      messageEl.appendChild(createToolDetails(msgData.tool, renderer));
+    }
+    
     // Create a container for the message content
     const contentContainer = document.createElement('div');
     contentContainer.className = 'content-container';
     
-    // Create the message content
-    const contentEl = document.createElement('div');
-    contentEl.className = 'content';
-    contentEl.innerHTML = window.marked.parse(msgData.content, { renderer });
+    // Create the message content, one block per candidate for alternate replies
+    const candidates = msgData.tool ? [] : msgData.variants || [msgData.content];
+    candidates.forEach((candidate, index) => {
+      const contentEl = document.createElement('div');
+      contentEl.className = 'content';
+      contentEl.innerHTML = renderMessageMarkdown(candidate, renderer);
+      
+      if (msgData.variants) {
+        contentEl.setAttribute('data-variant', index + 1);
+        contentEl.hidden = index > 0;
+      }
+      
+      // Add content to container
+      contentContainer.appendChild(contentEl);
+    });
+    if (!msgData.tool) {
+      messageEl.appendChild(contentContainer);
+    }
     
-    // Add content to container
-    contentContainer.appendChild(contentEl);
-    messageEl.appendChild(contentContainer);
+    if (candidates.length > 1) {
+      messageEl.setAttribute('data-variants', candidates.length);
+      messageEl.appendChild(createVariantSwitcher(candidates.length));
+    }
     
-    // Add this message to the container
-    messageContainer.appendChild(messageEl);
+    // Author notes go in the margin, or behind a toggle on narrow screens
+    if (msgData.notes && msgData.notes.length > 0) {
+      messageEl.appendChild(createSidenote(parseMarkdownWithMath(msgData.notes.join('\n\n'), renderer)));
+    }
     
-    // Update the last speaker
-    lastSpeaker = msgData.speaker;
+    // A message tagged {+} shares a row with the one before it, for speech that overlaps
+    const previous = messageContainer.lastElementChild;
+    if (msgData.layout && msgData.layout.together && previous) {
+      let row = previous;
+      if (!row.classList.contains('message-row')) {
+        row = document.createElement('div');
+        row.className = 'message-row';
+        messageContainer.replaceChild(row, previous);
+        row.appendChild(previous);
+      }
+      row.appendChild(messageEl);
+    } else {
+      messageContainer.appendChild(messageEl);
+    }
   });
   
   return messageContainer;
 }
 
+/**
+ * Render message markdown, putting <thinking> reasoning in collapsible blocks, typesetting math
+ * and listing footnotes at the end
+ * @param {string} markdown - Message markdown
+ * @param {Object} renderer - Marked renderer
+ * @returns {string} HTML
+ */
+export function renderMessageMarkdown(markdown, renderer) {
+  const renderNote = note => parseMarkdownWithMath(note, renderer);
+
+  return renderWithFootnotes(markdown, text => {
+    const segments = window.chatAst.splitReasoning(text);
+    if (!segments.some(segment => segment.reasoning)) {
+      return parseMarkdownWithMath(text, renderer);
+    }
+    
+    return segments.map(segment => {
+      const html = parseMarkdownWithMath(segment.text, renderer);
+      return segment.reasoning ? createReasoningHtml(html) : html;
+    }).join('');
+  }, renderNote);
+}
+
+/**
+ * Create the "1 of N" switcher for a message with alternate replies
+ * @param {number} count - Number of candidates
+ * @returns {HTMLElement} The switcher element
+ */
+export function createVariantSwitcher(count) {
+  const switcher = document.createElement('div');
+  switcher.className = 'variant-switcher';
+  switcher.innerHTML = `<button type="button" class="variant-prev" aria-label="Previous reply" disabled>&lsaquo;</button>` +
+    `<span class="variant-count" aria-live="polite">1 of ${count}</span>` +
+    `<button type="button" class="variant-next" aria-label="Next reply">&rsaquo;</button>`;
+  return switcher;
+}
+
+/**
+ * Flip between the candidates of alternate replies
+ * A single delegated listener covers messages rendered in the browser and pre-rendered ones
+ */
+export function initVariantSwitchers() {
+  document.addEventListener('click', function(event) {
+    const button = event.target.closest('.variant-switcher button');
+    if (!button) return;
+    
+    const messageEl = button.closest('.message');
+    const candidates = Array.from(messageEl.querySelectorAll('.content-container > .content[data-variant]'));
+    const current = candidates.findIndex(candidate => !candidate.hidden);
+    const next = current + (button.classList.contains('variant-prev') ? -1 : 1);
+    if (next < 0 || next >= candidates.length) return;
+    
+    candidates.forEach((candidate, index) => {
+      candidate.hidden = index !== next;
+    });
+    
+    const switcher = button.closest('.variant-switcher');
+    switcher.querySelector('.variant-count').textContent = `${next + 1} of ${candidates.length}`;
+    switcher.querySelector('.variant-prev').disabled = next === 0;
+    switcher.querySelector('.variant-next').disabled = next === candidates.length - 1;
+  });
+}
+
+/**
+ * Create the collapsible body of a tool card: the tool name and a one-line preview, which
+ * open onto the pretty-printed arguments and result
+ * @param {Object} tool - Tool from the conversation AST ({ name, call, result })
+ * @param {Object} renderer - Marked renderer, so payloads render like other code blocks
+ * @returns {HTMLElement} The details element
+ */
+export function createToolDetails(tool, renderer) {
+  const details = document.createElement('details');
+  details.className = 'tool-details';
+  
+  const summary = document.createElement('summary');
+  summary.className = 'tool-summary';
+  const name = document.createElement('span');
+  name.className = 'tool-name';
+  name.textContent = tool.name || 'tool';
+  summary.appendChild(name);
+  
+  const preview = window.chatAst.summarizeToolPayload(tool.call !== null ? tool.call : tool.result);
+  if (preview) {
+    const previewEl = document.createElement('code');
+    previewEl.className = 'tool-preview';
+    previewEl.textContent = preview;
+    summary.appendChild(previewEl);
+  }
+  details.appendChild(summary);
+  
+  const body = document.createElement('div');
+  body.className = 'tool-body';
+  [['call', 'Arguments', tool.call], ['result', 'Result', tool.result]].forEach(([kind, label, payload]) => {
+    if (payload === null) return;
+    
+    const section = document.createElement('div');
+    section.className = `tool-section tool-${kind}`;
+    section.innerHTML = `<div class="tool-label">${label}</div>` +
+      window.marked.parse(toolPayloadFence(payload), { renderer });
+    body.appendChild(section);
+  });
+  details.appendChild(body);
+  
+  return details;
+}
+
+/**
+ * Wrap a tool payload in a code fence longer than any backtick run inside it
+ * @param {string} payload - Payload as written
+ * @returns {string} Markdown code block, marked as JSON when it is JSON
+ */
+function toolPayloadFence(payload) {
+  const formatted = window.chatAst.formatToolPayload(payload);
+  const longestRun = Math.max(2, ...(formatted.text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${formatted.json ? 'json' : ''}\n${formatted.text}\n${fence}`;
+}
+
+/**
+ * Create the sidenote holding a message's author notes
+ * @param {string} html - Rendered notes
+ * @returns {HTMLElement} The sidenote element
+ */
+export function createSidenote(html) {
+  const sidenote = document.createElement('aside');
+  sidenote.className = 'sidenote';
+  sidenote.innerHTML = `<button type="button" class="sidenote-toggle" aria-expanded="false">Note</button>` +
+    `<div class="sidenote-body">${html}</div>`;
+  return sidenote;
+}
+
+/**
+ * Open and close sidenotes on screens too narrow to show them in the margin
+ * A single delegated listener covers messages rendered in the browser and pre-rendered ones
+ */
+export function initSidenoteToggles() {
+  document.addEventListener('click', function(event) {
+    const button = event.target.closest('.sidenote-toggle');
+    if (!button) return;
+    
+    const expanded = button.getAttribute('aria-expanded') === 'true';
+    button.setAttribute('aria-expanded', !expanded);
+    button.closest('.sidenote').classList.toggle('expanded', !expanded);
+  });
+}
+
+/**
+ * Apply the speaker's icon, color, caption and layout to a message element
+ * Used for freshly rendered messages and for markup pre-rendered by scripts/build-static.js
+ * @param {HTMLElement} messageEl - The message element
+ * @param {string} speaker - The speaker identifier
+ * @param {Object|null} layout - Layout from the speaker tag, if any
+ */
+export function decorateMessage(messageEl, speaker, layout) {
+  // Add a data attribute for the speaker's actual name
+  // This ensures CSS rules based on data-speaker will work correctly
+  messageEl.setAttribute('data-speaker', speaker);
+  
+  // Add the speaker icon attribute based on appearance order
+  const speakerIcon = getSpeakerIcon(speaker);
+  messageEl.setAttribute('data-speaker-icon', speakerIcon);
+  
+  // Add the dynamic color key attribute based on appearance order
+  const colorKey = getSpeakerColor(speaker);
+  messageEl.setAttribute('data-color-key', colorKey);
+  
+  // Apply the speaker color as a direct style variable
+  if (colorKey === 'custom') {
+    // Literal roster colors have no theme variable, so set both shades inline
+    const colorValue = getSpeakerColorValue(speaker);
+    messageEl.style.setProperty('--speaker-color', colorValue);
+    messageEl.style.setProperty('--speaker-color-light', `color-mix(in srgb, ${colorValue} 44%, transparent)`);
+  } else if (colorKey) {
+    // Use a CSS variable format that falls back to the appropriate theme color
+    const colorVar = `var(--${colorKey}-color, var(--${colorKey === 'user' ? 'user' : colorKey === 'assistant' ? 'assistant' : 'accent' + colorKey.charAt(colorKey.length-1).toUpperCase()}-color))`;
+    messageEl.style.setProperty('--speaker-color', colorVar);
+  }
+  
+  // Add speaker name caption for custom speakers
+  if (shouldDisplaySpeakerName(speaker) && !messageEl.querySelector(':scope > .speaker-caption')) {
+    messageEl.setAttribute('data-display-speaker', 'true');
+    
+    // Create caption element
+    const caption = document.createElement('div');
+    caption.className = 'speaker-caption';
+    caption.textContent = getSpeakerDisplayName(speaker);
+    messageEl.insertBefore(caption, messageEl.firstChild);
+  }
+  
+  // Apply custom layout if provided, falling back to the side declared in the speaker roster
+  // (a tag with only the row marker, {+}, has no position of its own)
+  const resolvedLayout = layout && layout.position ? layout : getSpeakerDefaultLayout(speaker);
+  if (resolvedLayout) {
+    // Apply custom positioning based on layout
+    if (resolvedLayout.position === 'left') {
+      messageEl.style.alignSelf = 'flex-start';
+      messageEl.style.marginRight = 'auto';
+      messageEl.style.marginLeft = resolvedLayout.offset ? (resolvedLayout.offset * 100) + '%' : '0';
+      messageEl.classList.add('custom-left');
+    } else if (resolvedLayout.position === 'right') {
+      messageEl.style.alignSelf = 'flex-end';
+      messageEl.style.marginLeft = 'auto';
+      messageEl.style.marginRight = resolvedLayout.offset ? (resolvedLayout.offset * 100) + '%' : '0';
+      messageEl.classList.add('custom-right');
+    } else if (resolvedLayout.position === 'center') {
+      messageEl.style.alignSelf = 'center';
+      messageEl.style.marginLeft = 'auto';
+      messageEl.style.marginRight = 'auto';
+      messageEl.classList.add('custom-center');
+    } else if (resolvedLayout.position === 'wide') {
+      messageEl.style.alignSelf = 'stretch';
+      messageEl.style.marginLeft = '0';
+      messageEl.style.marginRight = '0';
+      messageEl.classList.add('custom-wide');
+    }
+    
+    // Add layout data attributes for potential CSS styling
+    messageEl.setAttribute('data-layout-position', resolvedLayout.position || '');
+    messageEl.setAttribute('data-layout-offset', resolvedLayout.offset || 0);
+  }
+}
+
+/**
+ * Toggle sections when their header is clicked
+ * A single delegated listener covers sections rendered in the browser and pre-rendered ones
+ */
+export function initSectionToggles() {
+  document.addEventListener('click', function(event) {
+    const headerDiv = event.target.closest('.chat-section-header');
+    if (!headerDiv) return;
+    
+    const button = headerDiv.querySelector('.section-toggle');
+    const sectionDiv = headerDiv.nextElementSibling;
+    if (!button || !sectionDiv || !sectionDiv.classList.contains('chat-section')) return;
+    
+    const expanded = button.getAttribute('aria-expanded') === 'true';
+    button.setAttribute('aria-expanded', !expanded);
+    
+    if (expanded) {
+      sectionDiv.classList.add('collapsed');
+    } else {
+      sectionDiv.classList.remove('collapsed');
+    }
+  });
+}
+
 /**
  * Enhance code blocks with language tags and copy buttons
  */
@@ -426,6 +706,11 @@ export function enhanceCodeBlocks() {
           token.style.background = 'transparent';
         });
       }
+      
+      // Mermaid and dot blocks are drawn, with their source behind a toggle
+      if (codeBlock.hasAttribute('data-diagram')) {
+        enhanceDiagramBlock(codeBlock);
+      }
     });
     
     // If there's a theme toggle, monitor for changes to re-apply code block styling
@@ -0,0 +1,121 @@
+/**
+ * Machine Yearning Chat Converter - Timestamp Methods
+ * Shows the times written in speaker tags (<< USER @ 2025-04-15 14:02 >>) as clock times
+ * or as the gap since the previous message
+ */
+
+// Default timestamp settings in case settings module is not available
+const DEFAULT_TIMESTAMP_SETTINGS = {
+  enabled: true,
+  style: 'absolute',
+  minGapSeconds: 60
+};
+
+const TIMESTAMP_STYLES = ['absolute', 'relative', 'off'];
+
+/**
+ * Get the timestamp settings, with a conversation's front matter `timestamps` style applied
+ * @param {Object} metadata - Front matter of the conversation
+ * @returns {Object} Timestamp settings
+ */
+function getTimestampSettings(metadata) {
+  let settings = DEFAULT_TIMESTAMP_SETTINGS;
+  if (window.appSettings && window.appSettings.get) {
+    settings = { ...settings, ...(window.appSettings.get().chat.timestamps || {}) };
+  }
+
+  if (metadata && TIMESTAMP_STYLES.includes(metadata.timestamps)) {
+    settings = { ...settings, style: metadata.timestamps };
+  }
+  return settings;
+}
+
+/**
+ * Format a date as a clock time, with the date in front when it is a new day
+ * @param {Date} date - The time to show
+ * @param {boolean} withDate - Whether to include the date
+ * @returns {string} Formatted time
+ */
+function formatClock(date, withDate) {
+  const clock = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (!withDate) return clock;
+
+  const day = date.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+  return `${day}, ${clock}`;
+}
+
+/**
+ * Describe the gap between two messages: "3 min later", "2 h 5 min later", "4 days later"
+ * @param {number} gapMs - Gap in milliseconds
+ * @returns {string} Description of the gap
+ */
+export function formatGap(gapMs) {
+  const minutes = Math.round(gapMs / 60000);
+  if (minutes < 60) {
+    return `${Math.max(minutes, 1)} min later`;
+  }
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    const rest = minutes % 60;
+    return rest ? `${hours} h ${rest} min later` : `${hours} h later`;
+  }
+
+  const days = Math.round(hours / 24);
+  return days === 1 ? 'a day later' : `${days} days later`;
+}
+
+/**
+ * Get the time between two messages from their tag times
+ * @param {Element|null} previousEl - The earlier message
+ * @param {Element|null} messageEl - The later message
+ * @returns {number|null} Gap in milliseconds, or null if either has no placed time
+ */
+export function getTimestampGap(previousEl, messageEl) {
+  if (!previousEl || !messageEl) return null;
+
+  const from = Date.parse(previousEl.getAttribute('data-timestamp'));
+  const to = Date.parse(messageEl.getAttribute('data-timestamp'));
+  if (isNaN(from) || isNaN(to)) return null;
+
+  return Math.max(0, to - from);
+}
+
+/**
+ * Fill in the .timestamp label of every message that carries a tag time
+ * In the relative style, the first time is shown in full and the rest as the gap since the
+ * previous time; gaps shorter than minGapSeconds are left blank.
+ * @param {HTMLElement} container - Element containing the conversation
+ * @param {Object} metadata - Front matter of the conversation
+ */
+export function formatTimestamps(container, metadata = {}) {
+  const settings = getTimestampSettings(metadata);
+  const show = settings.enabled && settings.style !== 'off';
+
+  let previous = null;
+  container.querySelectorAll('.message[data-time]').forEach(messageEl => {
+    const timeEl = messageEl.querySelector('.timestamp time');
+    if (!timeEl) return;
+
+    const written = messageEl.getAttribute('data-time');
+    const date = new Date(messageEl.getAttribute('data-timestamp') || NaN);
+    let label = written;
+
+    if (!isNaN(date.getTime())) {
+      const newDay = !previous || previous.toDateString() !== date.toDateString();
+
+      if (settings.style === 'relative' && previous) {
+        const gap = date - previous;
+        label = gap >= settings.minGapSeconds * 1000 ? formatGap(gap) : '';
+      } else {
+        label = formatClock(date, newDay);
+      }
+
+      timeEl.title = date.toLocaleString();
+      previous = date;
+    }
+
+    timeEl.textContent = label;
+    timeEl.parentElement.hidden = !show || !label;
+  });
+}
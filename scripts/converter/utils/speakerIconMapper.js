@@ -1,18 +1,10 @@
 /**
  * Speaker Icon Mapper Utility
- * Provides dynamic mapping of speakers to SVG icons based on order of appearance
+ * Maps speakers to SVG icons, colors and display names, honoring the speaker roster
+ * declared in settings.json or a conversation's front matter. The roster, icon and
+ * name rules live in the shared speaker roster module (scripts/speaker-roster.js).
  */
 
-// Available icon sets
-const USER_ICONS = [
-  'User_A', 'User_B', 'User_C', 'User_D', 'User_E', 
-  'User_F', 'User_G', 'User_H', 'User_I', 'User_J'
-];
-
-const AGENT_ICONS = [
-  'Agent_A', 'Agent_B', 'Agent_C', 'Agent_D'
-];
-
 // Color mapping information - Updated to include all possible accent colors dynamically
 const ACCENT_COLORS = [
   'accentC', 'accentD', 'accentE', 'accentF', 'accentG',
@@ -38,9 +30,6 @@ const COLOR_CSS_MAP = {
 // Track speaker colors already used (to ensure uniqueness)
 let usedColorKeys = [];
 
-// All standard system speaker icons
-const SYSTEM_ICONS = [...USER_ICONS, ...AGENT_ICONS];
-
 // Global map to track speakers and their assigned icons
 let speakerIconMap = new Map();
 
@@ -56,6 +45,9 @@ let customSpeakerIcons = new Set();
 // Track speaker names that should display captions
 let displaySpeakerNames = new Set();
 
+// Declared speaker identities (display name, icon, color, side) keyed by speaker tag
+let speakerRoster = new Map();
+
 // Debug logging
 function logDebug(message) {
   if (window.debugLog) {
@@ -77,9 +69,39 @@ export function resetSpeakerIconMapping() {
   customSpeakerIcons = new Set();
   displaySpeakerNames = new Set();
   usedColorKeys = []; // Reset used colors
+  speakerRoster = new Map();
   logDebug('Speaker icon and color mapping fully reset with new maps');
 }
 
+/**
+ * Set the speaker roster for the conversation being processed
+ * Later rosters override earlier ones field by field, so a conversation's front matter
+ * can refine the site-wide roster from settings.json
+ * @param {...(Object|Array)} rosters - Maps of speaker tag to { name, icon, color, side }, or lists of speaker tags
+ */
+export function setSpeakerRoster(...rosters) {
+  speakerRoster = window.speakerRoster.buildRoster(...rosters);
+  logDebug(`Speaker roster set for: ${JSON.stringify(Array.from(speakerRoster.keys()))}`);
+}
+
+/**
+ * Get the roster entry declared for a speaker
+ * @param {string} speaker - The speaker identifier
+ * @returns {Object|null} Roster entry or null if the speaker is not declared
+ */
+export function getSpeakerRosterEntry(speaker) {
+  return speakerRoster.get(speaker) || null;
+}
+
+/**
+ * Get the default layout declared by a speaker's roster side
+ * @param {string} speaker - The speaker identifier
+ * @returns {Object|null} Layout object as returned by parseLayoutTag, or null
+ */
+export function getSpeakerDefaultLayout(speaker) {
+  return window.speakerRoster.getSpeakerLayout(speaker, speakerRoster);
+}
+
 /**
  * Setup custom CSS rules for any custom speaker icons not in the standard sets
  * This is needed because CSS can't directly use data attributes with spaces in mask-image URLs
@@ -112,18 +134,19 @@ export function setupCustomIconCSS() {
     logDebug(`Setting up CSS for icon: '${iconName}' (URL-encoded: '${urlPath}')`);
     
     // Add rule for message icons
+    // URLs in an inline style element resolve against the page, not the styles folder
     css += `
       .message[data-speaker-icon="${escapedIconName}"]::before {
-        mask-image: url('../public/speaker_icons/${urlPath}.svg');
-        -webkit-mask-image: url('../public/speaker_icons/${urlPath}.svg');
+        mask-image: url('public/speaker_icons/${urlPath}.svg');
+        -webkit-mask-image: url('public/speaker_icons/${urlPath}.svg');
       }
     `;
     
     // Add rule for typing indicator icons
     css += `
       .typing-indicator[data-speaker-icon="${escapedIconName}"]::before {
-        mask-image: url('../public/speaker_icons/${urlPath}.svg');
-        -webkit-mask-image: url('../public/speaker_icons/${urlPath}.svg');
+        mask-image: url('public/speaker_icons/${urlPath}.svg');
+        -webkit-mask-image: url('public/speaker_icons/${urlPath}.svg');
       }
     `;
   });
@@ -136,19 +159,6 @@ export function setupCustomIconCSS() {
   logDebug('Custom icon CSS applied');
 }
 
-/**
- * Format speaker name for display as a caption
- * @param {string} name - The raw speaker name
- * @returns {string} Formatted speaker name in title case
- */
-function formatSpeakerName(name) {
-  // Convert to title case and handle special characters
-  return name
-    .split(/[\s_-]+/) // Split by spaces, underscores, or hyphens
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-    .join(' ');
-}
-
 /**
  * Check if a speaker name should display a caption
  * @param {string} speaker - The speaker name
@@ -164,7 +174,7 @@ export function shouldDisplaySpeakerName(speaker) {
  * @returns {string} Formatted display name
  */
 export function getSpeakerDisplayName(speaker) {
-  return formatSpeakerName(speaker);
+  return window.speakerRoster.getSpeakerLabel(speaker, speakerRoster);
 }
 
 /**
@@ -200,70 +210,22 @@ export function collectSpeakerIcon(speaker) {
     displaySpeakerNames.add(speaker);
   }
   
-  // Special case: 'user' is always User_A
-  if (speaker === 'user') {
-    logDebug(`Assigning User_A to 'user'`);
-    speakerIconMap.set(speaker, 'User_A');
-    return 'User_A';
-  }
-  
-  // Special case: 'agent' or 'assistant' is always Agent_A
-  if (speaker === 'agent' || speaker === 'assistant' || speaker === 'test') {
-    logDebug(`Assigning Agent_A to '${speaker}'`);
-    speakerIconMap.set(speaker, 'Agent_A');
-    return 'Agent_A';
-  }
-  
-  // Check if this speaker should have its name displayed
-  const isStandardSpeaker = speaker === 'user' || 
-                          speaker === 'agent' || 
-                          speaker === 'assistant' || 
-                          speaker === 'test';
-  
-  // Check if this speaker matches a standard system icon
-  const isSystemIconFormat = SYSTEM_ICONS.some(iconName => {
-    const normalizedSpeaker = speaker.toLowerCase().replace(/[\s_-]/g, '');
-    const normalizedIcon = iconName.toLowerCase().replace(/[\s_-]/g, '');
-    return normalizedSpeaker === normalizedIcon;
-  });
-  
-  // Format the speaker name as a potential SVG file name
-  const speakerAsFilename = speaker.toLowerCase().replace(/\s+/g, '_');
-  
-  // Direct check for custom SVG - we know trevor_yn.svg exists and needs special handling
-  const hasCustomSvgFile = window[`hasSvgFile_${speakerAsFilename}`] || 
-                           (speakerAsFilename === 'trevor_yn');
-  
-  // If we have a custom icon file
-  if (hasCustomSvgFile) {
-    // Set a flag so we remember this speaker has an SVG
-    window[`hasSvgFile_${speakerAsFilename}`] = true;
-    
-    logDebug(`Using custom icon file for speaker: '${speakerAsFilename}'`);
-    customSpeakerIcons.add(speakerAsFilename);
-    speakerIconMap.set(speaker, speakerAsFilename);
-    
-    // Set up CSS for this custom icon
-    setupCustomIconCSS();
-    
-    return speakerAsFilename;
-  }
-  
-  // For custom speakers with no SVG file, use empty icon
-  if (!isStandardSpeaker && !isSystemIconFormat) {
+  // Roster icons first, then User_A and Agent_A, then a built-in icon the tag names
+  const iconName = window.speakerRoster.getSpeakerIcon(speaker, speakerRoster);
+  if (!iconName) {
     logDebug(`Using empty icon for custom speaker: '${speaker}'`);
     speakerIconMap.set(speaker, 'empty');
     return 'empty';
   }
   
-  // For system icons, add to custom icons set
-  customSpeakerIcons.add(speaker);
-  
-  // Use the speaker name directly as the icon name
-  speakerIconMap.set(speaker, speaker);
-  logDebug(`Using direct speaker name as icon: '${speaker}'`);
+  // System icons already have stylesheet rules; anything else needs one generated
+  if (!window.speakerRoster.SYSTEM_ICONS.includes(iconName)) {
+    customSpeakerIcons.add(iconName);
+  }
   
-  return speaker;
+  logDebug(`Assigning icon '${iconName}' to speaker '${speaker}'`);
+  speakerIconMap.set(speaker, iconName);
+  return iconName;
 }
 
 /**
@@ -276,44 +238,62 @@ export function getSpeakerIcon(speaker) {
 }
 
 /**
- * Get the appropriate color key for a speaker based on order of appearance
- * @param {string} speaker - The speaker identifier
- * @returns {string} The color key to use for this speaker (matches CSS class name)
+ * Resolve a roster color declaration to a color key
+ * Accepts accent names (accentD), CSS keys (speakerd) or a literal CSS color
+ * @param {string} color - The declared color
+ * @returns {string|null} The color key, 'custom' for literal colors, or null if unrecognized
  */
-export function getSpeakerColor(speaker) {
-  logDebug(`Getting color for speaker: ${speaker}`);
+function resolveRosterColor(color) {
+  const value = String(color).trim();
   
-  // Special cases first
-  if (speaker === 'direct-text') {
-    logDebug('Direct-text spans get default color');
-    return 'direct-text';
+  if (COLOR_CSS_MAP[value]) {
+    return COLOR_CSS_MAP[value];
   }
   
-  if (speaker === 'user') {
-    logDebug(`Assigning 'user' color to 'user'`);
-    return 'user';
+  const lowerValue = value.toLowerCase();
+  if (Object.values(COLOR_CSS_MAP).includes(lowerValue)) {
+    return lowerValue;
   }
   
-  if (speaker === 'agent' || speaker === 'assistant' || speaker === 'test') {
-    logDebug(`Assigning 'assistant' color to '${speaker}'`);
-    return 'assistant';
+  if (/^(#[0-9a-f]{3,8}|rgba?\(|hsla?\()/i.test(value)) {
+    return 'custom';
   }
   
-  // For each unique speaker, assign a color that hasn't been seen before
-  // First ensure speakerColorMap is initialized
-  if (!window.speakerUniqueColorMap) {
-    window.speakerUniqueColorMap = new Map();
-    window.nextColorIndex = 0; // Track which color to use next
-    logDebug('Created global speaker color mapping');
+  logDebug(`Ignoring unrecognized roster color '${value}'`);
+  return null;
+}
+
+/**
+ * Get the literal CSS color declared for a speaker whose color key is 'custom'
+ * @param {string} speaker - The speaker identifier
+ * @returns {string|null} The declared CSS color or null
+ */
+export function getSpeakerColorValue(speaker) {
+  const entry = getSpeakerRosterEntry(speaker);
+  if (entry && entry.color && resolveRosterColor(entry.color) === 'custom') {
+    return String(entry.color).trim();
   }
-  
-  // If this speaker already has a color, return it
-  if (window.speakerUniqueColorMap.has(speaker)) {
-    const color = window.speakerUniqueColorMap.get(speaker);
-    logDebug(`Returning existing color '${color}' for speaker '${speaker}'`);
-    return color;
+  return null;
+}
+
+/**
+ * Hash a speaker name to a stable palette position
+ * @param {string} speaker - The speaker identifier
+ * @returns {number} Non-negative integer hash
+ */
+function hashSpeakerName(speaker) {
+  let hash = 5381;
+  for (let i = 0; i < speaker.length; i++) {
+    hash = ((hash << 5) + hash + speaker.charCodeAt(i)) >>> 0;
   }
-  
+  return hash;
+}
+
+/**
+ * Get the accent colors available for undeclared speakers
+ * @returns {Array<string>} Color keys, in palette order
+ */
+function getAvailableAccentColors() {
   // Get all available colors directly from CSS properties
   let allAccentColors = [];
   
@@ -362,16 +342,103 @@ export function getSpeakerColor(speaker) {
     logDebug(`Using fallback colors: ${JSON.stringify(allAccentColors)}`);
   }
   
-  // Assign the next color in sequence
+  return allAccentColors;
+}
+
+/**
+ * Get a speaker's position among the roster speakers that leave their color to the palette
+ * @param {string} speaker - The speaker identifier
+ * @returns {number} Position in roster order, or -1 if the speaker is not in the roster
+ */
+function getRosterPaletteIndex(speaker) {
+  const entry = getSpeakerRosterEntry(speaker);
+  if (!entry || entry.color) return -1;
+  return Array.from(speakerRoster).filter(([, declared]) => !declared.color).findIndex(([key]) => key === speaker);
+}
+
+/**
+ * Assign colors up front, in an order that does not depend on where speakers first appear:
+ * declared roster colors, then the rest of the roster in roster order, then the remaining
+ * speakers by name. Speakers that would share a palette slot are settled the same way
+ * in every conversation they meet in.
+ * @param {Array<string>} speakers - Speakers in the conversation
+ */
+export function reserveSpeakerColors(speakers) {
+  const declared = speakers.filter(speaker => {
+    const entry = getSpeakerRosterEntry(speaker);
+    return entry && entry.color;
+  });
+  const listed = speakers
+    .filter(speaker => getRosterPaletteIndex(speaker) !== -1)
+    .sort((a, b) => getRosterPaletteIndex(a) - getRosterPaletteIndex(b));
+  const unlisted = speakers
+    .filter(speaker => !declared.includes(speaker) && !listed.includes(speaker))
+    .sort();
+  
+  [...declared, ...listed, ...unlisted].forEach(speaker => getSpeakerColor(speaker));
+}
+
+/**
+ * Get the appropriate color key for a speaker
+ * Roster colors win; a speaker in the roster without one gets the palette slot of its
+ * roster position, and any other speaker a slot derived from its name. A speaker whose
+ * slot is already held moves to the next free one.
+ * @param {string} speaker - The speaker identifier
+ * @returns {string} The color key to use for this speaker (matches CSS class name)
+ */
+export function getSpeakerColor(speaker) {
+  logDebug(`Getting color for speaker: ${speaker}`);
+  
+  // Special cases first
+  if (speaker === 'direct-text') {
+    logDebug('Direct-text spans get default color');
+    return 'direct-text';
+  }
+  
+  // If this speaker already has a color, return it
+  if (speakerColorMap.has(speaker)) {
+    const color = speakerColorMap.get(speaker);
+    logDebug(`Returning existing color '${color}' for speaker '${speaker}'`);
+    return color;
+  }
+  
+  // Declared roster colors override the built-in assignments
+  const rosterEntry = getSpeakerRosterEntry(speaker);
+  const rosterColor = rosterEntry && rosterEntry.color ? resolveRosterColor(rosterEntry.color) : null;
+  if (rosterColor) {
+    logDebug(`Using roster color '${rosterColor}' for speaker '${speaker}'`);
+    speakerColorMap.set(speaker, rosterColor);
+    usedColorKeys.push(rosterColor);
+    return rosterColor;
+  }
+  
+  if (speaker === 'user') {
+    logDebug(`Assigning 'user' color to 'user'`);
+    return 'user';
+  }
+  
+  if (window.speakerRoster.AGENT_SPEAKERS.includes(speaker)) {
+    logDebug(`Assigning 'assistant' color to '${speaker}'`);
+    return 'assistant';
+  }
+  
+  const allAccentColors = getAvailableAccentColors();
+  
+  // Start from the speaker's own slot so it keeps its color across conversations
   let assignedColor = 'generic';
-  if (window.nextColorIndex < allAccentColors.length) {
-    assignedColor = allAccentColors[window.nextColorIndex];
-    window.nextColorIndex++;
-    logDebug(`Assigned color '${assignedColor}' to speaker '${speaker}' (index: ${window.nextColorIndex-1})`);
+  const rosterIndex = getRosterPaletteIndex(speaker);
+  const start = (rosterIndex !== -1 ? rosterIndex : hashSpeakerName(speaker)) % allAccentColors.length;
+  for (let i = 0; i < allAccentColors.length; i++) {
+    const candidate = allAccentColors[(start + i) % allAccentColors.length];
+    if (!usedColorKeys.includes(candidate)) {
+      assignedColor = candidate;
+      break;
+    }
   }
   
   // Store the color for this speaker
-  window.speakerUniqueColorMap.set(speaker, assignedColor);
+  speakerColorMap.set(speaker, assignedColor);
+  usedColorKeys.push(assignedColor);
   logDebug(`Set color '${assignedColor}' for speaker '${speaker}'`);
   
   return assignedColor;
@@ -21,6 +21,7 @@ class ChatDirectoryScanner {
   constructor() {
     this.chats = [];
     this.dates = [];
+    this.wiki = {};
     this.isLoading = false;
     this.cacheKey = 'machine-yearning-chats';
     this.cacheDuration = 3600000; // 1 hour in milliseconds
@@ -71,6 +72,7 @@ class ChatDirectoryScanner {
       log('Using cached directory data');
       this.dates = cachedData.dates;
       this.chats = cachedData.chats;
+      this.wiki = cachedData.wiki || {};
       return Promise.resolve(this.dates);
     }
 
@@ -133,6 +135,7 @@ class ChatDirectoryScanner {
       const data = {
         dates: this.dates,
         chats: this.chats,
+        wiki: this.wiki,
         timestamp: Date.now()
       };
       localStorage.setItem(this.cacheKey, JSON.stringify(data));
@@ -163,6 +166,7 @@ class ChatDirectoryScanner {
     this.isLoading = true;
     this.dates = [];
     this.chats = [];
+    this.wiki = {};
     
     const logMsg = (msg) => {
       if (window.appLog) {
@@ -190,34 +194,35 @@ class ChatDirectoryScanner {
           files: []
         };
         
-        // Process each file and try to extract title from content
+        // Process each file, using the front matter indexed by update-api.js when present
         for (const file of files) {
           // Default title is the filename without extension
-          let title = file.name.replace('.md', '');
-          
-          try {
-            // Fetch the file content to extract H1 title
-            const fileUrl = `${baseUrl}/${file.path}`;
-            const fileResponse = await fetch(fileUrl);
-            
-            if (fileResponse.ok) {
-              const fileContent = await fileResponse.text();
-              // Extract the first H1 header as title
-              const titleMatch = fileContent.match(/^#\s+(.+)$/m);
-              if (titleMatch) {
-                title = titleMatch[1].trim();
+          let title = file.title || file.name.replace('.md', '');
+
+          if (!file.title) {
+            try {
+              // Older api.json files have no titles, so read them from the file itself
+              const fileUrl = `${baseUrl}/${file.path}`;
+              const fileResponse = await fetch(fileUrl);
+
+              if (fileResponse.ok) {
+                const fileContent = await fileResponse.text();
+                title = window.frontMatter.getTitle(fileContent, title);
                 logMsg(`Extracted title "${title}" from ${file.path}`);
               }
+            } catch (e) {
+              logMsg(`Could not extract title from ${file.path}: ${e.message}`);
+              // Keep the default title if extraction fails
             }
-          } catch (e) {
-            logMsg(`Could not extract title from ${file.path}: ${e.message}`);
-            // Keep the default title if extraction fails
           }
-          
+
           dateObj.files.push({
             path: file.path,
             name: file.name,
-            title: title
+            title: title,
+            date: file.date || null,
+            description: file.description || null,
+            tags: file.tags || []
           });
         }
         
@@ -225,6 +230,9 @@ class ChatDirectoryScanner {
         this.chats.push(...dateObj.files);
       }
       
+      // Wiki terms indexed by update-api.js; older api.json files have none
+      this.wiki = apiData.wiki || {};
+      
       // Sort dates in reverse chronological order
       this.dates.sort((a, b) => b.name.localeCompare(a.name));
       
@@ -272,6 +280,15 @@ class ChatDirectoryScanner {
     return { prev, next };
   }
 
+  /**
+   * Get a wiki term from the index
+   * @param {string} slug Term key from window.chatAst.getWikiSlug
+   * @returns {Object|null} Object with term, page, summary and mentions, or null if nothing links to it
+   */
+  getWikiEntry(slug) {
+    return Object.prototype.hasOwnProperty.call(this.wiki, slug) ? this.wiki[slug] : null;
+  }
+
   /**
    * Get the full URL for a file
    * @param {string} filePath The file path from api.json
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Dataset Exporter
+ * Turns published conversations into JSONL for fine-tuning and eval harnesses, either as
+ * OpenAI-style `messages` records or as ChatML text
+ *
+ * Speakers are read with chat-ast, the parser behind the viewer's extractSpeaker, so a
+ * conversation is split into turns exactly as it is displayed.
+ *
+ * Usage: node scripts/export-dataset.js [folder] [options]
+ *   folder                   Only export conversations under this folder (default: all of api.json)
+ *   --format <name>          messages or chatml (default: messages)
+ *   --out <file>             File to write (default: dataset.jsonl)
+ *   --direct-text <mode>     drop, system or merge, for <<>> direct-text (default: drop)
+ *   --other-speakers <mode>  drop, system or merge, for speakers that are neither user nor agent (default: merge)
+ *   --roles <list>           Map more speakers to roles, e.g. hamlet=user,ghost=assistant
+ *   --system <text>          System prompt to open every conversation
+ *   --metadata               Add each conversation's title, path and date to its record
+ *   --reasoning              Keep <thinking> reasoning in messages (left out by default)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const frontMatter = require('./front-matter.js');
+const chatAst = require('./chat-ast.js');
+const { parseArgs } = require('./import-utils.js');
+const { AGENT_SPEAKERS, loadSettingsRoster, buildRoster, getSpeakerLabel } = require('./speaker-roster.js');
+
+const FORMATS = ['messages', 'chatml'];
+const MODES = ['drop', 'system', 'merge'];
+const ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Parse a --roles list such as "hamlet=user,ghost=assistant"
+ * @param {string} list - Comma-separated speaker=role pairs
+ * @returns {Object} Map of normalized speaker to role
+ */
+function parseRoles(list) {
+  const roles = {};
+
+  String(list).split(',').filter(pair => pair.trim()).forEach(pair => {
+    const [speaker, role] = pair.split('=').map(part => (part || '').trim());
+    if (!speaker || !ROLES.includes(role)) {
+      throw new Error(`Invalid role mapping "${pair}". Use speaker=${ROLES.join('|')}`);
+    }
+    roles[speaker.toLowerCase().replace(/\s+/g, '_')] = role;
+  });
+
+  return roles;
+}
+
+/**
+ * Clean message markdown for a dataset: drop comments and flatten wikilinks
+ * @param {string} content - Message markdown
+ * @returns {string} Cleaned text
+ */
+function cleanContent(content) {
+  return content
+    .replace(/<!--[\s\S]*?-->\n?/g, '')
+    .replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, link, label) => label || link)
+    .trim();
+}
+
+/**
+ * Convert a parsed conversation into role-tagged messages
+ *
+ * `user` becomes the user role and agent, assistant and test become the assistant role.
+ * Direct-text and any other speaker are dropped, turned into system messages, or merged
+ * into the turn before them. With no turn right before them, they open the next message.
+ * Other speakers keep their display name as a prefix, so merged lines still say who spoke.
+ * Neighbouring messages that end up with the same role are joined. <thinking> reasoning is
+ * removed unless options.reasoning is set.
+ *
+ * @param {Object} ast - Parsed conversation from chat-ast
+ * @param {Object} options - { directText, otherSpeakers, roles, roster, system, reasoning }
+ * @returns {Array<Object>} Messages as { role, content }
+ */
+function toDatasetMessages(ast, options) {
+  const messages = [];
+  let pending = [];
+
+  if (options.system) {
+    messages.push({ role: 'system', content: options.system });
+  }
+
+  const push = (role, content) => {
+    if (pending.length > 0) {
+      content = [...pending, content].join('\n\n');
+      pending = [];
+    }
+
+    const previous = messages[messages.length - 1];
+    if (previous && previous.role === role) {
+      previous.content += `\n\n${content}`;
+    } else {
+      messages.push({ role, content });
+    }
+  };
+
+  chatAst.getMessages(ast).forEach(message => {
+    const content = cleanContent(options.reasoning ? message.content : chatAst.stripReasoning(message.content));
+    if (!content) return;
+
+    const speaker = message.speaker;
+    let role = options.roles[speaker];
+    if (!role && speaker === 'user') role = 'user';
+    if (!role && AGENT_SPEAKERS.includes(speaker)) role = 'assistant';
+
+    if (role) {
+      push(role, content);
+      return;
+    }
+
+    const isDirectText = speaker === 'direct-text';
+    const mode = isDirectText ? options.directText : options.otherSpeakers;
+    // Tool cards keep their fences, so their content starts on its own line
+    const toolName = message.tool && message.tool.name ? ` (${message.tool.name})` : '';
+    const separator = message.tool ? ':\n' : ': ';
+    const text = isDirectText ? content : `${getSpeakerLabel(speaker, options.roster)}${toolName}${separator}${content}`;
+
+    if (mode === 'system') {
+      push('system', text);
+    } else if (mode === 'merge') {
+      // Only turns take merged text; after a system message it waits for the next message
+      const previous = messages[messages.length - 1];
+      if (previous && previous.role !== 'system') {
+        previous.content += `\n\n${text}`;
+      } else {
+        pending.push(text);
+      }
+    }
+  });
+
+  // Merged text with no message after it joins the last turn, or is kept on its own
+  if (pending.length > 0) {
+    const previous = messages[messages.length - 1];
+    if (previous) {
+      previous.content += `\n\n${pending.join('\n\n')}`;
+    } else {
+      messages.push({ role: 'system', content: pending.join('\n\n') });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Render messages as ChatML
+ * @param {Array<Object>} messages - Messages as { role, content }
+ * @returns {string} ChatML text
+ */
+function toChatML(messages) {
+  return messages.map(message => `<|im_start|>${message.role}\n${message.content}<|im_end|>`).join('\n') + '\n';
+}
+
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2), ['format', 'out', 'direct-text', 'other-speakers', 'roles', 'system']);
+
+  const format = typeof flags.format === 'string' ? flags.format : 'messages';
+  const directText = typeof flags['direct-text'] === 'string' ? flags['direct-text'] : 'drop';
+  const otherSpeakers = typeof flags['other-speakers'] === 'string' ? flags['other-speakers'] : 'merge';
+
+  if (!FORMATS.includes(format)) {
+    console.error(`Unknown format "${format}". Use ${FORMATS.join(' or ')}`);
+    process.exit(1);
+  }
+  [['--direct-text', directText], ['--other-speakers', otherSpeakers]].forEach(([flag, mode]) => {
+    if (!MODES.includes(mode)) {
+      console.error(`Unknown ${flag} mode "${mode}". Use ${MODES.join(', ')}`);
+      process.exit(1);
+    }
+  });
+
+  if (!fs.existsSync('api.json')) {
+    console.error('Run this from the repository root after `node scripts/update-api.js`');
+    process.exit(1);
+  }
+
+  // Published conversations are the ones in api.json, which leaves drafts out
+  const api = JSON.parse(fs.readFileSync('api.json', 'utf8'));
+  const folder = positional[0] ? path.normalize(positional[0]).replace(/[\\/]$/, '') + '/' : '';
+  const files = Object.values(api.directories || {}).flat()
+    .filter(file => !file.draft && path.normalize(file.path).startsWith(folder));
+
+  if (files.length === 0) {
+    console.error(`No published conversations found${folder ? ` in ${folder}` : ''}`);
+    process.exit(1);
+  }
+
+  const roles = typeof flags.roles === 'string' ? parseRoles(flags.roles) : {};
+  const settingsRoster = loadSettingsRoster();
+  const outPath = typeof flags.out === 'string' ? flags.out : 'dataset.jsonl';
+
+  let skipped = 0;
+  const records = [];
+  files.forEach(file => {
+    const markdown = fs.readFileSync(file.path, 'utf8');
+    const ast = chatAst.parse(markdown);
+    const messages = toDatasetMessages(ast, {
+      directText,
+      otherSpeakers,
+      roles,
+      roster: buildRoster(settingsRoster, ast.metadata.speakers),
+      system: typeof flags.system === 'string' ? flags.system : '',
+      reasoning: Boolean(flags.reasoning)
+    });
+
+    // A record needs at least one exchange to be useful
+    if (!messages.some(message => message.role === 'user') || !messages.some(message => message.role === 'assistant')) {
+      skipped++;
+      return;
+    }
+
+    const record = format === 'chatml' ? { text: toChatML(messages) } : { messages };
+    if (flags.metadata) {
+      record.metadata = { title: frontMatter.getTitle(markdown, file.name.replace(/\.md$/, '')), path: file.path };
+      if (ast.metadata.date) record.metadata.date = String(ast.metadata.date);
+    }
+    records.push(JSON.stringify(record));
+  });
+
+  fs.writeFileSync(outPath, records.length ? `${records.join('\n')}\n` : '');
+
+  const note = skipped ? ` (${skipped} without both a user and an assistant turn skipped)` : '';
+  console.log(`Wrote ${records.length} conversations to ${outPath}${note}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Error exporting dataset:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { toDatasetMessages, toChatML };
@@ -0,0 +1,619 @@
+#!/usr/bin/env node
+
+/**
+ * EPUB Exporter
+ * Packages conversations into an EPUB for reading on e-readers
+ *
+ * Each conversation becomes a chapter. The table of contents nests the ##–#### sections
+ * of every chapter, taken from the section tree chat-ast builds for the viewer, and each
+ * message carries its speaker's label and icon.
+ *
+ * Requires jszip and marked: npm install --no-save jszip marked
+ *
+ * Usage: node scripts/export-epub.js [folder] [options]
+ *   folder             A date folder (content/2025.04.15), a series folder (content/Hamlet)
+ *                      or the content folder itself for the whole corpus (default: content)
+ *   --out <file>       EPUB file to write (default: the folder name with an .epub extension)
+ *   --title <text>     Book title (default: the folder name)
+ *   --author <text>    Book author (default: the front matter author shared by every chapter)
+ *   --drafts           Include conversations marked draft: true
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const frontMatter = require('./front-matter.js');
+const chatAst = require('./chat-ast.js');
+const { parseArgs } = require('./import-utils.js');
+const { loadSettingsRoster, buildRoster, getSpeakerIcon, getSpeakerLabel } = require('./speaker-roster.js');
+
+// The viewer's vendored KaTeX; books get its MathML output, which EPUB 3 readers display natively
+const katex = require('../public/katex/katex.min.js');
+
+const SITE_NAME = 'Machine Yearning';
+const ICON_DIR = path.join('public', 'speaker_icons');
+
+// Definition pages for wiki terms are not conversations, as in scripts/update-api.js
+const WIKI_DIR = path.join('content', 'wiki');
+
+// Media types of the images a conversation can embed, by extension
+const IMAGE_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif',
+  webp: 'image/webp', avif: 'image/avif', svg: 'image/svg+xml', bmp: 'image/bmp'
+};
+
+// Sections deeper than #### stay in the chapter but not in the table of contents
+const MAX_NAV_LEVEL = 4;
+
+// XHTML has no named entities beyond the XML five, so common HTML ones are spelled out
+const NAMED_ENTITIES = {
+  nbsp: 160, copy: 169, reg: 174, deg: 176, middot: 183, times: 215,
+  ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, ldquo: 8220, rdquo: 8221,
+  bull: 8226, hellip: 8230, trade: 8482, larr: 8592, rarr: 8594
+};
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; margin: 0 1em; }
+h1.chapter-title { text-align: center; margin: 1.5em 0 1em; }
+.message { margin: 0 0 1em; }
+.message.side-right { margin-left: 15%; }
+.message.side-left { margin-right: 15%; }
+.message.side-center { margin-left: 7.5%; margin-right: 7.5%; }
+.message-row { display: flex; gap: 1em; }
+.message-row .message { flex: 1; margin-left: 0; margin-right: 0; }
+.message.direct-text { font-style: italic; margin-left: 5%; margin-right: 5%; }
+.speaker { font-family: sans-serif; font-size: 0.8em; font-weight: bold; margin: 0 0 0.25em; }
+.speaker-icon { width: 1.4em; height: 1.4em; vertical-align: middle; margin-right: 0.4em; }
+.note { font-size: 0.85em; font-style: italic; color: #555; margin-top: 0.5em; padding-left: 0.6em; border-left: 2px solid #ccc; }
+.reasoning { font-size: 0.85em; color: #666; margin-bottom: 0.75em; padding-left: 0.6em; border-left: 2px solid #ccc; }
+.reasoning-label { font-family: sans-serif; font-size: 0.8em; font-style: italic; margin: 0 0 0.25em; }
+.tool-card { font-size: 0.8em; margin: 0.5em 0 1em; padding: 0.4em 0.6em; border: 1px dashed #999; }
+.tool-name { font-family: monospace; font-weight: bold; margin: 0; }
+.tool-label { font-family: sans-serif; font-size: 0.85em; color: #666; margin: 0.5em 0 0.2em; }
+.tool-card pre { white-space: pre-wrap; margin: 0; }
+.chat-image { display: block; max-width: 100%; margin: 0.5em 0; }
+.attachment { font-family: sans-serif; font-size: 0.85em; color: #555; }
+.footnotes { font-size: 0.8em; color: #555; margin-top: 0.5em; border-top: 1px solid #ccc; }
+.footnotes ol { margin: 0.25em 0; padding-left: 1.5em; }
+.citation-list { list-style-type: none; padding-left: 0; }
+.variant-label { font-family: sans-serif; font-size: 0.7em; color: #666; margin: 0.75em 0 0.25em; }
+.message .content > :first-child { margin-top: 0; }
+.message .content > :last-child { margin-bottom: 0; }
+pre { white-space: pre-wrap; font-size: 0.85em; border-left: 2px solid #999; padding-left: 0.5em; }
+blockquote { margin-left: 1em; padding-left: 0.5em; border-left: 2px solid #ccc; }
+`;
+
+let JSZip;
+let Marked;
+try {
+  JSZip = require('jszip');
+  ({ Marked } = require('marked'));
+} catch (error) {
+  console.error('The EPUB export needs jszip and marked. Install them with: npm install --no-save jszip marked');
+  process.exit(1);
+}
+
+/**
+ * Escape text for use in XML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Make rendered HTML well-formed XHTML: close void elements and replace named entities
+ * @param {string} html - HTML from marked
+ * @returns {string} XHTML fragment
+ */
+function toXhtml(html) {
+  return html
+    .replace(/<(br|hr|img|input|col|wbr|source)\b([^>]*?)\s*\/?>/gi, (match, tag, attributes) => `<${tag.toLowerCase()}${attributes} />`)
+    .replace(/&([a-z][a-z0-9]*);/gi, (match, name) => {
+      if (['amp', 'lt', 'gt', 'quot', 'apos'].includes(name)) return match;
+      return NAMED_ENTITIES[name] ? `&#${NAMED_ENTITIES[name]};` : `&amp;${name};`;
+    })
+    // Stray ampersands that are not part of an entity
+    .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;');
+}
+
+/**
+ * Strip inline markdown from a heading so it can be used as a plain label
+ * @param {string} text - Heading text
+ * @returns {string} Plain text
+ */
+function plainHeading(text) {
+  return String(text)
+    .replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, link, label) => label || link)
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]/g, '')
+    .trim();
+}
+
+/**
+ * Get the side a message sits on: its layout tag, then the roster side, then user on the right
+ * @param {Object} message - Message from chat-ast
+ * @param {Map} roster - Roster from buildRoster
+ * @returns {string} 'left', 'right', 'center' or 'wide'
+ */
+function getMessageSide(message, roster) {
+  if (message.layout && message.layout.position) return message.layout.position;
+
+  const entry = roster.get(message.speaker);
+  if (entry && entry.side) {
+    const side = String(entry.side).trim().toLowerCase();
+    if (side.startsWith('r')) return 'right';
+    if (side.startsWith('l')) return 'left';
+    if (side.startsWith('c')) return 'center';
+    if (side.startsWith('w')) return 'wide';
+  }
+
+  return message.speaker === 'user' ? 'right' : 'left';
+}
+
+/**
+ * Find the SVG file for an icon, ignoring case as a case-insensitive web server would
+ * @param {string} iconName - Icon name without extension
+ * @param {Array<string>} iconFiles - Files in public/speaker_icons
+ * @returns {string|null} File name, or null if there is no such icon
+ */
+function findIconFile(iconName, iconFiles) {
+  const wanted = `${iconName}.svg`.toLowerCase();
+  return iconFiles.find(file => file.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Render a conversation as the body of an XHTML chapter
+ * @param {Object} ast - Parsed conversation from chat-ast
+ * @param {Object} options - { title, roster, iconHref: name => href or null, assetHref: path => href or null, path }
+ * @returns {string} XHTML body markup
+ */
+function renderChapterBody(ast, options) {
+  const markdown = new Marked({ gfm: true, breaks: true });
+  const { roster, iconHref, assetHref } = options;
+
+  // Images beside the conversation are packaged into the book; other files cannot be opened from it,
+  // so they are named instead of linked
+  markdown.use({
+    renderer: {
+      image(href, title, text) {
+        if (href && typeof href === 'object') ({ href, title, text } = href);
+        const resolved = chatAst.resolveAssetPath(href || '', options.path || '');
+        const fileName = decodeURIComponent(resolved.split(/[?#]/)[0].split('/').pop() || 'file');
+
+        if (chatAst.getAssetKind(resolved) === 'image') {
+          const src = assetHref ? assetHref(resolved) : null;
+          if (src) return `<img class="chat-image" src="${escapeXml(src)}" alt="${escapeXml(text || '')}" />`;
+        }
+        return `<span class="attachment">[${escapeXml(text || fileName)}]</span>`;
+      }
+    }
+  });
+
+  const parse = text => {
+    const { text: protectedText, math } = chatAst.protectMath(text);
+    return chatAst.restoreMath(markdown.parse(protectedText), math, (tex, display) => (
+      katex.renderToString(tex, { displayMode: display, throwOnError: false, output: 'mathml' })
+    ));
+  };
+
+  const renderGroup = group => {
+    // Wikilinks point into the viewer's wiki, which is not part of the book
+    const flatten = text => text.replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, link, linkText) => linkText || link);
+
+    // Author notes follow the message they annotate
+    const notes = [];
+    group.messages.forEach(message => (message.notes || []).forEach(note => notes.push(flatten(note.content))));
+    const noteHtml = notes.length ? `<div class="note">${toXhtml(parse(notes.join('\n\n')))}</div>` : '';
+
+    const tool = group.messages[0].tool;
+    if (tool) return renderToolCard(tool, noteHtml);
+
+    const speaker = group.speaker;
+    const classes = ['message', `side-${getMessageSide(group.messages[0], roster)}`];
+    let label = '';
+
+    if (speaker === 'direct-text') {
+      classes.push('direct-text');
+    } else {
+      const href = iconHref(getSpeakerIcon(speaker, roster));
+      const icon = href ? `<img class="speaker-icon" src="${escapeXml(href)}" alt="" />` : '';
+      label = `<p class="speaker">${icon}${escapeXml(getSpeakerLabel(speaker, roster))}</p>`;
+    }
+
+    // A book cannot flip between alternate replies, so every candidate is printed in turn
+    const variants = group.messages[0].variants;
+    if (variants && variants.length > 1) {
+      const candidates = variants.map((candidate, index) =>
+        `<p class="variant-label">Reply ${index + 1} of ${variants.length}</p>` +
+        `<div class="content">${renderContent(flatten(candidate.content))}</div>`
+      ).join('');
+      return `<div class="${classes.join(' ')}">${label}${candidates}${noteHtml}</div>`;
+    }
+
+    const content = group.messages.map(message => flatten(message.content)).join('\n\n');
+
+    return `<div class="${classes.join(' ')}">${label}<div class="content">${renderContent(content)}</div>${noteHtml}</div>`;
+  };
+
+  // Reasoning cannot be collapsed in a book either, so it is printed dimmed under a label.
+  // Footnotes and sources are numbered as in the viewer and listed after the message
+  const renderContent = text => {
+    const { text: protectedText, notes } = chatAst.protectFootnotes(text);
+    const html = chatAst.splitReasoning(protectedText).map(segment => {
+      const segmentHtml = toXhtml(parse(segment.text));
+      return segment.reasoning ? `<div class="reasoning"><p class="reasoning-label">Reasoning</p>${segmentHtml}</div>` : segmentHtml;
+    }).join('');
+    if (notes.length === 0) return html;
+
+    const reference = note => `<sup class="footnote-ref">${note.kind === 'citation' ? `[${note.number}]` : note.number}</sup>`;
+    const list = (kind, className) => {
+      const items = notes.filter(note => note.kind === kind).map(note => {
+        // Sources keep their bracketed number, which the list style cannot show
+        const number = kind === 'citation' ? `[${note.number}] ` : '';
+        return `<li>${toXhtml(parse(note.content)).replace(/^<p>/, `<p>${number}`)}</li>`;
+      });
+      return items.length ? `<ol class="${className}">${items.join('')}</ol>` : '';
+    };
+    return chatAst.restoreFootnotes(html, notes, reference) +
+      `<div class="footnotes">${list('footnote', 'footnote-list')}${list('citation', 'citation-list')}</div>`;
+  };
+
+  // A book cannot collapse tool cards, so their arguments and result are printed in full
+  const renderToolCard = (tool, noteHtml) => {
+    const sections = [['Arguments', tool.call], ['Result', tool.result]]
+      .filter(([, payload]) => payload !== null)
+      .map(([label, payload]) =>
+        `<p class="tool-label">${label}</p><pre><code>${escapeXml(chatAst.formatToolPayload(payload).text)}</code></pre>`
+      );
+    return `<div class="tool-card"><p class="tool-name">${escapeXml(tool.name || 'tool')}</p>${sections.join('')}${noteHtml}</div>`;
+  };
+
+  const renderSection = section => {
+    const parts = [];
+
+    // Consecutive messages from one speaker share a label, as they share a bubble in the viewer,
+    // unless either is a set of alternate replies, a tool card or has footnotes, or the later one shares a row
+    const groups = [];
+    section.messages.forEach(message => {
+      const current = groups[groups.length - 1];
+      const together = Boolean(message.layout && message.layout.together);
+      const footnotes = chatAst.hasFootnotes(message.content) || (current && chatAst.hasFootnotes(current.messages[0].content));
+      if (current && current.speaker === message.speaker && !message.tool && !message.variants && !current.messages[0].variants && !together && !footnotes) {
+        current.messages.push(message);
+      } else {
+        groups.push({ speaker: message.speaker, together, messages: [message] });
+      }
+    });
+
+    // Speakers tagged {+} sit beside the one before them where the reader lays out rows, and follow it elsewhere
+    const rows = [];
+    groups.forEach(group => {
+      if (group.together && rows.length > 0) {
+        rows[rows.length - 1].push(group);
+      } else {
+        rows.push([group]);
+      }
+    });
+    rows.forEach(row => parts.push(row.length === 1
+      ? renderGroup(row[0])
+      : `<div class="message-row">${row.map(renderGroup).join('')}</div>`));
+
+    section.children.forEach(child => {
+      // The chapter title is the h1, so sections start at h2 whatever their level
+      const level = Math.min(Math.max(child.level, 2), 6);
+      parts.push(`<h${level} id="${child.id}">${toXhtml(markdown.parseInline(child.text))}</h${level}>`);
+      parts.push(renderSection(child));
+    });
+
+    return parts.join('\n');
+  };
+
+  return `<h1 class="chapter-title">${escapeXml(options.title)}</h1>\n${renderSection(ast.root)}`;
+}
+
+/**
+ * Wrap a body in an XHTML document
+ * @param {string} title - Document title
+ * @param {string} body - Body markup
+ * @param {string} extraNamespace - Extra attributes for the html element
+ * @returns {string} XHTML document
+ */
+function xhtmlDocument(title, body, extraNamespace = '') {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml"${extraNamespace} xml:lang="en" lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="styles.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the nested table of contents entries for a chapter from its section tree
+ * @param {Object} section - Section from chat-ast
+ * @param {string} href - Chapter file name
+ * @returns {Array<Object>} Entries as { label, href, children }
+ */
+function buildNavEntries(section, href) {
+  const entries = [];
+
+  section.children.forEach(child => {
+    const children = buildNavEntries(child, href);
+    if (child.level > MAX_NAV_LEVEL) {
+      entries.push(...children);
+    } else if (child.level === 1) {
+      // # headings are rare in conversations; their sections are listed in their place
+      entries.push(...children);
+    } else {
+      entries.push({ label: plainHeading(child.text), href: `${href}#${child.id}`, children });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Render the EPUB 3 navigation document
+ * @param {string} title - Book title
+ * @param {Array<Object>} entries - Entries as { label, href, children }
+ * @returns {string} nav.xhtml
+ */
+function renderNav(title, entries) {
+  const renderList = (items, indent) => {
+    const pad = '  '.repeat(indent);
+    const lines = items.map(item => {
+      const nested = item.children.length ? `\n${renderList(item.children, indent + 2)}\n${pad}  ` : '';
+      return `${pad}  <li><a href="${escapeXml(item.href)}">${escapeXml(item.label)}</a>${nested}</li>`;
+    });
+    return `${pad}<ol>\n${lines.join('\n')}\n${pad}</ol>`;
+  };
+
+  const body = `<nav epub:type="toc" id="toc">
+<h1>${escapeXml(title)}</h1>
+${renderList(entries, 0)}
+</nav>`;
+
+  return xhtmlDocument(title, body, ' xmlns:epub="http://www.idpf.org/2007/ops"');
+}
+
+/**
+ * Render the EPUB 2 table of contents, for older readers
+ * @param {string} title - Book title
+ * @param {string} identifier - Book identifier
+ * @param {Array<Object>} entries - Entries as { label, href, children }
+ * @returns {string} toc.ncx
+ */
+function renderNcx(title, identifier, entries) {
+  let playOrder = 0;
+  let depth = 0;
+
+  const renderPoints = (items, level) => items.map(item => {
+    playOrder++;
+    depth = Math.max(depth, level);
+    const pad = '  '.repeat(level + 1);
+    const children = item.children.length ? `\n${renderPoints(item.children, level + 1)}` : '';
+    return `${pad}<navPoint id="nav-${playOrder}" playOrder="${playOrder}">
+${pad}  <navLabel><text>${escapeXml(item.label)}</text></navLabel>
+${pad}  <content src="${escapeXml(item.href)}" />${children}
+${pad}</navPoint>`;
+  }).join('\n');
+
+  const points = renderPoints(entries, 1);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${escapeXml(identifier)}" />
+    <meta name="dtb:depth" content="${depth}" />
+  </head>
+  <docTitle><text>${escapeXml(title)}</text></docTitle>
+  <navMap>
+${points}
+  </navMap>
+</ncx>
+`;
+}
+
+/**
+ * Render the package document
+ * @param {Object} book - { title, author, identifier, chapters, icons, images }
+ * @returns {string} content.opf
+ */
+function renderPackage(book) {
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml" />',
+    '<item id="css" href="styles.css" media-type="text/css" />',
+    // Readers are told which chapters contain MathML
+    ...book.chapters.map(chapter => `<item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"${chapter.xhtml.includes('<math') ? ' properties="mathml"' : ''} />`),
+    ...book.icons.map(icon => `<item id="${icon.id}" href="${icon.href}" media-type="image/svg+xml" />`),
+    ...book.images.map(image => `<item id="${image.id}" href="${image.href}" media-type="${image.type}" />`)
+  ];
+
+  const spine = book.chapters.map(chapter => `<itemref idref="${chapter.id}" />`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(book.identifier)}</dc:identifier>
+    <dc:title>${escapeXml(book.title)}</dc:title>
+    <dc:language>en</dc:language>
+    <dc:publisher>${escapeXml(SITE_NAME)}</dc:publisher>
+${book.author ? `    <dc:creator>${escapeXml(book.author)}</dc:creator>\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+${manifest.map(line => `    ${line}`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+${spine.map(line => `    ${line}`).join('\n')}
+  </spine>
+</package>
+`;
+}
+
+/**
+ * Find the conversations under a folder, in reading order
+ * Date folders sort by name, and files within a folder by name (A, B, C; Act I, Act II).
+ * The wiki folder is skipped.
+ * @param {string} folder - Folder to search
+ * @returns {Array<string>} Markdown file paths
+ */
+function findConversations(folder) {
+  const entries = fs.readdirSync(folder, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+  const files = entries
+    .filter(entry => entry.isFile() && entry.name.endsWith('.md'))
+    .map(entry => path.join(folder, entry.name));
+
+  entries
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .filter(entry => path.resolve(folder, entry.name) !== path.resolve(WIKI_DIR))
+    .forEach(entry => files.push(...findConversations(path.join(folder, entry.name))));
+
+  return files;
+}
+
+/**
+ * Build an EPUB from conversation files
+ * @param {Array<string>} files - Markdown file paths, in reading order
+ * @param {Object} options - { title, author, settingsRoster }
+ * @returns {Promise<Object>} { buffer, chapters, icons, images }
+ */
+async function buildEpub(files, options) {
+  const iconFiles = fs.existsSync(ICON_DIR) ? fs.readdirSync(ICON_DIR).filter(file => file.endsWith('.svg')) : [];
+  const usedIcons = new Map();
+
+  const iconHref = iconName => {
+    if (!iconName) return null;
+    const file = findIconFile(iconName, iconFiles);
+    if (!file) return null;
+
+    if (!usedIcons.has(file)) {
+      const id = `icon-${usedIcons.size + 1}`;
+      usedIcons.set(file, { id, href: `icons/${id}.svg`, file });
+    }
+    return usedIcons.get(file).href;
+  };
+
+  // Local images embedded in messages, each packaged once
+  const usedImages = new Map();
+  const assetHref = assetPath => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(assetPath) || assetPath.startsWith('/')) return null;
+    const file = decodeURI(assetPath.split(/[?#]/)[0]);
+    const type = IMAGE_TYPES[path.extname(file).slice(1).toLowerCase()];
+    if (!type || !fs.existsSync(file)) return null;
+
+    if (!usedImages.has(file)) {
+      const id = `image-${usedImages.size + 1}`;
+      usedImages.set(file, { id, href: `images/${id}${path.extname(file).toLowerCase()}`, file, type });
+    }
+    return usedImages.get(file).href;
+  };
+
+  const chapters = files.map((file, index) => {
+    const markdown = fs.readFileSync(file, 'utf8');
+    const ast = chatAst.parse(markdown);
+    const title = frontMatter.getTitle(markdown, path.basename(file, '.md'));
+    const roster = buildRoster(options.settingsRoster, ast.metadata.speakers);
+    const id = `chapter-${String(index + 1).padStart(3, '0')}`;
+    const href = `${id}.xhtml`;
+
+    return {
+      id,
+      href,
+      title,
+      author: ast.metadata.author,
+      xhtml: xhtmlDocument(title, renderChapterBody(ast, { title, roster, iconHref, assetHref, path: file.replace(/\\/g, '/') })),
+      nav: { label: title, href, children: buildNavEntries(ast.root, href) }
+    };
+  });
+
+  // Credit an author only when every chapter agrees on one
+  const authors = new Set(chapters.map(chapter => chapter.author).filter(Boolean));
+  const author = options.author || (authors.size === 1 && chapters.every(chapter => chapter.author) ? [...authors][0] : '');
+
+  // The same files always give the same identifier, so readers treat a re-export as an update
+  const hash = crypto.createHash('sha1').update(files.join('\n')).digest('hex');
+  const identifier = `urn:uuid:${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-a${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+
+  const icons = [...usedIcons.values()];
+  const images = [...usedImages.values()];
+  const navEntries = chapters.map(chapter => chapter.nav);
+
+  const zip = new JSZip();
+  // The mimetype entry must come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`);
+  zip.file('OEBPS/content.opf', renderPackage({ title: options.title, author, identifier, chapters, icons, images }));
+  zip.file('OEBPS/nav.xhtml', renderNav(options.title, navEntries));
+  zip.file('OEBPS/toc.ncx', renderNcx(options.title, identifier, navEntries));
+  zip.file('OEBPS/styles.css', STYLESHEET);
+  chapters.forEach(chapter => zip.file(`OEBPS/${chapter.href}`, chapter.xhtml));
+  icons.forEach(icon => zip.file(`OEBPS/${icon.href}`, fs.readFileSync(path.join(ICON_DIR, icon.file))));
+  images.forEach(image => zip.file(`OEBPS/${image.href}`, fs.readFileSync(image.file)));
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+  return { buffer, chapters, icons, images };
+}
+
+async function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2), ['out', 'title', 'author']);
+  const folder = path.normalize(positional[0] || 'content').replace(/[\\/]$/, '');
+
+  if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+    console.error('Usage: node scripts/export-epub.js [content/<folder>] [--out file.epub] [--title text] [--author text] [--drafts]');
+    process.exit(1);
+  }
+
+  const wholeCorpus = path.resolve(folder) === path.resolve('content');
+  const files = findConversations(folder).filter(file => {
+    if (flags.drafts) return true;
+    return !frontMatter.parse(fs.readFileSync(file, 'utf8')).data.draft;
+  });
+
+  if (files.length === 0) {
+    console.error(`No conversations found in ${folder}`);
+    process.exit(1);
+  }
+
+  const settingsRoster = loadSettingsRoster();
+
+  const title = typeof flags.title === 'string' ? flags.title : (wholeCorpus ? SITE_NAME : path.basename(folder));
+  const author = typeof flags.author === 'string' ? flags.author : '';
+  const outPath = typeof flags.out === 'string' ? flags.out : `${wholeCorpus ? 'dialog' : path.basename(folder)}.epub`;
+
+  const { buffer, chapters, icons, images } = await buildEpub(files, { title, author, settingsRoster });
+  fs.writeFileSync(outPath, buffer);
+
+  console.log(`Wrote ${outPath}: ${chapters.length} chapters, ${icons.length} speaker icons, ${images.length} images`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error exporting EPUB:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildEpub, renderChapterBody, buildNavEntries };
@@ -0,0 +1,369 @@
+/**
+ * Front Matter Parser
+ * Reads and writes the YAML front matter block at the top of conversation files.
+ * Shared between the browser (window.frontMatter) and Node build scripts (require).
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.frontMatter = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  // Front matter must open on the very first line of the file
+  const OPEN_FENCE = /^﻿?---[ \t]*\r?\n/;
+  const CLOSE_FENCE = /^(?:---|\.\.\.)[ \t]*$/;
+
+  /**
+   * Split a markdown document into its front matter data and body
+   * @param {string} markdown - Raw file contents
+   * @returns {Object} Object with data, body and hasFrontMatter properties
+   */
+  function parse(markdown) {
+    const source = typeof markdown === 'string' ? markdown : '';
+    const empty = { data: {}, body: source, hasFrontMatter: false };
+
+    if (!OPEN_FENCE.test(source)) {
+      return empty;
+    }
+
+    const lines = source.replace(OPEN_FENCE, '').split('\n');
+    const closeIndex = lines.findIndex(line => CLOSE_FENCE.test(line.replace(/\r$/, '')));
+    if (closeIndex === -1) {
+      return empty;
+    }
+
+    let data;
+    try {
+      data = parseYaml(lines.slice(0, closeIndex).join('\n'));
+    } catch (e) {
+      if (typeof console !== 'undefined') {
+        console.warn('Invalid front matter, treating file as plain markdown:', e.message);
+      }
+      return empty;
+    }
+
+    return {
+      data: data && typeof data === 'object' && !Array.isArray(data) ? data : {},
+      body: lines.slice(closeIndex + 1).join('\n'),
+      hasFrontMatter: true
+    };
+  }
+
+  /**
+   * Serialize a data object into a front matter block
+   * @param {Object} data - Metadata to serialize
+   * @returns {string} Front matter block including the --- fences, or '' when empty
+   */
+  function stringify(data) {
+    if (!data || Object.keys(data).length === 0) {
+      return '';
+    }
+    return `---\n${stringifyYaml(data, 0)}---\n`;
+  }
+
+  /**
+   * Resolve the display title of a conversation
+   * Front matter wins, then the first H1 in the body, then the fallback
+   * @param {string} markdown - Raw file contents
+   * @param {string} fallback - Title to use when none is declared
+   * @returns {string} The conversation title
+   */
+  function getTitle(markdown, fallback = '') {
+    const { data, body } = parse(markdown);
+    if (data.title !== undefined && data.title !== null && String(data.title).trim()) {
+      return String(data.title).trim();
+    }
+
+    const titleMatch = body.match(/^#\s+(.+)$/m);
+    return titleMatch ? titleMatch[1].trim() : fallback;
+  }
+
+  /**
+   * Parse the subset of YAML used in front matter:
+   * nested maps, block and flow sequences, block scalars and plain/quoted scalars
+   * @param {string} text - YAML source
+   * @returns {*} Parsed value
+   */
+  function parseYaml(text) {
+    const lines = text.split('\n')
+      .map(raw => raw.replace(/\r$/, ''))
+      .map(raw => ({ raw, indent: raw.search(/\S/), text: raw.trim() }));
+
+    const state = { lines, index: 0 };
+    skipBlank(state);
+    if (state.index >= lines.length) {
+      return {};
+    }
+
+    return parseBlock(state, lines[state.index].indent);
+  }
+
+  function skipBlank(state) {
+    while (state.index < state.lines.length) {
+      const line = state.lines[state.index];
+      if (line.indent === -1 || line.text.startsWith('#')) {
+        state.index++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function parseBlock(state, indent) {
+    const line = state.lines[state.index];
+    return isSequenceItem(line.text) ? parseSequence(state, indent) : parseMap(state, indent);
+  }
+
+  function isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  function parseMap(state, indent) {
+    const result = {};
+
+    while (true) {
+      skipBlank(state);
+      if (state.index >= state.lines.length) break;
+
+      const line = state.lines[state.index];
+      if (line.indent < indent) break;
+      if (line.indent > indent) {
+        throw new Error(`Unexpected indentation on line "${line.text}"`);
+      }
+      if (isSequenceItem(line.text)) break;
+
+      const entry = splitKeyValue(line.text);
+      if (!entry) {
+        throw new Error(`Expected "key: value" but found "${line.text}"`);
+      }
+
+      state.index++;
+      result[entry.key] = parseEntryValue(state, indent, entry.value);
+    }
+
+    return result;
+  }
+
+  function parseSequence(state, indent) {
+    const result = [];
+
+    while (true) {
+      skipBlank(state);
+      if (state.index >= state.lines.length) break;
+
+      const line = state.lines[state.index];
+      if (line.indent !== indent || !isSequenceItem(line.text)) break;
+
+      const itemText = line.text.slice(1).trim();
+      state.index++;
+
+      if (!itemText) {
+        result.push(parseNested(state, indent));
+        continue;
+      }
+
+      const entry = splitKeyValue(itemText);
+      if (entry && !/^["'[{]/.test(itemText)) {
+        // "- key: value" starts a map whose remaining keys sit under the first key
+        const itemIndent = indent + (line.raw.slice(line.indent + 1).search(/\S/) + 1);
+        const item = {};
+        item[entry.key] = parseEntryValue(state, itemIndent, entry.value);
+        Object.assign(item, parseMap(state, itemIndent));
+        result.push(item);
+      } else {
+        result.push(parseScalar(itemText));
+      }
+    }
+
+    return result;
+  }
+
+  function parseEntryValue(state, indent, value) {
+    if (value === '') {
+      return parseNested(state, indent, true);
+    }
+    if (value === '|' || value === '>' || /^[|>][+-]$/.test(value)) {
+      return parseBlockScalar(state, indent, value.charAt(0) === '>');
+    }
+    return parseScalar(value);
+  }
+
+  function parseNested(state, indent, allowSameIndentSequence = false) {
+    skipBlank(state);
+    if (state.index >= state.lines.length) return null;
+
+    const next = state.lines[state.index];
+    if (next.indent > indent) {
+      return parseBlock(state, next.indent);
+    }
+    if (allowSameIndentSequence && next.indent === indent && isSequenceItem(next.text)) {
+      return parseSequence(state, indent);
+    }
+    return null;
+  }
+
+  function parseBlockScalar(state, indent, folded) {
+    const collected = [];
+    let blockIndent = -1;
+
+    while (state.index < state.lines.length) {
+      const line = state.lines[state.index];
+      if (line.indent !== -1 && line.indent <= indent) break;
+      if (line.indent !== -1 && blockIndent === -1) blockIndent = line.indent;
+      collected.push(line.indent === -1 ? '' : line.raw.slice(blockIndent));
+      state.index++;
+    }
+
+    while (collected.length && collected[collected.length - 1] === '') {
+      collected.pop();
+    }
+
+    return folded
+      ? collected.join('\n').replace(/([^\n])\n(?!\n)/g, '$1 ')
+      : collected.join('\n');
+  }
+
+  function splitKeyValue(text) {
+    const match = text.match(/^("[^"]*"|'[^']*'|[^:#][^:]*?)\s*:(?:\s+(.*)|$)/);
+    if (!match) return null;
+
+    return {
+      key: unquote(match[1].trim()),
+      value: stripComment(match[2] || '').trim()
+    };
+  }
+
+  function stripComment(text) {
+    if (/^["']/.test(text)) return text;
+    return text.replace(/\s+#.*$/, '');
+  }
+
+  function unquote(text) {
+    if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+      // One pass, so an escaped backslash before n or t is not read as a newline or tab
+      return text.slice(1, -1).replace(/\\(["\\nt])/g, (escape, char) => ({ n: '\n', t: '\t' })[char] || char);
+    }
+    if (text.length >= 2 && text.startsWith("'") && text.endsWith("'")) {
+      return text.slice(1, -1).replace(/''/g, "'");
+    }
+    return text;
+  }
+
+  function parseScalar(text) {
+    const value = stripComment(text).trim();
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+      return splitFlow(value.slice(1, -1)).map(parseScalar);
+    }
+    if (value.startsWith('{') && value.endsWith('}')) {
+      const result = {};
+      splitFlow(value.slice(1, -1)).forEach(part => {
+        const entry = splitKeyValue(part);
+        if (entry) result[entry.key] = parseScalar(entry.value);
+      });
+      return result;
+    }
+    if (/^["']/.test(value)) return unquote(value);
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+    // Dates and everything else stay as strings
+    return value;
+  }
+
+  function splitFlow(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[' || char === '{') {
+        depth++;
+      } else if (char === ']' || char === '}') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  function stringifyYaml(value, indent) {
+    const pad = ' '.repeat(indent);
+    let out = '';
+
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        if (isPlainObject(item) && Object.keys(item).length > 0) {
+          const nested = stringifyYaml(item, indent + 2);
+          out += `${pad}- ${nested.slice(indent + 2)}`;
+        } else {
+          out += `${pad}- ${stringifyScalar(item)}\n`;
+        }
+      });
+      return out;
+    }
+
+    Object.keys(value).forEach(key => {
+      const item = value[key];
+      if (item === undefined) return;
+
+      const safeKey = /^[\w.-]+$/.test(key) ? key : JSON.stringify(key);
+      if (isPlainObject(item) && Object.keys(item).length > 0) {
+        out += `${pad}${safeKey}:\n${stringifyYaml(item, indent + 2)}`;
+      } else if (Array.isArray(item) && item.length > 0 && item.some(isPlainObject)) {
+        out += `${pad}${safeKey}:\n${stringifyYaml(item, indent + 2)}`;
+      } else if (Array.isArray(item)) {
+        out += `${pad}${safeKey}: [${item.map(stringifyScalar).join(', ')}]\n`;
+      } else if (typeof item === 'string' && item.includes('\n')) {
+        const body = item.split('\n').map(line => (line ? `${pad}  ${line}` : '')).join('\n');
+        out += `${pad}${safeKey}: |\n${body}\n`;
+      } else {
+        out += `${pad}${safeKey}: ${stringifyScalar(item)}\n`;
+      }
+    });
+
+    return out;
+  }
+
+  function stringifyScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    if (isPlainObject(value)) {
+      return `{${Object.keys(value).map(key => `${key}: ${stringifyScalar(value[key])}`).join(', ')}}`;
+    }
+
+    const text = String(value);
+    const needsQuotes = text === '' ||
+      /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+      /[:#]\s|:$|\s$|[,[\]{}]/.test(text) ||
+      /^(true|false|null|~|-?\d+(\.\d+)?)$/.test(text);
+
+    return needsQuotes ? JSON.stringify(text) : text;
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Expose public methods
+  return {
+    parse,
+    stringify,
+    getTitle
+  };
+});
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+
+/**
+ * Chat JSON Importer
+ * Converts Claude exports and other JSON / JSONL chat logs into Dialog conversation files
+ *
+ * Usage: node scripts/import-chat-json.js <file.json|file.jsonl> [options]
+ *   --preset <name>    Field mapping to start from: claude or messages (default: detected)
+ *   --config <file>    JSON mapping that overrides fields of the preset
+ *   --out <dir>        Content directory to write into (default: content)
+ *   --draft            Mark imported files as drafts so they stay out of api.json
+ *   --keep-headings    Keep markdown headings in messages instead of demoting them to bold
+ *   --dry-run          List the files that would be written without writing them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const chatAst = require('./chat-ast.js');
+const {
+  parseArgs,
+  formatFrontMatterDate,
+  findImportedSourceIds,
+  writeConversations
+} = require('./import-utils.js');
+
+/**
+ * Field mappings for known formats
+ * Paths are dot-separated; a list of paths means "use the first one that has a value".
+ * An empty messages path means the file is itself a list of messages.
+ * Roles mapped to null are left out; roles that are not listed keep their own name (see roleToSpeaker).
+ */
+const PRESETS = {
+  // claude.ai data export (conversations.json)
+  claude: {
+    source: 'claude',
+    messages: 'chat_messages',
+    role: 'sender',
+    content: ['content', 'text'],
+    timestamp: 'created_at',
+    title: 'name',
+    date: 'created_at',
+    id: 'uuid',
+    speakers: { human: 'user', assistant: 'agent' }
+  },
+
+  // Role/content arrays: Anthropic and OpenAI API logs, fine-tuning JSONL
+  messages: {
+    source: 'json',
+    messages: 'messages',
+    role: 'role',
+    content: 'content',
+    timestamp: ['timestamp', 'created_at'],
+    title: 'title',
+    date: ['created_at', 'date'],
+    id: 'id',
+    speakers: { user: 'user', human: 'user', assistant: 'agent', system: null, tool: null, developer: null }
+  }
+};
+
+// Speakers the viewer does not show as messages: << NOTE >> annotates the message before it,
+// << TOOL >> is a tool call and an empty tag is narration
+const RESERVED_SPEAKERS = ['note', 'tool', 'direct-text'];
+
+/**
+ * Turn a role that has no rename into a speaker
+ * Characters the tag reads as layout, time, candidate number or :thinking are dropped, and
+ * roles named like a reserved tag are prefixed, so { role: 'note' } stays a message of its own
+ * as << ROLE_NOTE >>.
+ * @param {string} role - Lowercase role
+ * @returns {string|null} Speaker, or null if nothing of the role is left
+ */
+function roleToSpeaker(role) {
+  const name = role.replace(/[{}@#:<>\\[\]]/g, ' ').trim().replace(/\s+/g, '_');
+  if (!name) return null;
+
+  const tag = chatAst.extractSpeaker(`<< ${name.toUpperCase()} >>`);
+  return tag.name !== name || RESERVED_SPEAKERS.includes(name) ? `role_${name}` : name;
+}
+
+/**
+ * Read a dot-separated path from an object
+ * @param {Object} value - Object to read from
+ * @param {string|Array<string>} fieldPath - Path, or candidate paths in order of preference
+ * @returns {*} The value, or undefined if no path has one
+ */
+function getField(value, fieldPath) {
+  if (!fieldPath) return undefined;
+
+  if (Array.isArray(fieldPath)) {
+    for (const candidate of fieldPath) {
+      const found = getField(value, candidate);
+      if (found !== undefined && found !== null && found !== '') return found;
+    }
+    return undefined;
+  }
+
+  return fieldPath.split('.').reduce((current, key) => (
+    current !== null && current !== undefined ? current[key] : undefined
+  ), value);
+}
+
+/**
+ * Flatten message content to markdown
+ * Handles plain strings, content block arrays ({ type: 'text', text }) and { parts } objects.
+ * Only text is kept; tool calls, images and reasoning blocks are left out.
+ * @param {*} content - The content field of a message
+ * @returns {string} Markdown text
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (!content) return '';
+
+  if (Array.isArray(content)) {
+    return content
+      .map(block => {
+        if (typeof block === 'string') return block;
+        if (block && block.type === 'text' && typeof block.text === 'string') return block.text;
+        return '';
+      })
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  if (Array.isArray(content.parts)) return contentToText(content.parts);
+  if (typeof content.text === 'string') return content.text;
+
+  return '';
+}
+
+/**
+ * Convert a date field to a Date
+ * Accepts ISO strings and epoch numbers in seconds or milliseconds
+ * @param {*} value - The date value
+ * @returns {Date|null} The parsed date, or null if it is missing or invalid
+ */
+function toDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = typeof value === 'number'
+    ? new Date(value < 1e12 ? value * 1000 : value)
+    : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Split the parsed input into conversations
+ * @param {Array|Object} input - Parsed JSON, or the list of parsed JSONL lines
+ * @param {Object} mapping - Field mapping
+ * @returns {Array<Object>} Entries of { conversation, messages }
+ */
+function findConversations(input, mapping) {
+  const getMessages = item => (item && mapping.messages ? getField(item, mapping.messages) : null);
+  const toEntry = item => ({ conversation: item, messages: getMessages(item) });
+
+  // A file that is itself a list of messages is a single conversation
+  if (!mapping.messages) {
+    return [{ conversation: {}, messages: Array.isArray(input) ? input : [input] }];
+  }
+
+  if (Array.isArray(input)) {
+    if (input.some(item => Array.isArray(getMessages(item)))) {
+      return input.filter(item => Array.isArray(getMessages(item))).map(toEntry);
+    }
+    return [{ conversation: {}, messages: input }];
+  }
+
+  if (Array.isArray(getMessages(input))) return [toEntry(input)];
+  if (input && Array.isArray(input.conversations)) {
+    return input.conversations.filter(item => Array.isArray(getMessages(item))).map(toEntry);
+  }
+
+  return [];
+}
+
+/**
+ * Pick the preset that matches the input
+ * @param {Array|Object} input - Parsed input
+ * @returns {string} Preset name
+ */
+function detectPreset(input) {
+  const first = Array.isArray(input) ? input[0] : input;
+  return first && Array.isArray(first.chat_messages) ? 'claude' : 'messages';
+}
+
+/**
+ * Convert one conversation into Dialog's import format
+ * @param {Object} entry - { conversation, messages } from findConversations
+ * @param {Object} mapping - Field mapping
+ * @param {Object} options - { draft, fallbackDate }
+ * @returns {Object|null} { date, metadata, messages } or null if it has no messages
+ */
+function convertConversation({ conversation, messages: rawMessages }, mapping, options) {
+  const messages = [];
+
+  rawMessages.forEach(rawMessage => {
+    const role = String(getField(rawMessage, mapping.role) || '').trim().toLowerCase();
+    if (!role) return;
+
+    // null drops the role; unlisted roles keep their own name as the speaker
+    const speaker = Object.prototype.hasOwnProperty.call(mapping.speakers || {}, role)
+      ? mapping.speakers[role]
+      : roleToSpeaker(role);
+    if (!speaker) return;
+
+    const text = contentToText(getField(rawMessage, mapping.content)).trim();
+    if (!text) return;
+
+    const time = toDate(getField(rawMessage, mapping.timestamp));
+    const previous = messages[messages.length - 1];
+    if (previous && previous.speaker === speaker) {
+      previous.content += '\n\n' + text;
+      return;
+    }
+
+    messages.push({ speaker, content: text, timestamp: time ? time.toISOString() : null });
+  });
+
+  if (messages.length === 0) return null;
+
+  const firstTimestamp = messages.find(message => message.timestamp);
+  const date = toDate(getField(conversation, mapping.date)) ||
+    (firstTimestamp ? new Date(firstTimestamp.timestamp) : options.fallbackDate);
+
+  // Without a title, use the opening line of the user's first message
+  let title = getField(conversation, mapping.title);
+  if (!title) {
+    const opening = (messages.find(message => message.speaker === 'user') || messages[0]).content.split('\n')[0].replace(/[#*_`>]/g, '').trim();
+    title = opening.length > 60 ? opening.slice(0, 57).trim() + '...' : opening;
+  }
+
+  // Logs without ids get a content hash so re-imports can still be recognized
+  const id = getField(conversation, mapping.id) ||
+    crypto.createHash('sha1').update(JSON.stringify(messages.map(message => [message.speaker, message.content]))).digest('hex').slice(0, 16);
+
+  const metadata = {
+    title: String(title),
+    date: formatFrontMatterDate(date),
+    source: mapping.source || 'json',
+    source_id: String(id)
+  };
+  if (options.draft) metadata.draft = true;
+
+  return { date, metadata, messages };
+}
+
+/**
+ * Read a JSON or JSONL file
+ * @param {string} filePath - Path to the input
+ * @returns {Array|Object} Parsed JSON, or an array of parsed lines for JSONL
+ */
+function readInput(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.jsonl') {
+    return text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`line ${index + 1}: ${error.message}`);
+        }
+      });
+  }
+
+  return JSON.parse(text);
+}
+
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2), ['preset', 'config', 'out']);
+  const inputPath = positional[0];
+
+  if (!inputPath) {
+    console.error('Usage: node scripts/import-chat-json.js <file.json|file.jsonl> [--preset claude|messages] [--config mapping.json] [--out content] [--draft] [--keep-headings] [--dry-run]');
+    process.exit(1);
+  }
+
+  let input;
+  try {
+    input = readInput(inputPath);
+  } catch (error) {
+    console.error(`Could not read ${inputPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const presetName = typeof flags.preset === 'string' ? flags.preset : detectPreset(input);
+  if (!PRESETS[presetName]) {
+    console.error(`Unknown preset "${presetName}". Available presets: ${Object.keys(PRESETS).join(', ')}`);
+    process.exit(1);
+  }
+
+  let mapping = { ...PRESETS[presetName] };
+  if (typeof flags.config === 'string') {
+    try {
+      const config = JSON.parse(fs.readFileSync(flags.config, 'utf8'));
+      // Speaker renames add to the preset's instead of replacing them
+      mapping = { ...mapping, ...config, speakers: { ...mapping.speakers, ...(config.speakers || {}) } };
+    } catch (error) {
+      console.error(`Could not read mapping config ${flags.config}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  console.log(`Using ${presetName} mapping${flags.config ? ` with overrides from ${flags.config}` : ''}`);
+
+  const contentDir = flags.out || 'content';
+  const imported = findImportedSourceIds(contentDir);
+  const fallbackDate = fs.statSync(inputPath).mtime;
+
+  let skippedExisting = 0;
+  const converted = findConversations(input, mapping)
+    .map(entry => convertConversation(entry, mapping, { draft: flags.draft, fallbackDate }))
+    .filter(result => {
+      if (!result) return false;
+      if (imported.has(result.metadata.source_id)) {
+        skippedExisting++;
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => a.date - b.date);
+
+  const written = writeConversations(converted, {
+    contentDir,
+    dryRun: Boolean(flags['dry-run']),
+    keepHeadings: Boolean(flags['keep-headings'])
+  });
+
+  written.forEach(filePath => console.log(`${flags['dry-run'] ? 'Would write' : 'Wrote'} ${filePath}`));
+  console.log(`Imported ${written.length} conversations`);
+  if (skippedExisting > 0) {
+    console.log(`Skipped ${skippedExisting} conversations that were already imported`);
+  }
+  if (written.length > 0 && !flags['dry-run']) {
+    console.log('Run `node scripts/update-api.js` to add them to the directory');
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { PRESETS, getField, roleToSpeaker, contentToText, findConversations, convertConversation };
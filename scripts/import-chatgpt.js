@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * ChatGPT Importer
+ * Converts an OpenAI data export (conversations.json) into Dialog conversation files
+ *
+ * Usage: node scripts/import-chatgpt.js <conversations.json> [options]
+ *   --out <dir>        Content directory to write into (default: content)
+ *   --only <text>      Import only conversations whose title contains this text
+ *   --draft            Mark imported files as drafts so they stay out of api.json
+ *   --keep-headings    Keep markdown headings in messages instead of demoting them to bold
+ *   --dry-run          List the files that would be written without writing them
+ */
+
+const fs = require('fs');
+const {
+  parseArgs,
+  formatFrontMatterDate,
+  findImportedSourceIds,
+  writeConversations
+} = require('./import-utils.js');
+
+// Export roles mapped to Dialog speakers; anything else (system, tool) is left out
+const ROLE_SPEAKERS = {
+  user: 'user',
+  assistant: 'agent'
+};
+
+/**
+ * Walk the branch that was showing when the conversation was exported
+ * Regenerated responses and edited prompts live on sibling branches, so following
+ * current_node back to the root keeps exactly one version of every turn
+ * @param {Object} conversation - A conversation from conversations.json
+ * @returns {Array<Object>} Mapping nodes from the root to the current node
+ */
+function getActiveBranch(conversation) {
+  const mapping = conversation.mapping || {};
+  let nodeId = conversation.current_node;
+
+  // Older exports have no current_node, so follow the newest child from the root
+  if (!nodeId || !mapping[nodeId]) {
+    const rootNode = Object.values(mapping).find(node => !node.parent);
+    let node = rootNode;
+    while (node && node.children && node.children.length > 0) {
+      node = mapping[node.children[node.children.length - 1]];
+    }
+    nodeId = node ? node.id : null;
+  }
+
+  const branch = [];
+  while (nodeId && mapping[nodeId]) {
+    branch.unshift(mapping[nodeId]);
+    nodeId = mapping[nodeId].parent;
+  }
+
+  return branch;
+}
+
+/**
+ * Convert one export message to markdown
+ * @param {Object} message - The message object of a mapping node
+ * @returns {string} Markdown text, or an empty string if there is nothing to show
+ */
+function getMessageText(message) {
+  const content = message.content || {};
+
+  switch (content.content_type) {
+    case 'text':
+    case 'multimodal_text':
+      return (content.parts || [])
+        .map(part => {
+          if (typeof part === 'string') return part;
+          // Uploaded and generated images are not part of the export text
+          if (part && part.content_type === 'image_asset_pointer') return '*[image]*';
+          return '';
+        })
+        .filter(Boolean)
+        .join('\n\n');
+
+    case 'code':
+      // Code the assistant ran in the code interpreter
+      return '```' + (content.language && content.language !== 'unknown' ? content.language : '') +
+        '\n' + (content.text || '') + '\n```';
+
+    default:
+      // Tool output, browsing results, reasoning summaries and hidden context
+      return '';
+  }
+}
+
+/**
+ * Convert a conversation from the export into Dialog's import format
+ * @param {Object} conversation - A conversation from conversations.json
+ * @param {Object} options - Parsed command line flags
+ * @returns {Object|null} { date, metadata, messages } or null if it has no messages
+ */
+function convertConversation(conversation, options) {
+  const messages = [];
+
+  getActiveBranch(conversation).forEach(node => {
+    const message = node.message;
+    if (!message || !message.author) return;
+
+    const speaker = ROLE_SPEAKERS[message.author.role];
+    if (!speaker) return;
+
+    // Custom instructions and other context the ChatGPT UI never shows
+    if (message.metadata && message.metadata.is_visually_hidden_from_conversation) return;
+
+    const text = getMessageText(message).trim();
+    if (!text) return;
+
+    const timestamp = message.create_time ? new Date(message.create_time * 1000).toISOString() : null;
+
+    // Code interpreter runs arrive as several assistant messages in a row
+    const previous = messages[messages.length - 1];
+    if (previous && previous.speaker === speaker) {
+      previous.content += '\n\n' + text;
+      return;
+    }
+
+    messages.push({ speaker, content: text, timestamp });
+  });
+
+  if (messages.length === 0) return null;
+
+  const date = new Date((conversation.create_time || Date.now() / 1000) * 1000);
+  const metadata = {
+    title: conversation.title || 'Untitled conversation',
+    date: formatFrontMatterDate(date),
+    source: 'chatgpt',
+    source_id: conversation.conversation_id || conversation.id
+  };
+  if (options.draft) metadata.draft = true;
+
+  return { date, metadata, messages };
+}
+
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2), ['out', 'only']);
+  const exportPath = positional[0];
+
+  if (!exportPath) {
+    console.error('Usage: node scripts/import-chatgpt.js <conversations.json> [--out content] [--only text] [--draft] [--keep-headings] [--dry-run]');
+    process.exit(1);
+  }
+
+  let conversations;
+  try {
+    conversations = JSON.parse(fs.readFileSync(exportPath, 'utf8'));
+  } catch (error) {
+    console.error(`Could not read ${exportPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!Array.isArray(conversations)) {
+    console.error(`${exportPath} is not a ChatGPT conversations export (expected an array)`);
+    process.exit(1);
+  }
+
+  const contentDir = flags.out || 'content';
+  const imported = findImportedSourceIds(contentDir);
+  const filter = typeof flags.only === 'string' ? flags.only.toLowerCase() : null;
+
+  let skippedExisting = 0;
+  const converted = [];
+
+  conversations
+    .filter(conversation => !filter || (conversation.title || '').toLowerCase().includes(filter))
+    .sort((a, b) => (a.create_time || 0) - (b.create_time || 0))
+    .forEach(conversation => {
+      const id = conversation.conversation_id || conversation.id;
+      if (id && imported.has(String(id))) {
+        skippedExisting++;
+        return;
+      }
+
+      const result = convertConversation(conversation, flags);
+      if (result) converted.push(result);
+    });
+
+  const written = writeConversations(converted, {
+    contentDir,
+    dryRun: Boolean(flags['dry-run']),
+    keepHeadings: Boolean(flags['keep-headings'])
+  });
+
+  written.forEach(filePath => console.log(`${flags['dry-run'] ? 'Would write' : 'Wrote'} ${filePath}`));
+  console.log(`Imported ${written.length} conversations`);
+  if (skippedExisting > 0) {
+    console.log(`Skipped ${skippedExisting} conversations that were already imported`);
+  }
+  if (written.length > 0 && !flags['dry-run']) {
+    console.log('Run `node scripts/update-api.js` to add them to the directory');
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { getActiveBranch, convertConversation };
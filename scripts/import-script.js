@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+/**
+ * Script Importer
+ * Converts a Fountain screenplay or a plain play script into a Dialog conversation file
+ *
+ * Scene headings become ## sections, character cues become speaker tags and
+ * stage directions become <<>> direct-text, so the result renders like content/Hamlet.
+ *
+ * Usage: node scripts/import-script.js <script.fountain|script.txt> [options]
+ *   --output <file>    File to write (default: the script's path with a .md extension)
+ *   --title <text>     Title for the front matter (default: the title page, then the file name)
+ *   --format <name>    fountain or play (default: fountain for .fountain files, play otherwise)
+ *   --force            Overwrite the output file if it exists
+ *   --dry-run          Print the converted markdown instead of writing it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const frontMatter = require('./front-matter.js');
+const chatAst = require('./chat-ast.js');
+const { parseArgs, escapeMessageContent } = require('./import-utils.js');
+
+// INT. / EXT. / EST. / INT./EXT. / I/E followed by a location
+const SCENE_HEADING = /^(int|ext|est|int\.?\/ext|i\/e)[.\s]/i;
+
+// Play-script divisions: ACT I, SCENE 2, Scene III. A room in the castle.
+const PLAY_DIVISION = /^(act|scene)\s+([ivxlc]+|\d+|one|two|three|four|five|six|seven|eight|nine|ten)\b/i;
+
+// A cue is an all-caps name, optionally numbered (GUARD #1) and followed by an extension such as (V.O.) or (CONT'D)
+const CHARACTER_CUE = /^([A-Z0-9][A-Z0-9 .'’\-&#]*?)\s*(\([^)]*\))?\s*\^?$/;
+
+// Play scripts often run the speech on from the cue: HAMLET. Who's there? or SOLDIER #2. Stand!
+const INLINE_CUE = /^([A-Z][A-Z'’\- ]{0,30}[A-Z](?:\s+#\d+)?)[.:]\s+(\S.*)$/;
+
+const TRANSITION = /^[A-Z\s]+TO:$/;
+
+/**
+ * Read the Fountain title page (Key: value lines before the first blank line)
+ * @param {Array<string>} lines - Script lines
+ * @returns {Object} { fields, bodyStart }
+ */
+function parseTitlePage(lines) {
+  const fields = {};
+  let key = null;
+  let index = 0;
+
+  if (!/^[A-Za-z][A-Za-z ]*:/.test(lines[0] || '')) {
+    return { fields, bodyStart: 0 };
+  }
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim()) break;
+
+    const match = line.match(/^([A-Za-z][A-Za-z ]*):\s*(.*)$/);
+    if (match && !/^\s/.test(line)) {
+      key = match[1].trim().toLowerCase();
+      fields[key] = match[2].trim();
+    } else if (key) {
+      // Indented continuation lines
+      fields[key] = [fields[key], line.trim()].filter(Boolean).join(' ');
+    }
+  }
+
+  return { fields, bodyStart: index };
+}
+
+/**
+ * Strip Fountain emphasis markers from a title page value
+ * @param {string} value - Raw value
+ * @returns {string} Plain text
+ */
+function plainText(value) {
+  return String(value || '').replace(/[*_]/g, '').trim();
+}
+
+/**
+ * Split script lines into paragraphs separated by blank lines
+ * @param {Array<string>} lines - Script lines
+ * @returns {Array<Array<string>>} Paragraphs
+ */
+function splitParagraphs(lines) {
+  const paragraphs = [];
+  let current = [];
+
+  lines.forEach(line => {
+    if (line.trim()) {
+      current.push(line.replace(/\s+$/, ''));
+    } else if (current.length > 0) {
+      paragraphs.push(current);
+      current = [];
+    }
+  });
+  if (current.length > 0) paragraphs.push(current);
+
+  return paragraphs;
+}
+
+/**
+ * Check whether a line is a character cue
+ * @param {string} line - Opening line of a paragraph
+ * @returns {string|null} The character name, or null
+ */
+function getCharacterCue(line) {
+  const text = line.trim();
+
+  // Forced cue: @McCLANE
+  if (text.startsWith('@')) {
+    return text.slice(1).replace(/\s*\([^)]*\)\s*\^?$/, '').replace(/\^$/, '').trim() || null;
+  }
+
+  if (TRANSITION.test(text)) return null;
+
+  const match = text.match(CHARACTER_CUE);
+  if (!match || !/[A-Z]/.test(match[1])) return null;
+
+  return match[1].replace(/\.$/, '').trim();
+}
+
+/**
+ * Check whether a line is a stage direction inside a speech: [Exit.], _[Aside]_, (Exeunt)
+ * @param {string} line - A line of dialogue
+ * @returns {boolean} True for stage directions
+ */
+function isInlineDirection(line) {
+  const text = line.trim().replace(/^[*_]+|[*_]+$/g, '');
+  return /^\[.*\]$/.test(text) || /^(enter|exit|exeunt|re-enter)\b/i.test(text);
+}
+
+/**
+ * Parse a script into headings, speeches and stage directions
+ * @param {string} text - Fountain or play-script source
+ * @param {Object} options - { format: 'fountain' | 'play' }
+ * @returns {Object} { titlePage, blocks: [{ type: 'heading', level, text } | { type: 'speech', speaker, lines } | { type: 'direction', lines }] }
+ */
+function parseScript(text, options = {}) {
+  const fountain = options.format !== 'play';
+  let source = text.replace(/\r\n/g, '\n');
+
+  if (fountain) {
+    // Boneyard (/* */) and notes ([[ ]]) are comments; [[ ]] would otherwise become wikilinks
+    source = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\[\[[\s\S]*?\]\]/g, '');
+  }
+
+  const lines = source.split('\n');
+  const { fields: titlePage, bodyStart } = fountain ? parseTitlePage(lines) : { fields: {}, bodyStart: 0 };
+
+  const blocks = [];
+  // Level of the most recent section heading; 1 means no sections yet
+  let sectionLevel = 1;
+
+  const pushDirection = directionLines => {
+    const previous = blocks[blocks.length - 1];
+    if (previous && previous.type === 'direction') {
+      previous.lines.push('', ...directionLines);
+    } else {
+      blocks.push({ type: 'direction', lines: directionLines });
+    }
+  };
+
+  // Split a speech around stage directions so they render as direct-text
+  const pushSpeech = (speaker, speechLines) => {
+    let current = [];
+    const flush = () => {
+      if (current.length > 0) blocks.push({ type: 'speech', speaker, lines: current });
+      current = [];
+    };
+
+    speechLines.forEach(line => {
+      const trimmed = line.trim();
+      if (isInlineDirection(trimmed)) {
+        flush();
+        pushDirection([trimmed.replace(/^[*_]+|[*_]+$/g, '').replace(/^\[(.*)\]$/, '$1')]);
+      } else if (/^\(.*\)$/.test(trimmed)) {
+        // Parentheticals (beat), (to Horatio) stay with the speech
+        current.push(`*${trimmed}*`);
+      } else {
+        current.push(trimmed);
+      }
+    });
+    flush();
+  };
+
+  splitParagraphs(lines.slice(bodyStart)).forEach(paragraph => {
+    const first = paragraph[0].trim();
+
+    // Page breaks
+    if (/^={3,}$/.test(first) && paragraph.length === 1) return;
+
+    // Sections: # Act, ## Sequence
+    const sectionMatch = fountain && first.match(/^(#{1,6})\s*(.+)$/);
+    if (sectionMatch && paragraph.length === 1) {
+      sectionLevel = Math.min(sectionMatch[1].length + 1, 4);
+      blocks.push({ type: 'heading', level: sectionLevel, text: sectionMatch[2].trim() });
+      return;
+    }
+
+    // Synopses are planning notes, not part of the script
+    if (fountain && /^=(?!=)/.test(first) && paragraph.length === 1) return;
+
+    const forcedHeading = fountain && /^\.[^.]/.test(first);
+    if (paragraph.length === 1 && (forcedHeading || SCENE_HEADING.test(first))) {
+      const heading = (forcedHeading ? first.slice(1) : first).replace(/\s*#[^#]+#$/, '').trim();
+      // Scenes nest under the current section, or start at ## when there are none
+      blocks.push({ type: 'heading', level: sectionLevel > 1 ? Math.min(sectionLevel + 1, 4) : 2, text: heading });
+      return;
+    }
+
+    const divisionMatch = !fountain && paragraph.length === 1 && first.match(PLAY_DIVISION);
+    if (divisionMatch) {
+      const isAct = divisionMatch[1].toLowerCase() === 'act';
+      if (isAct) sectionLevel = 2;
+      const level = isAct || sectionLevel === 1 ? 2 : 3;
+      blocks.push({ type: 'heading', level, text: first.replace(/\.$/, '') });
+      return;
+    }
+
+    // Character cue followed by dialogue
+    const cue = paragraph.length > 1 && !first.startsWith('!') ? getCharacterCue(first) : null;
+    if (cue) {
+      pushSpeech(cue, paragraph.slice(1));
+      return;
+    }
+
+    // HAMLET. Who's there?
+    const inlineMatch = !fountain && first.match(INLINE_CUE);
+    if (inlineMatch) {
+      pushSpeech(inlineMatch[1].trim(), [inlineMatch[2], ...paragraph.slice(1)]);
+      return;
+    }
+
+    // Everything else is action: stage directions, transitions, centered text
+    pushDirection(paragraph.map(line => line.trim()
+      .replace(/^[!>~]\s*/, '')
+      .replace(/\s*<$/, '')
+      .replace(/^\[(.*)\]$/, '$1')));
+  });
+
+  return { titlePage, blocks };
+}
+
+/**
+ * Write the speaker tag for a character
+ * A numbered cue such as ASSISTANT #2 would be read as an alternate reply, so its # is escaped
+ * @param {string} name - Character name as cued
+ * @returns {string} Speaker tag
+ */
+function formatSpeakerTag(name) {
+  const tag = `<< ${name.toUpperCase()} >>`;
+  return chatAst.extractSpeaker(tag).variant ? tag.replace(/#(\d+) >>$/, '\\#$1 >>') : tag;
+}
+
+/**
+ * Render a parsed script as Dialog markdown
+ * @param {Object} script - Result of parseScript
+ * @param {Object} metadata - Front matter
+ * @returns {string} Markdown ready for processChatContent
+ */
+function renderScript(script, metadata) {
+  const parts = script.blocks.map(block => {
+    if (block.type === 'heading') {
+      return `${'#'.repeat(block.level)} ${block.text}`;
+    }
+
+    const tag = block.type === 'speech' ? formatSpeakerTag(block.speaker) : '<<>>';
+    return `${tag}\n${escapeMessageContent(block.lines.join('\n'))}`;
+  });
+
+  return `${frontMatter.stringify(metadata)}${metadata && Object.keys(metadata).length ? '\n' : ''}${parts.join('\n\n')}\n`;
+}
+
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2), ['output', 'title', 'format']);
+  const scriptPath = positional[0];
+
+  if (!scriptPath) {
+    console.error('Usage: node scripts/import-script.js <script.fountain|script.txt> [--output file.md] [--title text] [--format fountain|play] [--force] [--dry-run]');
+    process.exit(1);
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(scriptPath, 'utf8');
+  } catch (error) {
+    console.error(`Could not read ${scriptPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const extension = path.extname(scriptPath).toLowerCase();
+  const format = typeof flags.format === 'string' ? flags.format : (extension === '.fountain' ? 'fountain' : 'play');
+  if (!['fountain', 'play'].includes(format)) {
+    console.error(`Unknown format "${format}". Use fountain or play`);
+    process.exit(1);
+  }
+
+  const script = parseScript(text, { format });
+
+  const metadata = {
+    title: typeof flags.title === 'string'
+      ? flags.title
+      : plainText(script.titlePage.title) || path.basename(scriptPath, extension),
+    source: format
+  };
+  const author = plainText(script.titlePage.author || script.titlePage.authors);
+  if (author) metadata.author = author;
+
+  const markdown = renderScript(script, metadata);
+
+  if (flags['dry-run']) {
+    process.stdout.write(markdown);
+    return;
+  }
+
+  const outputPath = typeof flags.output === 'string'
+    ? flags.output
+    : path.join(path.dirname(scriptPath), `${path.basename(scriptPath, extension)}.md`);
+
+  if (fs.existsSync(outputPath) && !flags.force) {
+    console.error(`${outputPath} already exists. Pass --force to overwrite it or --output to pick another file`);
+    process.exit(1);
+  }
+
+  fs.writeFileSync(outputPath, markdown);
+
+  const speeches = script.blocks.filter(block => block.type === 'speech');
+  const speakers = new Set(speeches.map(block => block.speaker.toUpperCase()));
+  console.log(`Wrote ${outputPath}: ${speeches.length} speeches by ${speakers.size} characters`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseScript, renderScript };
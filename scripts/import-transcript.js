@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * Transcript Importer
+ * Splits an untagged chat paste (the `_.txt` files in content folders) into user and
+ * agent turns and writes a draft conversation file next to it
+ *
+ * Usage: node scripts/import-transcript.js <transcript.txt> [options]
+ *   --review           Step through the detected turns and fix mis-split ones before writing
+ *   --output <file>    File to write (default: next free letter in the transcript's folder)
+ *   --title <text>     Title for the front matter (default: the opening user line)
+ *   --dry-run          Print the turns that were detected without writing anything
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const {
+  parseArgs,
+  nextConversationFileName,
+  renderConversation
+} = require('./import-utils.js');
+
+// Informal words and punctuation that show up in typed prompts but rarely in model answers
+const CASUAL_MARKERS = /(^|\s)(ok|okay|yeah|yep|nah|umm?|hmm|lol|so|hey|pls|plz|im|dont|cant|thats|i)(\s|[,.?!]|$)|\s[,?]|\.\.|--/i;
+
+/**
+ * Split text into paragraphs separated by blank lines
+ * @param {string} text - Raw transcript
+ * @returns {Array<Object>} Paragraphs as { lines, blankAfter }
+ */
+function splitParagraphs(text) {
+  const paragraphs = [];
+  let current = null;
+
+  text.replace(/\r\n/g, '\n').split('\n').forEach(line => {
+    if (!line.trim()) {
+      if (current) current.blankAfter++;
+      return;
+    }
+
+    if (!current || current.blankAfter > 0) {
+      current = { lines: [], blankAfter: 0 };
+      paragraphs.push(current);
+    }
+    current.lines.push(line.replace(/\s+$/, ''));
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Score how much a line reads like something a person typed as a prompt
+ * Positive scores lean user, negative scores lean agent
+ * @param {string} line - The line to score
+ * @returns {number} Score
+ */
+function scoreUserLine(line) {
+  const text = line.trim();
+  let score = 0;
+
+  // Prompts are often typed without capitals; answers almost never start lowercase
+  if (/^[a-z]/.test(text)) score += 2;
+  if (/^[A-Z]/.test(text)) score -= 1;
+
+  if (CASUAL_MARKERS.test(text)) score += 1;
+
+  // Answers end sentences properly; prompts trail off or end with a question
+  if (/[.:]$/.test(text) && !/\.\.$/.test(text)) score -= 1;
+  if (/\?\s*$/.test(text) || /[a-z0-9)]\s*$/i.test(text)) score += 1;
+
+  // Lists, headings and code are answer furniture
+  if (/^(\s*[-*•]\s|\s*\d+\.\s|#{1,6}\s|```)/.test(line)) score -= 2;
+
+  if (text.length > 600) score -= 1;
+
+  return score;
+}
+
+/**
+ * Detect turns in a transcript
+ *
+ * The paste keeps no markers, so turns are inferred from the shape of the text:
+ * - a paragraph whose opening line reads like a typed prompt starts a user turn
+ * - a prompt glued to the end of an answer (no blank line before it, one after) is split off
+ * - two or more blank lines close an agent turn, so the next paragraph is the user's
+ *
+ * @param {string} text - Raw transcript
+ * @returns {Array<Object>} Turns as { speaker, paragraphs: [string] }
+ */
+function segmentTranscript(text) {
+  const paragraphs = [];
+
+  // Split prompts off the end of answer paragraphs
+  splitParagraphs(text).forEach(paragraph => {
+    const lines = paragraph.lines;
+    const last = lines[lines.length - 1];
+
+    if (lines.length > 1 && paragraph.blankAfter > 0 && scoreUserLine(last) >= 3 && scoreUserLine(lines[0]) < 2) {
+      paragraphs.push({ lines: lines.slice(0, -1), blankAfter: 0 });
+      paragraphs.push({ lines: [last], blankAfter: paragraph.blankAfter, glued: true });
+    } else {
+      paragraphs.push(paragraph);
+    }
+  });
+
+  const turns = [];
+  paragraphs.forEach((paragraph, index) => {
+    const previous = paragraphs[index - 1];
+    let speaker;
+
+    if (index === 0 || paragraph.glued || (previous && previous.blankAfter >= 2)) {
+      // Openings, split-off prompts and paragraphs after an answer's closing gap
+      speaker = 'user';
+    } else {
+      const score = scoreUserLine(paragraph.lines[0]);
+      const lastTurn = turns[turns.length - 1];
+
+      // A user turn continues through short follow-ups and pasted snippets until something reads like an answer
+      if (lastTurn.speaker === 'user') {
+        const pasted = /^([{[(<]|\s{2,})/.test(paragraph.lines[0]);
+        const followUp = score >= 0 && paragraph.lines.length <= 3;
+        speaker = previous.blankAfter === 1 && (pasted || followUp || score >= 3) ? 'user' : 'agent';
+      } else {
+        speaker = score >= 3 ? 'user' : 'agent';
+      }
+    }
+
+    const content = paragraph.lines.join('\n');
+    const lastTurn = turns[turns.length - 1];
+    if (lastTurn && lastTurn.speaker === speaker) {
+      lastTurn.paragraphs.push(content);
+    } else {
+      turns.push({ speaker, paragraphs: [content] });
+    }
+  });
+
+  return turns;
+}
+
+/**
+ * Merge neighbouring turns that ended up with the same speaker
+ * @param {Array<Object>} turns - Turns to normalize in place
+ */
+function mergeSameSpeaker(turns) {
+  for (let i = turns.length - 1; i > 0; i--) {
+    if (turns[i].speaker === turns[i - 1].speaker) {
+      turns[i - 1].paragraphs.push(...turns[i].paragraphs);
+      turns.splice(i, 1);
+    }
+  }
+}
+
+/**
+ * Step through the turns on the terminal so mis-split turns can be fixed by hand
+ * @param {Array<Object>} turns - Detected turns, edited in place
+ * @returns {Promise<boolean>} False if the review was abandoned
+ */
+async function reviewTurns(turns) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  // Input that ends before the review does (Ctrl+D, a closed pipe) answers null
+  let closed = false;
+  let pendingAnswer = null;
+  rl.on('close', () => {
+    closed = true;
+    if (pendingAnswer) pendingAnswer(null);
+  });
+  const ask = question => new Promise(resolve => {
+    if (closed) return resolve(null);
+    pendingAnswer = resolve;
+    rl.question(question, answer => {
+      pendingAnswer = null;
+      resolve(answer);
+    });
+  });
+
+  console.log('\nReview turns. Commands:');
+  console.log('  Enter   accept and move on          s       swap the speaker of this turn');
+  console.log('  m       merge into the previous turn  p <n>   split before paragraph n');
+  console.log('  b       go back one turn            a       accept all remaining turns');
+  console.log('  q       abandon without writing\n');
+
+  let index = 0;
+  let abandoned = false;
+
+  while (index < turns.length) {
+    const turn = turns[index];
+    console.log(`\n[${index + 1}/${turns.length}] << ${turn.speaker.toUpperCase()} >>`);
+    turn.paragraphs.forEach((paragraph, paragraphIndex) => {
+      const preview = paragraph.split('\n')[0];
+      const more = paragraph.includes('\n') ? ` (+${paragraph.split('\n').length - 1} lines)` : '';
+      console.log(`  ${paragraphIndex + 1}. ${preview.length > 100 ? preview.slice(0, 97) + '...' : preview}${more}`);
+    });
+
+    const reply = await ask('> ');
+    if (reply === null) {
+      console.log('\nInput ended, so the remaining turns are accepted as detected');
+      break;
+    }
+
+    const [command, argument] = reply.trim().toLowerCase().split(/\s+/);
+
+    if (!command) {
+      index++;
+    } else if (command === 's') {
+      turn.speaker = turn.speaker === 'user' ? 'agent' : 'user';
+    } else if (command === 'm' && index > 0) {
+      turns[index - 1].paragraphs.push(...turn.paragraphs);
+      turns.splice(index, 1);
+      index--;
+    } else if (command === 'p') {
+      const splitAt = parseInt(argument, 10) - 1;
+      if (splitAt > 0 && splitAt < turn.paragraphs.length) {
+        const rest = turn.paragraphs.splice(splitAt);
+        turns.splice(index + 1, 0, { speaker: turn.speaker === 'user' ? 'agent' : 'user', paragraphs: rest });
+      } else {
+        console.log(`  Paragraph must be between 2 and ${turn.paragraphs.length}`);
+      }
+    } else if (command === 'b') {
+      index = Math.max(0, index - 1);
+    } else if (command === 'a') {
+      break;
+    } else if (command === 'q') {
+      abandoned = true;
+      break;
+    } else {
+      console.log('  Unknown command');
+    }
+  }
+
+  rl.close();
+  mergeSameSpeaker(turns);
+  return !abandoned;
+}
+
+async function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2), ['output', 'title']);
+  const transcriptPath = positional[0];
+
+  if (!transcriptPath) {
+    console.error('Usage: node scripts/import-transcript.js <transcript.txt> [--review] [--output file.md] [--title text] [--dry-run]');
+    process.exit(1);
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(transcriptPath, 'utf8');
+  } catch (error) {
+    console.error(`Could not read ${transcriptPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const turns = segmentTranscript(text);
+  const userTurns = turns.filter(turn => turn.speaker === 'user').length;
+  console.log(`Detected ${turns.length} turns (${userTurns} user, ${turns.length - userTurns} agent)`);
+
+  if (flags.review && !(await reviewTurns(turns))) {
+    console.log('Review abandoned, nothing written');
+    return;
+  }
+
+  if (flags['dry-run']) {
+    turns.forEach((turn, index) => {
+      const preview = turn.paragraphs[0].split('\n')[0];
+      console.log(`${String(index + 1).padStart(3)} ${turn.speaker.padEnd(5)} ${preview.length > 90 ? preview.slice(0, 87) + '...' : preview}`);
+    });
+    return;
+  }
+
+  // Write next to the transcript: 2025.04.15._.txt becomes the next 2025.04.15.<Letter>.md
+  let outputPath = typeof flags.output === 'string' ? flags.output : null;
+  const folderPath = path.dirname(transcriptPath);
+  const baseName = path.basename(transcriptPath).replace(/(\._)?\.txt$/, '');
+  if (!outputPath) {
+    outputPath = path.join(folderPath, nextConversationFileName(folderPath, baseName));
+  }
+
+  const opening = turns.find(turn => turn.speaker === 'user');
+  const openingLine = opening ? opening.paragraphs[0].split('\n')[0].trim() : baseName;
+  const title = typeof flags.title === 'string'
+    ? flags.title
+    : (openingLine.length > 60 ? openingLine.slice(0, 57).trim() + '...' : openingLine);
+
+  const metadata = { title, draft: true };
+  const dateMatch = baseName.match(/^(\d{4})\.(\d{2})\.(\d{2})/);
+  if (dateMatch) metadata.date = `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`;
+
+  const markdown = renderConversation({
+    metadata,
+    messages: turns.map(turn => ({ speaker: turn.speaker, content: turn.paragraphs.join('\n\n') }))
+  });
+
+  fs.writeFileSync(outputPath, markdown);
+  console.log(`Wrote ${outputPath} as a draft. Edit it, then remove \`draft: true\` and run \`node scripts/update-api.js\``);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Error importing transcript:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { segmentTranscript, scoreUserLine };
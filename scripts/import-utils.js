@@ -0,0 +1,238 @@
+/**
+ * Import Utilities
+ * Shared helpers for the importers that turn chat exports into Dialog conversation files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const frontMatter = require('./front-matter.js');
+const chatAst = require('./chat-ast.js');
+
+/**
+ * Parse command line arguments into positional values and --flags
+ * `--flag value` and `--flag=value` set a string; a bare `--flag` sets true
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Array<string>} valueFlags - Flags that take a value
+ * @returns {Object} Object with positional array and flags map
+ */
+function parseArgs(argv, valueFlags = []) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (valueFlags.includes(name) && i + 1 < argv.length) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { positional, flags };
+}
+
+/**
+ * Format a date as the YYYY.MM.DD folder name used under content/
+ * @param {Date} date - The date to format (local time)
+ * @returns {string} Folder name
+ */
+function formatDateFolder(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+}
+
+/**
+ * Format a date as the YYYY-MM-DD value used in front matter
+ * @param {Date} date - The date to format (local time)
+ * @returns {string} ISO calendar date
+ */
+function formatFrontMatterDate(date) {
+  return formatDateFolder(date).replace(/\./g, '-');
+}
+
+/**
+ * Convert a letter suffix (A, B, ... Z, AA, AB) to a number and back
+ */
+function letterToIndex(letters) {
+  return letters.split('').reduce((total, char) => total * 26 + (char.charCodeAt(0) - 64), 0);
+}
+
+function indexToLetter(index) {
+  let letters = '';
+  while (index > 0) {
+    const remainder = (index - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    index = Math.floor((index - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Find the next free YYYY.MM.DD.<Letter>.md name in a date folder
+ * @param {string} folderPath - Path to the date folder
+ * @param {string} folderName - The YYYY.MM.DD folder name
+ * @param {Set<string>} reserved - Names already claimed in this run
+ * @returns {string} File name such as 2025.04.15.C.md
+ */
+function nextConversationFileName(folderPath, folderName, reserved = new Set()) {
+  const existing = fs.existsSync(folderPath) ? fs.readdirSync(folderPath) : [];
+  const pattern = new RegExp(`^${folderName.replace(/\./g, '\\.')}\\.([A-Z]+)\\.md$`);
+
+  let highest = 0;
+  [...existing, ...reserved].forEach(name => {
+    const match = name.match(pattern);
+    if (match) {
+      highest = Math.max(highest, letterToIndex(match[1]));
+    }
+  });
+
+  return `${folderName}.${indexToLetter(highest + 1)}.md`;
+}
+
+/**
+ * Make message text safe to place under a speaker tag
+ *
+ * Outside fenced code, lines that open with << would start a new message and
+ * markdown headings would start a new section, so tags are escaped and headings
+ * are demoted to bold text unless keepHeadings is set. A dash line under a line of
+ * text would make it a setext heading, so its first dash is escaped as well.
+ *
+ * @param {string} text - Message markdown
+ * @param {Object} options - { keepHeadings }
+ * @returns {string} Escaped markdown
+ */
+function escapeMessageContent(text, options = {}) {
+  const readFence = chatAst.createFenceReader();
+  let afterText = false;
+
+  return text.split('\n').map(line => {
+    const trimmed = line.trim();
+    const previousText = afterText;
+    afterText = Boolean(trimmed);
+
+    if (readFence(line)) return line;
+
+    if (trimmed.startsWith('<<')) {
+      return line.replace('<<', '\\<<');
+    }
+
+    const headingMatch = trimmed.match(/^#{1,6}\s+(.+?)\s*#*$/);
+    if (headingMatch && !options.keepHeadings) {
+      return `**${headingMatch[1]}**`;
+    }
+
+    if (previousText && /^-{2,}$/.test(trimmed) && !options.keepHeadings) {
+      return line.replace('-', '\\-');
+    }
+
+    return line;
+  }).join('\n');
+}
+
+/**
+ * Format an ISO timestamp for a speaker tag, in UTC to the second
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Tag time such as 2025-04-15 16:53:21Z
+ */
+function formatTagTime(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Render a conversation as Dialog markdown
+ * @param {Object} conversation - { metadata, messages: [{ speaker, content, timestamp }] }
+ * @param {Object} options - { keepHeadings }
+ * @returns {string} Markdown with front matter and speaker tags
+ */
+function renderConversation(conversation, options = {}) {
+  const blocks = conversation.messages.map(message => {
+    // Timestamps go in the speaker tag: << USER @ 2025-04-15 16:53:21Z >>
+    const time = message.timestamp ? ` @ ${formatTagTime(message.timestamp)}` : '';
+    const lines = [`<< ${message.speaker.toUpperCase()}${time} >>`];
+
+    lines.push(escapeMessageContent(message.content.trim(), options));
+    return lines.join('\n');
+  });
+
+  return `${frontMatter.stringify(conversation.metadata)}\n${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Collect the source ids of conversations that were imported before
+ * @param {string} contentDir - The content directory
+ * @returns {Set<string>} Source ids found in front matter
+ */
+function findImportedSourceIds(contentDir) {
+  const ids = new Set();
+  if (!fs.existsSync(contentDir)) return ids;
+
+  const scan = dir => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        scan(fullPath);
+      } else if (entry.name.endsWith('.md')) {
+        const { data } = frontMatter.parse(fs.readFileSync(fullPath, 'utf8'));
+        if (data.source_id) ids.add(String(data.source_id));
+      }
+    });
+  };
+
+  scan(contentDir);
+  return ids;
+}
+
+/**
+ * Write imported conversations into dated folders
+ * @param {Array<Object>} conversations - Each { date: Date, metadata, messages }
+ * @param {Object} options - { contentDir, dryRun, keepHeadings }
+ * @returns {Array<string>} Paths that were (or would be) written
+ */
+function writeConversations(conversations, options = {}) {
+  const contentDir = options.contentDir || 'content';
+  const reservedByFolder = new Map();
+  const written = [];
+
+  conversations.forEach(conversation => {
+    const folderName = formatDateFolder(conversation.date);
+    const folderPath = path.join(contentDir, folderName);
+
+    if (!reservedByFolder.has(folderName)) {
+      reservedByFolder.set(folderName, new Set());
+    }
+    const reserved = reservedByFolder.get(folderName);
+
+    const fileName = nextConversationFileName(folderPath, folderName, reserved);
+    reserved.add(fileName);
+
+    const filePath = path.join(folderPath, fileName);
+    if (!options.dryRun) {
+      fs.mkdirSync(folderPath, { recursive: true });
+      fs.writeFileSync(filePath, renderConversation(conversation, options));
+    }
+
+    written.push(filePath);
+  });
+
+  return written;
+}
+
+module.exports = {
+  parseArgs,
+  formatDateFolder,
+  formatFrontMatterDate,
+  nextConversationFileName,
+  escapeMessageContent,
+  formatTagTime,
+  renderConversation,
+  findImportedSourceIds,
+  writeConversations
+};
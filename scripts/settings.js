@@ -19,7 +19,21 @@ const DEFAULT_SETTINGS = {
       wordsPerMinute: 300,
       minReadTime: 300,
       maxReadTime: 3000,
-      variancePercentage: 20
+      variancePercentage: 20,
+      gapScale: 0,
+      maxGapDelay: 5000
+    },
+    timestamps: {
+      enabled: true,
+      style: "absolute",
+      minGapSeconds: 60
+    },
+    toolCards: {
+      revealDelay: 250
+    },
+    reasoning: {
+      expanded: false,
+      typingWeight: 0
     },
     timeEffects: {
       transitionDelay: 0.5,
@@ -54,7 +68,9 @@ const DEFAULT_SETTINGS = {
         fontSize: 0.95           // Font size scales very gently
       }
     }
-  }
+  },
+  // Speaker roster: speaker tag -> { name, icon, color, side }
+  speakers: {}
 };
 
 // Global settings object
@@ -325,6 +341,42 @@ function setupSettingsPanel() {
         
         <label for="read-variance">Reading Variance (%):</label>
         <input type="number" id="read-variance" min="0" max="50" step="5">
+        
+        <label for="read-gap-scale">Pause per Minute Between Timestamps (ms):</label>
+        <input type="number" id="read-gap-scale" min="0" max="1000" step="10">
+      </div>
+      
+      <div class="setting-group">
+        <h4>Timestamps</h4>
+        <div>
+          <label>
+            <input type="checkbox" id="timestamps-enabled">
+            <span>Show message times</span>
+          </label>
+        </div>
+        <label for="timestamps-style">Show times as:</label>
+        <select id="timestamps-style" class="settings-select">
+          <option value="absolute">Clock times</option>
+          <option value="relative">Gaps since the previous message</option>
+        </select>
+      </div>
+      
+      <div class="setting-group">
+        <h4>Tool Cards</h4>
+        <label for="tool-reveal-delay">Pause Before a Tool Card (ms):</label>
+        <input type="number" id="tool-reveal-delay" min="0" max="3000" step="50">
+      </div>
+      
+      <div class="setting-group">
+        <h4>Reasoning</h4>
+        <div>
+          <label>
+            <input type="checkbox" id="reasoning-expanded">
+            <span>Show reasoning expanded</span>
+          </label>
+        </div>
+        <label for="reasoning-typing-weight">Typing Time for Reasoning (%):</label>
+        <input type="number" id="reasoning-typing-weight" min="0" max="100" step="5">
       </div>
       
       <div class="setting-group">
@@ -452,6 +504,18 @@ function populateSettingsPanel() {
   panel.querySelector('#min-read-time').value = readDelay.minReadTime;
   panel.querySelector('#max-read-time').value = readDelay.maxReadTime;
   panel.querySelector('#read-variance').value = readDelay.variancePercentage;
+  panel.querySelector('#read-gap-scale').value = readDelay.gapScale;
+  
+  // Timestamp settings
+  panel.querySelector('#timestamps-enabled').checked = appSettings.chat.timestamps.enabled;
+  panel.querySelector('#timestamps-style').value = appSettings.chat.timestamps.style;
+  
+  // Tool card settings
+  panel.querySelector('#tool-reveal-delay').value = appSettings.chat.toolCards.revealDelay;
+  
+  // Reasoning settings
+  panel.querySelector('#reasoning-expanded').checked = appSettings.chat.reasoning.expanded;
+  panel.querySelector('#reasoning-typing-weight').value = Math.round(appSettings.chat.reasoning.typingWeight * 100);
   
   // Logging settings
   panel.querySelector('#logging-mode').value = appSettings.logging.mode;
@@ -490,6 +554,18 @@ function saveSettingsFromPanel() {
   newSettings.chat.readDelay.minReadTime = parseInt(panel.querySelector('#min-read-time').value);
   newSettings.chat.readDelay.maxReadTime = parseInt(panel.querySelector('#max-read-time').value);
   newSettings.chat.readDelay.variancePercentage = parseInt(panel.querySelector('#read-variance').value);
+  newSettings.chat.readDelay.gapScale = parseInt(panel.querySelector('#read-gap-scale').value) || 0;
+  
+  // Timestamp settings
+  newSettings.chat.timestamps.enabled = panel.querySelector('#timestamps-enabled').checked;
+  newSettings.chat.timestamps.style = panel.querySelector('#timestamps-style').value;
+  
+  // Tool card settings
+  newSettings.chat.toolCards.revealDelay = parseInt(panel.querySelector('#tool-reveal-delay').value) || 0;
+  
+  // Reasoning settings
+  newSettings.chat.reasoning.expanded = panel.querySelector('#reasoning-expanded').checked;
+  newSettings.chat.reasoning.typingWeight = (parseInt(panel.querySelector('#reasoning-typing-weight').value) || 0) / 100;
   
   // Logging settings
   newSettings.logging.mode = panel.querySelector('#logging-mode').value;
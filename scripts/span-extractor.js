@@ -41,16 +41,18 @@ const spanExtractor = (function() {
         };
       }
       
+      // Parse with the shared conversation AST so spans follow the same sections the viewer shows
       const markdown = await response.text();
       debug(`Markdown loaded: ${markdown.length} chars`);
+      const ast = window.chatAst.parse(markdown);
       
       // Extract hierarchical sections with their spans
-      const tree = extractHierarchicalSections(markdown);
+      const tree = extractHierarchicalSections(ast);
       
       // For backward compatibility, also extract global spans
-      const lines = markdown.split('\n');
-      const wikilinks = extractWikilinks(markdown);
-      const backticks = extractBackticks(lines);
+      const allContent = window.chatAst.getMessages(ast).map(window.chatAst.getMessageText).join('\n');
+      const wikilinks = extractWikilinks(allContent);
+      const backticks = extractBackticks(allContent.split('\n'));
       const wikilinksCount = countOccurrences(wikilinks);
       const backticksCount = countOccurrences(backticks);
       
@@ -87,179 +89,34 @@ const spanExtractor = (function() {
   
   /**
    * Extract hierarchical sections with their spans
-   * @param {string} markdown - Markdown content
+   * @param {Object} ast - Conversation AST from window.chatAst.parse
    * @returns {Object} Root node of section tree with spans
    */
-  function extractHierarchicalSections(markdown) {
-    debug(`Parsing ${markdown.length} chars of markdown`);
-    
-    // Create root node
-    const root = {
-      id: 'root',
-      level: 0,
-      text: 'Root',
-      wikilinks: [],
-      backticks: [],
-      content: '',
-      children: [],
-      parent: null,
-      lineStart: 0,
-      lineEnd: -1 // Will be set later
-    };
-    
-    // Find all headers using the same regex as app.js (match headers with multi-line flag)
-    const headers = [];
-    const headerRegex = /^(#{2,4})\s+(.+)$/gm;
-    const lines = markdown.split('\n');
-    
-    let match;
-    while ((match = headerRegex.exec(markdown)) !== null) {
-      // Calculate line number from character index
-      const lineNumber = markdown.substring(0, match.index).split('\n').length - 1;
-      
-      headers.push({
-        level: match[1].length, // Number of # symbols
-        text: match[2].trim(),
-        lineNumber: lineNumber
-      });
-      
-      debug(`Found header: Level ${match[1].length}, text: "${match[2].trim()}", line: ${lineNumber}`);
-    }
-    
-    debug(`Found ${headers.length} headers`);
-    
-    // If no headers, just process the root
-    if (headers.length === 0) {
-      debug(`No headers found, processing entire content as root`);
-      root.lineEnd = lines.length - 1;
-      processContent(root, lines, 0, lines.length - 1);
-      return root;
-    }
+  function extractHierarchicalSections(ast) {
+    debug(`Building span tree from ${ast.sections.length} sections`);
     
-    // Convert headers to nodes with proper hierarchy
-    const nodes = [];
-    let currentParent = root;
-    const parentStack = [root];
-    
-    // Create all header nodes first
-    for (let i = 0; i < headers.length; i++) {
-      const header = headers[i];
-      
-      debug(`Processing header: ${header.text} (level ${header.level})`);
-      
-      // Create node for this header
+    // Mirror the AST sections, counting spans only in each section's own messages
+    function buildNode(section, parent) {
+      const content = section.messages.map(window.chatAst.getMessageText).join('\n');
       const node = {
-        id: `header-${i}`,
-        level: header.level,
-        text: header.text,
-        lineNumber: header.lineNumber,
-        wikilinks: [],
-        backticks: [],
-        content: '',
+        id: section.id,
+        level: section.level,
+        text: section.id === 'root' ? 'Root' : section.text,
+        lineNumber: section.line,
+        wikilinks: countOccurrences(extractWikilinks(content)),
+        backticks: countOccurrences(extractBackticks(content.split('\n'))),
+        content: content,
         children: [],
-        parent: null
+        parent: parent
       };
       
-      // Find correct parent by adjusting stack
-      while (parentStack.length > 1 && parentStack[parentStack.length - 1].level >= node.level) {
-        parentStack.pop();
-      }
-      
-      // Get parent from top of stack
-      const parent = parentStack[parentStack.length - 1];
-      node.parent = parent;
-      parent.children.push(node);
-      
-      // Add this node to the stack as potential parent for future nodes
-      parentStack.push(node);
-      nodes.push(node);
+      debug(`Section "${node.text}" - found ${node.wikilinks.length} wikilinks, ${node.backticks.length} code spans`);
       
-      debug(`Assigned parent: ${parent.text || 'root'}, level ${parent.level}`);
+      node.children = section.children.map(child => buildNode(child, node));
+      return node;
     }
     
-    // Calculate content ranges for each node
-    debug(`Calculating content ranges for ${nodes.length} nodes`);
-    
-    for (let i = 0; i < nodes.length; i++) {
-      const node = nodes[i];
-      const startLine = node.lineNumber; // Header line
-      
-      // End is either the next header at same or higher level, or the end of document
-      let endLine = lines.length - 1;
-      
-      // Find next sibling or higher header
-      for (let j = i + 1; j < nodes.length; j++) {
-        const nextNode = nodes[j];
-        
-        // If we find a header at same or higher level, that's our boundary
-        if (nextNode.level <= node.level) {
-          endLine = nextNode.lineNumber - 1;
-          break;
-        }
-      }
-      
-      node.lineStart = startLine;
-      node.lineEnd = endLine;
-      
-      debug(`Node "${node.text}" range: lines ${startLine} to ${endLine}`);
-    }
-    
-    // Now extract content and spans from each node
-    debug('Extracting content and spans from each node');
-    
-    // NEW: Track which lines have already been processed to avoid double-counting
-    const processedLines = new Set();
-    
-    // Start with leaf nodes (bottom-up)
-    const leafNodes = nodes.filter(node => node.children.length === 0);
-    debug(`Processing ${leafNodes.length} leaf nodes`);
-    
-    leafNodes.forEach(node => {
-      processContent(node, lines, node.lineStart + 1, node.lineEnd, processedLines);
-      debug(`Processed leaf node: "${node.text}" - found ${node.wikilinks.length} wikilinks, ${node.backticks.length} code spans`);
-    });
-    
-    // Now process non-leaf nodes, excluding content from their children
-    const nonLeafNodes = nodes.filter(node => node.children.length > 0);
-    debug(`Processing ${nonLeafNodes.length} non-leaf nodes`);
-    
-    // Sort by depth descending (process deepest nodes first)
-    nonLeafNodes.sort((a, b) => b.level - a.level);
-    
-    nonLeafNodes.forEach(node => {
-      // Process content between the header and the first child
-      let currentLine = node.lineStart + 1;
-      
-      // Sort children by line number
-      const sortedChildren = [...node.children].sort((a, b) => a.lineStart - b.lineStart);
-      
-      // Process content before each child
-      for (const child of sortedChildren) {
-        if (currentLine < child.lineStart) {
-          debug(`Node "${node.text}" - Processing content from line ${currentLine} to ${child.lineStart - 1}`);
-          processContentRange(node, lines, currentLine, child.lineStart - 1, processedLines);
-        }
-        currentLine = child.lineEnd + 1;
-      }
-      
-      // Process content after the last child
-      if (currentLine <= node.lineEnd) {
-        debug(`Node "${node.text}" - Processing content from line ${currentLine} to ${node.lineEnd}`);
-        processContentRange(node, lines, currentLine, node.lineEnd, processedLines);
-      }
-      
-      debug(`Processed non-leaf node: "${node.text}" - found ${node.wikilinks.length} wikilinks, ${node.backticks.length} code spans`);
-    });
-    
-    // Finally process root content (before first header)
-    if (headers.length > 0) {
-      const firstHeaderLine = headers[0].lineNumber;
-      if (firstHeaderLine > 0) {
-        debug(`Processing root content from line 0 to ${firstHeaderLine - 1}`);
-        root.lineEnd = firstHeaderLine - 1;
-        processContent(root, lines, 0, firstHeaderLine - 1, processedLines);
-      }
-    }
+    const root = buildNode(ast.root, null);
     
     // Print debug info about what was found in each section
     if (DEBUG) {
@@ -285,194 +142,14 @@ const spanExtractor = (function() {
     }
   }
   
-  /**
-   * Process content for a specific range of lines
-   * @param {Object} node - Section node
-   * @param {Array} lines - All lines in document
-   * @param {number} startLine - Start line for this section
-   * @param {number} endLine - End line for this section
-   * @param {Set} processedLines - Set of line numbers that have already been processed
-   */
-  function processContentRange(node, lines, startLine, endLine, processedLines = new Set()) {
-    if (startLine <= endLine) {
-      // Add these lines to the node's content, excluding speaker marker lines
-      for (let i = startLine; i <= endLine; i++) {
-        const line = lines[i];
-        
-        // Special handling for speaker marker lines
-        if ((line.includes('<<') && line.includes('>>')) || 
-            (line.includes('[[') && line.includes(']]')) ||
-            (line.includes('<!--') && line.includes('-->'))) {
-          debug(`Speaker marker line ${i}: ${line.substring(0, 30)}...`);
-          
-          // Before skipping, extract any wikilinks in this line
-          // But only if this line hasn't been processed yet
-          if (!processedLines.has(i)) {
-            const speakerWikiRegex = /\[\[([^\]\|]+)(?:\|[^\]]+)?\]\]/g;
-            let speakerWikiMatch;
-            while ((speakerWikiMatch = speakerWikiRegex.exec(line)) !== null) {
-              const link = speakerWikiMatch[1].trim();
-              debug(`Found wikilink in speaker line "${node.text || 'root'}": [[${link}]] at line ${i}`);
-              node.wikilinks.push(link);
-            }
-            
-            // Mark this line as processed
-            processedLines.add(i);
-          }
-          
-          continue;
-        }
-        
-        node.content += line + '\n';
-      }
-      
-      // Extract spans from these lines
-      extractSpansFromLines(node, lines, startLine, endLine, processedLines);
-    }
-  }
-  
-  /**
-   * Process content for a node
-   * @param {Object} node - Section node
-   * @param {Array} lines - All lines in document
-   * @param {number} startLine - Start line for this section
-   * @param {number} endLine - End line for this section
-   * @param {Set} processedLines - Set of line numbers that have already been processed
-   */
-  function processContent(node, lines, startLine, endLine, processedLines = new Set()) {
-    // Add these lines to the node's content, excluding speaker marker lines
-    for (let i = startLine; i <= endLine; i++) {
-      const line = lines[i];
-      
-      // Special handling for speaker marker lines
-      if ((line.includes('<<') && line.includes('>>')) || 
-          (line.includes('[[') && line.includes(']]')) ||
-          (line.includes('<!--') && line.includes('-->'))) {
-        debug(`Speaker marker line ${i}: ${line.substring(0, 30)}...`);
-        
-        // Before skipping, extract any wikilinks in this line
-        // But only if this line hasn't been processed yet
-        if (!processedLines.has(i)) {
-          const speakerWikiRegex = /\[\[([^\]\|]+)(?:\|[^\]]+)?\]\]/g;
-          let speakerWikiMatch;
-          while ((speakerWikiMatch = speakerWikiRegex.exec(line)) !== null) {
-            const link = speakerWikiMatch[1].trim();
-            debug(`Found wikilink in speaker line "${node.text || 'root'}": [[${link}]] at line ${i}`);
-            node.wikilinks.push(link);
-          }
-          
-          // Mark this line as processed
-          processedLines.add(i);
-        }
-        
-        continue;
-      }
-      
-      node.content += line + '\n';
-    }
-    
-    // Extract spans from these lines
-    extractSpansFromLines(node, lines, startLine, endLine, processedLines);
-    
-    // Count and sort spans
-    node.wikilinks = countOccurrences(node.wikilinks);
-    node.backticks = countOccurrences(node.backticks);
-  }
-  
-  /**
-   * Extract spans from a range of lines
-   * @param {Object} node - Section node
-   * @param {Array} lines - All lines in document
-   * @param {number} startLine - Start line for this range
-   * @param {number} endLine - End line for this range
-   * @param {Set} processedLines - Set of line numbers that have already been processed
-   */
-  function extractSpansFromLines(node, lines, startLine, endLine, processedLines = new Set()) {
-    let inCodeBlock = false;
-    let spanCount = 0;
-    
-    // Process each line in range
-    for (let i = startLine; i <= endLine; i++) {
-      const line = lines[i];
-      
-      // Special handling for speaker marker lines
-      if ((line.includes('<<') && line.includes('>>')) || 
-          (line.includes('[[') && line.includes(']]')) ||
-          (line.includes('<!--') && line.includes('-->'))) {
-        debug(`Speaker marker line ${i}: ${line.substring(0, 30)}...`);
-        
-        // Before skipping, extract any wikilinks in this line
-        // But only if this line hasn't been processed yet
-        if (!processedLines.has(i)) {
-          const speakerWikiRegex = /\[\[([^\]\|]+)(?:\|[^\]]+)?\]\]/g;
-          let speakerWikiMatch;
-          while ((speakerWikiMatch = speakerWikiRegex.exec(line)) !== null) {
-            const link = speakerWikiMatch[1].trim();
-            debug(`Found wikilink in speaker line "${node.text || 'root'}": [[${link}]] at line ${i}`);
-            node.wikilinks.push(link);
-            spanCount++;
-          }
-          
-          // Mark this line as processed
-          processedLines.add(i);
-        }
-        
-        continue;
-      }
-      
-      // Check for code fence markers
-      if (line.trim().startsWith('```') || line.trim().startsWith('~~~')) {
-        inCodeBlock = !inCodeBlock;
-        continue;
-      }
-      
-      // Skip extracting spans inside code blocks
-      if (inCodeBlock) continue;
-      
-      // Extract wikilinks from this line - more comprehensive regex to catch all formats
-      // This handles [[term]] and also catches terms within speaker lines like <<user>> Does electron have its own [[interface]]
-      const wikiRegex = /\[\[([^\]\|]+)(?:\|[^\]]+)?\]\]/g;
-      let wikiMatch;
-      while ((wikiMatch = wikiRegex.exec(line)) !== null) {
-        const link = wikiMatch[1].trim();
-        debug(`Found wikilink in "${node.text || 'root'}": [[${link}]] at line ${i}`);
-        node.wikilinks.push(link);
-        spanCount++;
-      }
-      
-      // Extract backticked spans from this line
-      const codeRegex = /`([^`]+)`/g;
-      let codeMatch;
-      while ((codeMatch = codeRegex.exec(line)) !== null) {
-        const content = codeMatch[1].trim();
-        if (content.length > 1) {
-          debug(`Found code span in "${node.text || 'root'}": \`${content}\` at line ${i}`);
-          node.backticks.push(content);
-          spanCount++;
-        }
-      }
-    }
-    
-    if (spanCount > 0) {
-      debug(`Extracted ${spanCount} spans from lines ${startLine}-${endLine} for node "${node.text || 'root'}"`);
-    }
-  }
-  
   /**
    * Extract wikilinks from markdown text
    * @param {string} markdown - Markdown content
    * @returns {Array} Array of wikilinks
    */
   function extractWikilinks(markdown) {
-    const wikiRegex = /\[\[([^\]\|]+)(?:\|[^\]]+)?\]\]/g;
-    const wikilinks = [];
-    let wikiMatch;
-    
-    while ((wikiMatch = wikiRegex.exec(markdown)) !== null) {
-      wikilinks.push(wikiMatch[1].trim());
-    }
-    
-    return wikilinks;
+    // Shared with update-api.js, which builds the wiki index the same way
+    return window.chatAst.extractWikilinks(markdown);
   }
   
   /**
@@ -650,8 +327,16 @@ const spanExtractor = (function() {
     
     // Create spans in the unified container
     allSpans.forEach(span => {
-      const spanElement = document.createElement('span');
+      // Wiki tags link to the term's wiki page
+      const spanElement = document.createElement(span.type === 'wiki' ? 'a' : 'span');
       spanElement.className = `directory-tag ${span.type === 'wiki' ? 'wiki-tag' : 'code-tag'}`;
+      if (span.type === 'wiki') {
+        const slug = window.chatAst.getWikiSlug(span.text);
+        spanElement.href = `index.html?wiki=${encodeURIComponent(slug)}`;
+        spanElement.setAttribute('data-wiki', slug);
+        // Keep the section's own click handler from opening the conversation instead
+        spanElement.addEventListener('click', event => event.stopPropagation());
+      }
       
       // Include the count in the text content with a delimiter
       if (span.count > 1 && showCounts) {
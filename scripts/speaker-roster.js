@@ -0,0 +1,158 @@
+/**
+ * Speaker Roster
+ * Merges the speaker rosters from settings.json and front matter and applies the speaker
+ * rules built on them: icons, display names and default sides.
+ * Shared between the browser (window.speakerRoster) and Node export scripts (require), so the
+ * viewer, the EPUB export and the dataset export show every speaker the same way.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./chat-ast.js'));
+  } else {
+    root.speakerRoster = factory(root.chatAst);
+  }
+})(typeof self !== 'undefined' ? self : this, function(chatAst) {
+  // Icons with rules in styles/shared-icon-styles.css
+  const SYSTEM_ICONS = [
+    'User_A', 'User_B', 'User_C', 'User_D', 'User_E',
+    'User_F', 'User_G', 'User_H', 'User_I', 'User_J',
+    'Agent_A', 'Agent_B', 'Agent_C', 'Agent_D'
+  ];
+
+  // Speakers shown as the agent side of a conversation
+  const AGENT_SPEAKERS = ['agent', 'assistant', 'test'];
+
+  // Words a roster side can use instead of a layout value
+  const SIDE_ALIASES = { left: 'L', right: 'R', center: 'C', centre: 'C', wide: 'W' };
+
+  /**
+   * Normalize a roster key the same way extractSpeaker normalizes speaker tags
+   * @param {string} name - Speaker name as written by the author
+   * @returns {string} Normalized speaker key
+   */
+  function normalizeSpeakerKey(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, '_');
+  }
+
+  /**
+   * List the entries of a roster as [key, entry] pairs
+   * A roster is a map of speaker tag to entry, or a list of speaker tags (and one-key maps)
+   * that declares the speakers in order without styling them.
+   * @param {Object|Array} roster - Roster as written in settings.json or front matter
+   * @returns {Array<Array>} [key, entry] pairs, in roster order
+   */
+  function getRosterEntries(roster) {
+    if (Array.isArray(roster)) {
+      return roster.flatMap(item => {
+        if (typeof item === 'string') return [[item, {}]];
+        if (item && typeof item === 'object' && !Array.isArray(item)) return Object.entries(item);
+        console.warn(`Ignoring speaker roster item that is not a speaker tag: ${JSON.stringify(item)}`);
+        return [];
+      });
+    }
+
+    if (roster && typeof roster === 'object') return Object.entries(roster);
+    if (roster !== undefined && roster !== null) console.warn(`Ignoring speaker roster that is not a map or a list: ${JSON.stringify(roster)}`);
+    return [];
+  }
+
+  /**
+   * Merge rosters, later ones overriding earlier ones field by field, so a conversation's
+   * front matter can refine the site-wide roster from settings.json
+   * @param {...(Object|Array)} rosters - Maps of speaker tag to { name, icon, color, side }, or lists of speaker tags
+   * @returns {Map} Roster entries keyed by normalized speaker, in roster order
+   */
+  function buildRoster(...rosters) {
+    const roster = new Map();
+
+    rosters.forEach(declared => {
+      getRosterEntries(declared).forEach(([key, value]) => {
+        const entry = typeof value === 'string' ? { name: value } : value || {};
+        if (typeof entry !== 'object' || Array.isArray(entry)) {
+          console.warn(`Ignoring speaker roster entry for '${key}', which is not a name or a map`);
+          return;
+        }
+
+        const speaker = normalizeSpeakerKey(key);
+        roster.set(speaker, { ...(roster.get(speaker) || {}), ...entry });
+      });
+    });
+
+    return roster;
+  }
+
+  /**
+   * Pick the icon for a speaker: the roster icon, User_A for the user, Agent_A for the agent,
+   * or the built-in icon the tag names (<< USER_D >>)
+   * @param {string} speaker - Normalized speaker
+   * @param {Map} roster - Roster from buildRoster
+   * @returns {string|null} Icon name (an SVG in public/speaker_icons), or null for none
+   */
+  function getSpeakerIcon(speaker, roster) {
+    if (speaker === 'direct-text') return null;
+
+    const entry = roster.get(speaker);
+    if (entry && entry.icon) return String(entry.icon).replace(/\.svg$/i, '');
+
+    if (speaker === 'user') return 'User_A';
+    if (AGENT_SPEAKERS.includes(speaker)) return 'Agent_A';
+
+    const normalized = speaker.replace(/[\s_-]/g, '');
+    return SYSTEM_ICONS.find(icon => icon.toLowerCase().replace(/[\s_-]/g, '') === normalized) || null;
+  }
+
+  /**
+   * Get the name shown for a speaker: the roster name, or the tag in title case
+   * (<< LADY_MACBETH >> becomes "Lady Macbeth")
+   * @param {string} speaker - Normalized speaker
+   * @param {Map} roster - Roster from buildRoster
+   * @returns {string} Display name
+   */
+  function getSpeakerLabel(speaker, roster) {
+    const entry = roster.get(speaker);
+    if (entry && entry.name) return String(entry.name);
+
+    return speaker
+      .split(/[\s_-]+/)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ');
+  }
+
+  /**
+   * Get the default layout declared by a speaker's roster side
+   * @param {string} speaker - Normalized speaker
+   * @param {Map} roster - Roster from buildRoster
+   * @returns {Object|null} Layout object as returned by parseLayoutTag, or null
+   */
+  function getSpeakerLayout(speaker, roster) {
+    const entry = roster.get(speaker);
+    if (!entry || !entry.side) return null;
+
+    const side = String(entry.side).trim();
+    return chatAst.parseLayoutTag(SIDE_ALIASES[side.toLowerCase()] || side.toUpperCase());
+  }
+
+  /**
+   * Read the site-wide roster from the speakers section of settings.json (Node only)
+   * @param {string} settingsPath - Path to settings.json
+   * @returns {Object|Array|null} Roster, or null if there is none
+   */
+  function loadSettingsRoster(settingsPath = 'settings.json') {
+    const fs = require('fs');
+    if (!fs.existsSync(settingsPath)) return null;
+    return JSON.parse(fs.readFileSync(settingsPath, 'utf8')).speakers || null;
+  }
+
+  // Expose public methods
+  return {
+    SYSTEM_ICONS,
+    AGENT_SPEAKERS,
+    normalizeSpeakerKey,
+    buildRoster,
+    getSpeakerIcon,
+    getSpeakerLabel,
+    getSpeakerLayout,
+    loadSettingsRoster
+  };
+});
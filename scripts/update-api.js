@@ -1,5 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const frontMatter = require('./front-matter.js');
+const chatAst = require('./chat-ast.js');
+
+// Definition pages for wiki terms live in content/wiki/ and are not conversations
+const WIKI_DIRECTORY = 'wiki';
+
+// Longest summary shown in wikilink previews
+const SUMMARY_LENGTH = 200;
 
 function scanDirectory(dir) {
   const entries = fs.readdirSync(dir, { withFileTypes: true });
@@ -15,7 +23,8 @@ function scanDirectory(dir) {
       files.push({
         path: `content/${relativePath}`,
         name: entry.name,
-        directory: path.dirname(relativePath).replace(/\\/g, '/')
+        directory: path.dirname(relativePath).replace(/\\/g, '/'),
+        ...readMetadata(fullPath, entry.name)
       });
     }
   }
@@ -23,43 +32,183 @@ function scanDirectory(dir) {
   return files;
 }
 
-// Ensure content directory exists
-if (!fs.existsSync('content')) {
-  console.error('Content directory not found!');
-  process.exit(1);
+/**
+ * Read the front matter fields that the directory view needs, plus a summary of the conversation
+ * @param {string} fullPath - Path to the markdown file
+ * @param {string} fileName - File name used as the fallback title
+ * @returns {Object} Title, date, tags, description, draft flag, speakers and message count
+ */
+function readMetadata(fullPath, fileName) {
+  const markdown = fs.readFileSync(fullPath, 'utf8');
+  const ast = chatAst.parse(markdown);
+  const data = ast.metadata;
+
+  const metadata = {
+    title: frontMatter.getTitle(markdown, fileName.replace(/\.md$/, ''))
+  };
+
+  if (data.date) metadata.date = String(data.date);
+  if (data.description) metadata.description = String(data.description);
+  if (data.tags) metadata.tags = [].concat(data.tags).map(String);
+  if (data.draft === true) metadata.draft = true;
+
+  // Speakers in order of appearance; direct text is narration, not a speaker
+  metadata.speakers = ast.speakers.filter(speaker => speaker !== 'direct-text');
+  metadata.messageCount = chatAst.getMessages(ast).length;
+
+  return metadata;
 }
 
-// Scan for all markdown files
-const files = scanDirectory('content');
+/**
+ * Get a plain-text summary of a wiki page: its description, or else its first paragraph
+ * @param {string} markdown - Contents of the page
+ * @returns {string|null} Summary, shortened to SUMMARY_LENGTH
+ */
+function summarizeWikiPage(markdown) {
+  const { data, body } = frontMatter.parse(markdown);
+  let summary = data.description ? String(data.description) : null;
 
-// Group files by directory
-const directoryStructure = files.reduce((acc, file) => {
-  if (!acc[file.directory]) {
-    acc[file.directory] = [];
+  if (!summary) {
+    const paragraph = body.split(/\n\s*\n/).map(block => block.trim())
+      .find(block => block && !/^(#|<<|```|~~~|[-*>|])/.test(block));
+    if (!paragraph) return null;
+    summary = chatAst.replaceWikilinks(paragraph, (term, label) => label)
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[*_`]/g, '')
+      .replace(/\s+/g, ' ');
   }
-  acc[file.directory].push({
-    name: file.name,
-    path: file.path
+
+  return summary.length > SUMMARY_LENGTH ? `${summary.slice(0, SUMMARY_LENGTH - 1).trim()}\u2026` : summary;
+}
+
+/**
+ * Build the wiki index: one entry per term that has a definition page or is linked anywhere,
+ * with every conversation section (and wiki page) that mentions it
+ * @param {Array<Object>} conversations - Conversation files from scanDirectory
+ * @param {Array<Object>} pages - Wiki definition files from scanDirectory
+ * @returns {Object} Entries keyed by chatAst.getWikiSlug: { term, page, summary, mentions }
+ */
+function buildWikiIndex(conversations, pages) {
+  const wiki = {};
+  const spellings = {};
+
+  const getEntry = (slug, term) => {
+    if (!wiki[slug]) {
+      wiki[slug] = { term, page: null, summary: null, mentions: [] };
+      spellings[slug] = {};
+    }
+    return wiki[slug];
+  };
+
+  // Count the links in a piece of markdown, recording one mention per term
+  const addMentions = (markdown, mention) => {
+    const counts = {};
+    chatAst.extractWikilinks(markdown).forEach(term => {
+      const slug = chatAst.getWikiSlug(term);
+      if (!slug) return;
+      getEntry(slug, term);
+      spellings[slug][term] = (spellings[slug][term] || 0) + 1;
+      counts[slug] = (counts[slug] || 0) + 1;
+    });
+    Object.entries(counts).forEach(([slug, count]) => wiki[slug].mentions.push({ ...mention, count }));
+  };
+
+  pages.forEach(page => {
+    const markdown = fs.readFileSync(page.path, 'utf8');
+    const slug = chatAst.getWikiSlug(page.name.replace(/\.md$/, ''));
+    if (!slug) return;
+
+    // The file name is the term's key; the page title is how it is shown
+    const entry = getEntry(slug, page.title);
+    entry.term = page.title;
+    entry.page = page.path;
+    entry.summary = summarizeWikiPage(markdown);
+    addMentions(frontMatter.parse(markdown).body, { path: page.path, title: page.title, wiki: slug });
   });
-  return acc;
-}, {});
 
-// Write to api.json
-fs.writeFileSync('api.json', JSON.stringify({
-  lastUpdated: new Date().toISOString(),
-  directories: directoryStructure
-}, null, 2));
+  // Mentions are counted per section, like the directory's span tags
+  conversations.forEach(file => {
+    const ast = chatAst.parse(fs.readFileSync(file.path, 'utf8'));
+    chatAst.walkSections(ast.root, section => {
+      const isRoot = section.id === ast.root.id;
+      addMentions(section.messages.map(chatAst.getMessageText).join('\n'), {
+        path: file.path,
+        title: file.title,
+        section: isRoot ? null : section.text,
+        anchor: isRoot ? null : section.id
+      });
+    });
+  });
 
-console.log(`Successfully indexed ${files.length} markdown files`);
+  // Terms without a page are named by their most common spelling
+  Object.entries(wiki).forEach(([slug, entry]) => {
+    if (entry.page) return;
+    const [term] = Object.entries(spellings[slug]).sort((a, b) => b[1] - a[1])[0];
+    entry.term = term;
+  });
+
+  return Object.fromEntries(Object.entries(wiki).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Index the content directory: conversations grouped by folder, and the wiki terms they link
+ * Paths are relative to the current directory, which must be the repository root.
+ * @param {Object} options - { includeDrafts } to index files marked `draft: true` as well
+ * @returns {Object} { api, conversations, wikiPages, skippedDrafts }, where api is the api.json contents
+ */
+function buildApiIndex(options = {}) {
+  const allFiles = scanDirectory('content');
+  const files = options.includeDrafts ? allFiles : allFiles.filter(file => !file.draft);
+  const isWikiPage = file => file.directory === WIKI_DIRECTORY || file.directory.startsWith(`${WIKI_DIRECTORY}/`);
+  const conversations = files.filter(file => !isWikiPage(file));
+  const wikiPages = files.filter(isWikiPage);
+
+  // Group files by directory
+  const directoryStructure = conversations.reduce((acc, file) => {
+    if (!acc[file.directory]) {
+      acc[file.directory] = [];
+    }
+    const { directory, name, path: filePath, ...metadata } = file;
+    acc[directory].push({ name, path: filePath, ...metadata });
+    return acc;
+  }, {});
+
+  const api = {
+    lastUpdated: new Date().toISOString(),
+    directories: directoryStructure,
+    wiki: buildWikiIndex(conversations, wikiPages)
+  };
+
+  return { api, conversations, wikiPages, skippedDrafts: allFiles.length - files.length };
+}
+
+function main() {
+  // Ensure content directory exists
+  if (!fs.existsSync('content')) {
+    console.error('Content directory not found!');
+    process.exit(1);
+  }
+
+  // Pass --drafts to index files marked `draft: true` as well
+  const { api, conversations, wikiPages, skippedDrafts } = buildApiIndex({ includeDrafts: process.argv.includes('--drafts') });
+
+  // Write to api.json
+  fs.writeFileSync('api.json', JSON.stringify(api, null, 2));
+
+  console.log(`Successfully indexed ${conversations.length} conversations and ${Object.keys(api.wiki).length} wiki terms (${wikiPages.length} with pages)`);
+  if (skippedDrafts > 0) {
+    console.log(`Skipped ${skippedDrafts} draft files (use --drafts to include them)`);
+  }
+}
 
 // Run the script if called directly
 if (require.main === module) {
   try {
-    scanDirectory('content');
+    main();
   } catch (error) {
     console.error('Error generating api.json:', error);
     process.exit(1);
   }
 }
 
-module.exports = { scanDirectory }; 
\ No newline at end of file
+module.exports = { scanDirectory, buildWikiIndex, buildApiIndex };
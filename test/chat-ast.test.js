@@ -0,0 +1,84 @@
+/**
+ * Parser tests for scripts/chat-ast.js
+ * Run from the repository root with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const chatAst = require('../scripts/chat-ast.js');
+
+test('numbered agent tags become alternate replies', () => {
+  const ast = chatAst.parse('<< USER >>\nWrite a haiku.\n\n<< AGENT #1 >>\nRain.\n\n<< AGENT #2 >>\nSnow.\n');
+  const messages = chatAst.getMessages(ast);
+
+  assert.strictEqual(messages.length, 2);
+  assert.deepStrictEqual(messages[1].variants.map(candidate => candidate.content), ['Rain.', 'Snow.']);
+});
+
+test('numbered characters stay separate speakers', () => {
+  const ast = chatAst.parse('<< GUARD #1 >>\nWho goes there?\n\n<< GUARD #2 >>\nA friend.\n');
+  const messages = chatAst.getMessages(ast);
+
+  assert.deepStrictEqual(messages.map(message => message.speaker), ['guard_#1', 'guard_#2']);
+  assert.ok(messages.every(message => !message.variants));
+  assert.deepStrictEqual(ast.speakers, ['guard_#1', 'guard_#2']);
+});
+
+test('an escaped number keeps an agent tag a name', () => {
+  const tag = chatAst.extractSpeaker('<< AGENT \\#2 >>');
+
+  assert.strictEqual(tag.name, 'agent_#2');
+  assert.strictEqual(tag.variant, null);
+});
+
+test('message ids hold when a message is added to another section', () => {
+  const before = '<< USER >>\nHello.\n\n## Setup {#setup}\n\n<< USER >>\nOne.\n\n<< AGENT >>\nTwo.\n\n## Results\n\n<< USER >>\nThree.\n';
+  const after = before.replace('<< USER >>\nOne.', '<< AGENT >>\nInserted.\n\n<< USER >>\nOne.');
+  const ids = source => chatAst.getMessages(chatAst.parse(source)).map(message => message.id);
+
+  assert.deepStrictEqual(ids(before), ['m-1', 'setup/m-1', 'setup/m-2', 'results/m-1']);
+  assert.deepStrictEqual(ids(after), ['m-1', 'setup/m-1', 'setup/m-2', 'setup/m-3', 'results/m-1']);
+});
+
+test('message links read and write ranges within and across sections', () => {
+  assert.deepStrictEqual(chatAst.parseMessageRange('setup/m-3..m-7'), { start: 'setup/m-3', end: 'setup/m-7' });
+  assert.deepStrictEqual(chatAst.parseMessageRange('setup/m-3..results/m-1'), { start: 'setup/m-3', end: 'results/m-1' });
+  assert.deepStrictEqual(chatAst.parseMessageRange('m-2..setup/m-1'), { start: 'm-2', end: 'setup/m-1' });
+  assert.strictEqual(chatAst.parseMessageRange('setup'), null);
+
+  assert.strictEqual(chatAst.formatMessageRange('setup/m-3', 'setup/m-7'), 'setup/m-3..m-7');
+  assert.strictEqual(chatAst.formatMessageRange('m-2', 'setup/m-1'), 'm-2..setup/m-1');
+  assert.strictEqual(chatAst.formatMessageRange('m-2'), 'm-2');
+});
+
+test('only a matching fence closes a code block', () => {
+  const markdown = [
+    '<< USER >>',
+    '```',
+    '```markdown',
+    '## Not a section',
+    '<< AGENT >>',
+    '```',
+    '',
+    '<< AGENT >>',
+    '~~~~',
+    '~~~',
+    '~~~~~ ',
+    'Done $x$.'
+  ].join('\n');
+  const ast = chatAst.parse(markdown);
+  const messages = chatAst.getMessages(ast);
+
+  assert.strictEqual(ast.sections.length, 0);
+  assert.deepStrictEqual(messages.map(message => message.speaker), ['user', 'agent']);
+  assert.strictEqual(chatAst.protectMath(messages[1].content).math.length, 1);
+});
+
+test('a tool fence runs to its own closing fence', () => {
+  const ast = chatAst.parse('<< AGENT >>\n```tool_result search\n```python\n```\nFound it.\n');
+  const [tool, reply] = chatAst.getMessages(ast);
+
+  assert.strictEqual(tool.type, 'tool');
+  assert.strictEqual(tool.tool.result, '```python');
+  assert.strictEqual(reply.content, 'Found it.');
+});
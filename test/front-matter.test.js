@@ -0,0 +1,25 @@
+/**
+ * Tests for scripts/front-matter.js
+ * Run from the repository root with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const frontMatter = require('../scripts/front-matter.js');
+
+test('values with backslashes, quotes and newlines survive a round trip', () => {
+  const data = {
+    title: 'say "C:\\new" now: x',
+    path: 'C:\\temp\\\\share',
+    summary: 'line one\nline\ttwo \\n'
+  };
+  const { data: parsed } = frontMatter.parse(frontMatter.stringify(data, 'Body'));
+
+  assert.deepStrictEqual(parsed, data);
+});
+
+test('escapes in double-quoted values are read once', () => {
+  const { data } = frontMatter.parse('---\ntitle: "a\\\\nb \\"c\\" \\td"\n---\nBody');
+
+  assert.strictEqual(data.title, 'a\\nb "c" \td');
+});
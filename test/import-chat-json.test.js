@@ -0,0 +1,49 @@
+/**
+ * Tests for scripts/import-chat-json.js
+ * Run from the repository root with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const chatAst = require('../scripts/chat-ast.js');
+const { PRESETS, findConversations, convertConversation } = require('../scripts/import-chat-json.js');
+const { renderConversation } = require('../scripts/import-utils.js');
+
+/**
+ * Import a list of messages with the messages preset and parse the result as the viewer would
+ * @param {Array<Object>} rawMessages - Messages as { role, content }
+ * @returns {Object} { metadata, messages }
+ */
+function importMessages(rawMessages) {
+  const [entry] = findConversations({ messages: rawMessages }, PRESETS.messages);
+  const conversation = convertConversation(entry, PRESETS.messages, { fallbackDate: new Date(2025, 3, 15) });
+  const ast = chatAst.parse(renderConversation(conversation));
+  return { metadata: conversation.metadata, messages: chatAst.getMessages(ast) };
+}
+
+test('roles named like reserved tags stay messages', () => {
+  const { messages } = importMessages([
+    { role: 'note', content: 'x' },
+    { role: 'user', content: 'Hello' },
+    { role: 'Tool: search', content: 'results' },
+    { role: 'narrator {L}', content: 'Later.' }
+  ]);
+
+  assert.deepStrictEqual(messages.map(message => [message.type, message.speaker, message.content]), [
+    ['message', 'role_note', 'x'],
+    ['message', 'user', 'Hello'],
+    ['message', 'tool_search', 'results'],
+    ['message', 'narrator_l', 'Later.']
+  ]);
+  assert.ok(messages.every(message => !message.layout && !message.notes));
+});
+
+test('the title comes from the first user message', () => {
+  const { metadata } = importMessages([
+    { role: 'note', content: 'x' },
+    { role: 'user', content: 'How do I parse dates?' },
+    { role: 'assistant', content: 'Use Date.' }
+  ]);
+
+  assert.strictEqual(metadata.title, 'How do I parse dates?');
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for scripts/import-script.js
+ * Run from the repository root with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const chatAst = require('../scripts/chat-ast.js');
+const { parseScript, renderScript } = require('../scripts/import-script.js');
+
+/**
+ * Import a script and parse the result as the viewer would
+ * @param {string} source - Script source
+ * @param {Object} options - Options for parseScript
+ * @returns {Object} { markdown, messages }
+ */
+function importScript(source, options) {
+  const markdown = renderScript(parseScript(source, options), {});
+  return { markdown, messages: chatAst.getMessages(chatAst.parse(markdown)) };
+}
+
+test('numbered cues are speeches of separate characters', () => {
+  const { messages } = importScript('GUARD #1\nWho goes there?\n\nSOLDIER #2 (V.O.)\nA friend.\n', { format: 'fountain' });
+
+  assert.deepStrictEqual(messages.map(message => [message.speaker, message.content]), [
+    ['guard_#1', 'Who goes there?'],
+    ['soldier_#2', 'A friend.']
+  ]);
+});
+
+test('numbered inline cues in play scripts are speeches', () => {
+  const { messages } = importScript('GUARD #1. Who goes there?\n', { format: 'play' });
+
+  assert.deepStrictEqual(messages.map(message => [message.speaker, message.content]), [['guard_#1', 'Who goes there?']]);
+});
+
+test('numbered agent cues are not read as alternate replies', () => {
+  const { markdown, messages } = importScript('ASSISTANT #1\nHello.\n\nASSISTANT #2\nGoodbye.\n', { format: 'fountain' });
+
+  assert.match(markdown, /<< ASSISTANT \\#1 >>/);
+  assert.deepStrictEqual(messages.map(message => message.speaker), ['assistant_#1', 'assistant_#2']);
+  assert.ok(messages.every(message => !message.variants));
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for scripts/import-utils.js
+ * Run from the repository root with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const chatAst = require('../scripts/chat-ast.js');
+const { escapeMessageContent } = require('../scripts/import-utils.js');
+
+/**
+ * Place message text under a tag and parse it as the viewer would
+ * @param {string} text - Message markdown
+ * @param {Object} options - Options for escapeMessageContent
+ * @returns {Object} Parsed conversation
+ */
+function parseImported(text, options) {
+  return chatAst.parse(`<< USER >>\n${escapeMessageContent(text, options)}\n`);
+}
+
+test('a dash underline does not start a section', () => {
+  const ast = parseImported('Results\n---\nAll green.');
+
+  assert.strictEqual(ast.sections.length, 0);
+  assert.strictEqual(chatAst.getMessages(ast).length, 1);
+  assert.strictEqual(chatAst.getMessages(ast)[0].content, 'Results\n\\---\nAll green.');
+});
+
+test('a dash line after a blank line stays a horizontal rule', () => {
+  assert.strictEqual(escapeMessageContent('Before\n\n---\n\nAfter'), 'Before\n\n---\n\nAfter');
+});
+
+test('headings and tags are escaped outside fenced code only', () => {
+  const text = '## Plan\n<< AGENT >>\n```\n## Plan\n<< AGENT >>\nmain\n--\n```';
+  const ast = parseImported(text);
+
+  assert.strictEqual(ast.sections.length, 0);
+  assert.strictEqual(chatAst.getMessages(ast).length, 1);
+  assert.strictEqual(escapeMessageContent(text), '**Plan**\n\\<< AGENT >>\n```\n## Plan\n<< AGENT >>\nmain\n--\n```');
+});
+
+test('keepHeadings leaves headings to become sections', () => {
+  const ast = parseImported('Intro\n\n## Plan\n\nSteps', { keepHeadings: true });
+
+  assert.deepStrictEqual(ast.sections.map(section => section.text), ['Plan']);
+});
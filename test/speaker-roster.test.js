@@ -0,0 +1,29 @@
+/**
+ * Tests for scripts/speaker-roster.js
+ * Run from the repository root with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const speakerRoster = require('../scripts/speaker-roster.js');
+
+test('later rosters refine earlier ones field by field, lists included', () => {
+  const roster = speakerRoster.buildRoster(
+    { Horatio: { name: 'Horatio', icon: 'User_D' } },
+    ['hamlet', { horatio: { side: 'right' } }]
+  );
+
+  assert.deepStrictEqual([...roster.keys()], ['horatio', 'hamlet']);
+  assert.deepStrictEqual(roster.get('horatio'), { name: 'Horatio', icon: 'User_D', side: 'right' });
+  assert.deepStrictEqual(speakerRoster.getSpeakerLayout('horatio', roster).position, 'right');
+});
+
+test('icons and names fall back to the built-in rules', () => {
+  const roster = speakerRoster.buildRoster({ ghost: { icon: 'ghost.svg' } });
+
+  assert.strictEqual(speakerRoster.getSpeakerIcon('ghost', roster), 'ghost');
+  assert.strictEqual(speakerRoster.getSpeakerIcon('assistant', roster), 'Agent_A');
+  assert.strictEqual(speakerRoster.getSpeakerIcon('user_d', roster), 'User_D');
+  assert.strictEqual(speakerRoster.getSpeakerIcon('lady_macbeth', roster), null);
+  assert.strictEqual(speakerRoster.getSpeakerLabel('lady_macbeth', roster), 'Lady Macbeth');
+});